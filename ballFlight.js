@@ -0,0 +1,139 @@
+// Ball flight
+// -----------
+// How long a pass takes to get somewhere, by type of pass. Ground and
+// driven passes roll along the line of the pass, slowed by rolling
+// friction and air drag, so a far enough target is never reached. Lofted
+// passes fly in a parabola chosen to land on the target and can only be
+// played once they come down within reach near the landing point.
+// Distances are in metres and times in seconds.
+
+/**
+ * @typedef {"ground" | "driven" | "lofted"} PassType
+ */
+
+/** @type {PassType[]} */
+export const PASS_TYPES = ["ground", "driven", "lofted"];
+
+/** @type {PassType} */
+export const DEFAULT_PASS_TYPE = "ground";
+
+export const PASS_TYPE_NAMES = {
+  ground: "Ground pass",
+  driven: "Driven pass",
+  lofted: "Lofted pass",
+};
+
+const GRAVITY = 9.81; // m/s²
+// Rolling resistance of grass, as a constant deceleration
+const ROLLING_DECELERATION = 1.0; // m/s²
+// Air drag deceleration per (m/s)² of ball speed: air density x drag
+// coefficient x cross-section / (2 x mass) for a size 5 ball
+const DRAG_PER_METRE = 0.013; // 1/m
+// Speed the ball leaves the foot at
+const ROLLING_LAUNCH_SPEEDS = { ground: 16, driven: 25 }; // m/s
+const LOFT_ANGLE = (40 * Math.PI) / 180;
+// Lofted passes needing a harder kick than this are out of range
+const MAX_LOFT_SPEED = 28; // m/s
+// Highest a player can play the ball (a header, or a stretch for it)
+export const REACH_HEIGHT = 2.2; // m
+
+/**
+ * @param {unknown} value
+ * @returns {value is PassType}
+ */
+export function isPassType(value) {
+  return PASS_TYPES.includes(/** @type {PassType} */ (value));
+}
+
+/**
+ * Time for a pass of `type`, aimed at a point `length` metres away, to get
+ * there.
+ *
+ * @param {PassType} type
+ * @param {number} length metres
+ * @returns {number} seconds; Infinity if the pass can't get there
+ */
+export function passArrivalTime(type, length) {
+  return ballTimeAt(type, length, length);
+}
+
+/**
+ * Time for the ball to get `along` metres down a pass of `type` aimed at a
+ * point `length` metres away.
+ *
+ * @param {PassType} type
+ * @param {number} along metres, 0..length
+ * @param {number} length metres
+ * @returns {number} seconds; Infinity if the ball stops short
+ */
+export function ballTimeAt(type, along, length) {
+  if (along <= 0) return 0;
+  if (type === "lofted") {
+    const speed = loftSpeed(length);
+    return speed > MAX_LOFT_SPEED ? Infinity : along / (speed * Math.cos(LOFT_ANGLE));
+  }
+  return rollingTime(ROLLING_LAUNCH_SPEEDS[type], along);
+}
+
+/**
+ * How far down a pass the ball can first be played by someone other than
+ * the passer: straight away along the ground, but only once a lofted ball
+ * drops back below REACH_HEIGHT.
+ *
+ * @param {PassType} type
+ * @param {number} length metres
+ * @returns {number} metres, 0..length
+ */
+export function playableFrom(type, length) {
+  if (type !== "lofted") return 0;
+  // The apex comes halfway along, at half the height the launch line
+  // reaches there
+  const apex = (length * Math.tan(LOFT_ANGLE)) / 4;
+  if (apex <= REACH_HEIGHT) return 0;
+  return (length * (1 + Math.sqrt(1 - REACH_HEIGHT / apex))) / 2;
+}
+
+/**
+ * Furthest a pass of `type` can go.
+ *
+ * @param {PassType} type
+ * @returns {number} metres
+ */
+export function passRange(type) {
+  if (type === "lofted") {
+    return (MAX_LOFT_SPEED * MAX_LOFT_SPEED * Math.sin(2 * LOFT_ANGLE)) / GRAVITY;
+  }
+  const theta = rollingAngle(ROLLING_LAUNCH_SPEEDS[type]);
+  return -Math.log(Math.cos(theta)) / DRAG_PER_METRE;
+}
+
+/**
+ * Time for a rolling ball launched at `speed` to cover `distance`, slowing
+ * as dv/dt = -(ROLLING_DECELERATION + DRAG_PER_METRE v²).
+ *
+ * @param {number} speed m/s
+ * @param {number} distance metres
+ * @returns {number} seconds; Infinity if it stops first
+ */
+function rollingTime(speed, distance) {
+  // Solving the motion gives cos(theta - omega t) = cos(theta) e^(k d)
+  const theta = rollingAngle(speed);
+  const omega = Math.sqrt(ROLLING_DECELERATION * DRAG_PER_METRE);
+  const cosine = Math.cos(theta) * Math.exp(DRAG_PER_METRE * distance);
+  if (cosine > 1) return Infinity;
+  return (theta - Math.acos(cosine)) / omega;
+}
+
+/** @param {number} speed m/s */
+function rollingAngle(speed) {
+  return Math.atan(speed * Math.sqrt(DRAG_PER_METRE / ROLLING_DECELERATION));
+}
+
+/**
+ * Launch speed of a lofted pass landing `length` metres away.
+ *
+ * @param {number} length
+ */
+function loftSpeed(length) {
+  return Math.sqrt((length * GRAVITY) / Math.sin(2 * LOFT_ANGLE));
+}
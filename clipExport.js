@@ -0,0 +1,129 @@
+// Clip export
+// -----------
+// Turns a recorded clip into a WebM video or an animated GIF. The page draws
+// each frame onto a canvas through `drawFrame`; frames are rendered one at a
+// time at a fixed frame rate, so the output plays at the clip's real speed
+// however long each frame takes to render.
+
+import { createGifEncoder } from "./gifEncoder.js";
+
+/**
+ * @typedef ExportOptions
+ * @property {HTMLCanvasElement} canvas the canvas `drawFrame` paints
+ * @property {number} frameCount
+ * @property {number} fps
+ * @property {(index: number) => void} drawFrame render frame `index`
+ * @property {(done: number) => void} [onProgress] called after each frame
+ * @property {AbortSignal} [signal] cancels the export with an AbortError
+ */
+
+const WEBM_MIME_TYPES = [
+  "video/webm;codecs=vp9",
+  "video/webm;codecs=vp8",
+  "video/webm",
+];
+
+/**
+ * @returns {boolean} whether this browser can record a canvas to WebM
+ */
+export function canExportWebm() {
+  return (
+    typeof MediaRecorder !== "undefined" &&
+    typeof HTMLCanvasElement.prototype.captureStream === "function" &&
+    WEBM_MIME_TYPES.some((type) => MediaRecorder.isTypeSupported(type))
+  );
+}
+
+/**
+ * Record the frames with MediaRecorder. The recorder is paused while each
+ * frame renders and resumed for exactly one frame interval once it is on
+ * the canvas, so slow frames don't stretch the video.
+ *
+ * @param {ExportOptions} options
+ * @returns {Promise<Blob>}
+ */
+export async function exportWebm({ canvas, frameCount, fps, drawFrame, onProgress, signal }) {
+  const mimeType = WEBM_MIME_TYPES.find((type) => MediaRecorder.isTypeSupported(type));
+  // Frame rate 0: the stream only captures when asked via requestFrame()
+  const stream = canvas.captureStream(0);
+  const [track] = /** @type {CanvasCaptureMediaStreamTrack[]} */ (stream.getVideoTracks());
+  const recorder = new MediaRecorder(stream, {
+    mimeType,
+    videoBitsPerSecond: 8_000_000,
+  });
+
+  /** @type {Blob[]} */
+  const chunks = [];
+  recorder.addEventListener("dataavailable", (e) => {
+    if (e.data.size > 0) chunks.push(e.data);
+  });
+  const stopped = new Promise((resolve, reject) => {
+    recorder.addEventListener("stop", resolve);
+    recorder.addEventListener("error", (e) => reject(/** @type {any} */ (e).error ?? e));
+  });
+  // Observed now: when the loop below throws, nothing awaits it
+  stopped.catch(() => {});
+
+  const frameMs = 1000 / fps;
+  try {
+    for (let i = 0; i < frameCount; i++) {
+      throwIfAborted(signal);
+      drawFrame(i);
+
+      if (i === 0) recorder.start();
+      else recorder.resume();
+      track.requestFrame();
+      await delay(frameMs);
+      recorder.pause();
+
+      onProgress?.(i + 1);
+    }
+  } finally {
+    if (recorder.state !== "inactive") recorder.stop();
+    track.stop();
+  }
+  await stopped;
+  throwIfAborted(signal);
+
+  return new Blob(chunks, { type: mimeType });
+}
+
+/**
+ * Encode the frames into a looping GIF.
+ *
+ * @param {ExportOptions} options
+ * @returns {Promise<Blob>}
+ */
+export async function exportGif({ canvas, frameCount, fps, drawFrame, onProgress, signal }) {
+  const ctx = canvas.getContext("2d");
+  if (!ctx) throw new Error("Canvas 2D context unavailable");
+
+  const encoder = createGifEncoder(canvas.width, canvas.height);
+  const frameMs = 1000 / fps;
+  for (let i = 0; i < frameCount; i++) {
+    throwIfAborted(signal);
+    drawFrame(i);
+    const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    encoder.addFrame(data, frameMs);
+    onProgress?.(i + 1);
+    // Let the page repaint progress between frames
+    await delay(0);
+  }
+  return new Blob([encoder.finish()], { type: "image/gif" });
+}
+
+/**
+ * @param {AbortSignal | undefined} signal
+ */
+function throwIfAborted(signal) {
+  if (signal?.aborted) {
+    throw new DOMException("Export cancelled", "AbortError");
+  }
+}
+
+/**
+ * @param {number} ms
+ */
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
@@ -0,0 +1,157 @@
+// Control statistics
+// ------------------
+// Numbers behind the control map: how much of the pitch each team
+// controls overall, per third, per lane (wings, half-spaces and centre),
+// per zone of the 18-zone grid and inside each penalty area, plus the area
+// each player controls on their own (their Voronoi cell). Shares are the
+// blue team's, 0..1; red's is the complement.
+
+import { LOGICAL_HEIGHT, LOGICAL_WIDTH, arrivalCostSquared } from "./pitchModel.js";
+
+/** @typedef {import("./pitchModel.js").Player} Player */
+/** @typedef {import("./pitchModel.js").Area} Area */
+/** @typedef {import("./pitchModel.js").Team} Team */
+
+/**
+ * @typedef ControlStats
+ * @property {number} blue share of the whole pitch
+ * @property {number[]} thirds left to right
+ * @property {number[]} lanes top touchline to bottom: wing, half-space,
+ *   centre, half-space, wing
+ * @property {number[]} zones ZONE_COLUMNS x ZONE_ROWS, row by row from the
+ *   top left
+ * @property {Record<Team, number>} penaltyAreas share inside each team's
+ *   own penalty area
+ */
+
+export const ZONE_COLUMNS = 6;
+export const ZONE_ROWS = 3;
+
+// Lane boundaries as fractions of the pitch width, from the full-size
+// markings: the wings end level with the penalty area and the half-spaces
+// level with the goal area
+export const LANE_EDGES = [0, 13.84 / 68, 24.84 / 68, 43.16 / 68, 54.16 / 68, 1];
+
+/**
+ * Summarise a control grid as laid out by computeControlGrid.
+ *
+ * @param {Float32Array} control blue share per cell, row by row
+ * @param {number} cols
+ * @param {number} rows
+ * @param {Record<Team, Area>} penaltyAreas each team's own penalty area,
+ *   in logical units
+ * @returns {ControlStats}
+ */
+export function computeControlStats(control, cols, rows, penaltyAreas) {
+  const overall = createTally(1);
+  const thirds = createTally(3);
+  const lanes = createTally(LANE_EDGES.length - 1);
+  const zones = createTally(ZONE_COLUMNS * ZONE_ROWS);
+  const boxes = { blue: createTally(1), red: createTally(1) };
+
+  for (let oy = 0; oy < rows; oy++) {
+    const fy = (oy + 0.5) / rows;
+    const ly = fy * LOGICAL_HEIGHT;
+    const lane = LANE_EDGES.findIndex((edge) => fy < edge) - 1;
+    const zoneRow = Math.floor(fy * ZONE_ROWS);
+
+    for (let ox = 0; ox < cols; ox++) {
+      const fx = (ox + 0.5) / cols;
+      const lx = fx * LOGICAL_WIDTH;
+      const share = control[oy * cols + ox];
+
+      addTo(overall, 0, share);
+      addTo(thirds, Math.floor(fx * 3), share);
+      addTo(lanes, lane, share);
+      addTo(zones, zoneRow * ZONE_COLUMNS + Math.floor(fx * ZONE_COLUMNS), share);
+      for (const team of /** @type {const} */ (["blue", "red"])) {
+        if (isInside(lx, ly, penaltyAreas[team])) addTo(boxes[team], 0, share);
+      }
+    }
+  }
+
+  return {
+    blue: sharesOf(overall)[0],
+    thirds: sharesOf(thirds),
+    lanes: sharesOf(lanes),
+    zones: sharesOf(zones),
+    penaltyAreas: { blue: sharesOf(boxes.blue)[0], red: sharesOf(boxes.red)[0] },
+  };
+}
+
+/**
+ * Area each player controls: the part of the pitch they reach before
+ * anyone else, on either team, sampled on a cols x rows grid. Arrival is
+ * judged as in the standard control map (by biased arrival cost with
+ * velocities, by distance without).
+ *
+ * @param {Player[]} players
+ * @param {number} cols
+ * @param {number} rows
+ * @param {boolean} useVelocity
+ * @param {number} metresPerUnit
+ * @returns {Map<number, number>} player id to square metres
+ */
+export function playerAreas(players, cols, rows, useVelocity, metresPerUnit) {
+  const cellW = LOGICAL_WIDTH / cols;
+  const cellH = LOGICAL_HEIGHT / rows;
+  const cellArea = cellW * cellH * metresPerUnit * metresPerUnit;
+
+  /** @type {Map<number, number>} */
+  const areas = new Map(players.map((p) => [p.id, 0]));
+  for (let oy = 0; oy < rows; oy++) {
+    const ly = (oy + 0.5) * cellH;
+    for (let ox = 0; ox < cols; ox++) {
+      const lx = (ox + 0.5) * cellW;
+
+      let nearest = null;
+      let best = Infinity;
+      for (const p of players) {
+        const cost = useVelocity
+          ? arrivalCostSquared(p, lx, ly)
+          : (p.x - lx) * (p.x - lx) + (p.y - ly) * (p.y - ly);
+        if (cost < best) {
+          best = cost;
+          nearest = p;
+        }
+      }
+      if (nearest) areas.set(nearest.id, (areas.get(nearest.id) ?? 0) + cellArea);
+    }
+  }
+  return areas;
+}
+
+/**
+ * @param {number} count
+ * @returns {{ sums: number[], counts: number[] }}
+ */
+function createTally(count) {
+  return { sums: new Array(count).fill(0), counts: new Array(count).fill(0) };
+}
+
+/**
+ * @param {{ sums: number[], counts: number[] }} tally
+ * @param {number} index
+ * @param {number} share
+ */
+function addTo(tally, index, share) {
+  tally.sums[index] += share;
+  tally.counts[index] += 1;
+}
+
+/**
+ * @param {{ sums: number[], counts: number[] }} tally
+ * @returns {number[]} an even 0.5 where no cell was sampled
+ */
+function sharesOf(tally) {
+  return tally.sums.map((sum, i) => (tally.counts[i] > 0 ? sum / tally.counts[i] : 0.5));
+}
+
+/**
+ * @param {number} x
+ * @param {number} y
+ * @param {Area} area
+ */
+function isInside(x, y, area) {
+  return x >= area.left && x <= area.right && y >= area.top && y <= area.bottom;
+}
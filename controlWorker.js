@@ -0,0 +1,18 @@
+// Web Worker that computes the pitch control grid off the main thread.
+// The page posts { cols, rows, state } (see ControlState in pitchModel.js)
+// and receives the typed-array grid back, with its buffers transferred.
+
+import { computeControlGrid } from "./pitchModel.js";
+
+self.addEventListener("message", (e) => {
+  const { cols, rows, state } = e.data;
+
+  const control = new Float32Array(cols * rows);
+  const pixels = new Uint8ClampedArray(cols * rows * 4);
+  computeControlGrid(state, cols, rows, control, pixels);
+
+  self.postMessage({ cols, rows, control, pixels }, [
+    control.buffer,
+    pixels.buffer,
+  ]);
+});
@@ -0,0 +1,48 @@
+// Attacking direction
+// -------------------
+// Which goal each team attacks. Blue starts out attacking the right-hand
+// goal (increasing x) and red the left; switching ends at half time swaps
+// them and mirrors the board in the halfway line.
+
+import { LOGICAL_WIDTH } from "./pitchModel.js";
+
+/** @typedef {import("./pitchModel.js").Player} Player */
+/** @typedef {import("./pitchModel.js").Team} Team */
+
+/**
+ * @param {Team} team
+ * @param {boolean} blueAttacksRight
+ * @returns {1 | -1} +1 if the team attacks towards increasing x
+ */
+export function attackingSign(team, blueAttacksRight) {
+  return (team === "blue") === blueAttacksRight ? 1 : -1;
+}
+
+/**
+ * How far a pass from `fromX` to `toX` takes the ball towards the goal the
+ * passing team attacks; negative for passes back towards their own.
+ *
+ * @param {number} fromX logical
+ * @param {number} toX logical
+ * @param {1 | -1} sign the passing team's attacking sign
+ * @returns {number} logical units
+ */
+export function passGain(fromX, toX, sign) {
+  return (toX - fromX) * sign;
+}
+
+/**
+ * The board after the teams switch ends: every player, their velocity and
+ * the ball mirrored in the halfway line. Players keep their side of the
+ * pitch across (y), as in the formations.
+ *
+ * @param {Player[]} players
+ * @param {{ x: number, y: number }} ball
+ * @returns {{ players: Player[], ball: { x: number, y: number } }} copies
+ */
+export function switchEnds(players, ball) {
+  return {
+    players: players.map((p) => ({ ...p, x: LOGICAL_WIDTH - p.x, vx: -p.vx })),
+    ball: { x: LOGICAL_WIDTH - ball.x, y: ball.y },
+  };
+}
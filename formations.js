@@ -0,0 +1,275 @@
+// Formation library
+// -----------------
+// Preset and custom team shapes, eleven-a-side and small-sided. Positions are fractions of the pitch
+// (0..1, origin top-left) for a team attacking to the right, goalkeeper
+// first; red's positions are mirrored. The page persists custom formations;
+// nothing here depends on the pitch model.
+
+/**
+ * @typedef FormationSpot
+ * @property {number} x fraction of pitch length, 0 = own goal line
+ * @property {number} y fraction of pitch width, 0 = top touchline
+ *
+ * @typedef Formation
+ * @property {string} name
+ * @property {FormationSpot[]} positions goalkeeper first
+ */
+
+const GK = { x: 0.08, y: 0.5 };
+
+/**
+ * Spots for one line of players across the pitch, spread evenly between
+ * the touchlines at `x`.
+ *
+ * @param {number} x
+ * @param {number[]} ys
+ * @returns {FormationSpot[]}
+ */
+function line(x, ys) {
+  return ys.map((y) => ({ x, y }));
+}
+
+const BACK_FOUR = line(0.22, [0.18, 0.38, 0.62, 0.82]);
+const BACK_THREE = line(0.22, [0.28, 0.5, 0.72]);
+const BACK_FIVE = line(0.22, [0.12, 0.31, 0.5, 0.69, 0.88]);
+
+/** @type {Formation[]} */
+export const FORMATIONS = [
+  {
+    name: "4-4-2",
+    positions: [
+      GK,
+      ...BACK_FOUR,
+      ...line(0.4, [0.16, 0.35, 0.65, 0.84]),
+      ...line(0.64, [0.35, 0.65]),
+    ],
+  },
+  {
+    name: "4-3-3",
+    positions: [
+      GK,
+      ...BACK_FOUR,
+      ...line(0.4, [0.28, 0.5, 0.72]),
+      ...line(0.62, [0.18, 0.5, 0.82]),
+    ],
+  },
+  {
+    name: "4-2-3-1",
+    positions: [
+      GK,
+      ...BACK_FOUR,
+      ...line(0.36, [0.38, 0.62]),
+      ...line(0.52, [0.18, 0.5, 0.82]),
+      { x: 0.66, y: 0.5 },
+    ],
+  },
+  {
+    name: "4-1-4-1",
+    positions: [
+      GK,
+      ...BACK_FOUR,
+      { x: 0.33, y: 0.5 },
+      ...line(0.47, [0.16, 0.38, 0.62, 0.84]),
+      { x: 0.64, y: 0.5 },
+    ],
+  },
+  {
+    name: "3-5-2",
+    positions: [
+      GK,
+      ...BACK_THREE,
+      ...line(0.4, [0.12, 0.32, 0.5, 0.68, 0.88]),
+      ...line(0.63, [0.38, 0.62]),
+    ],
+  },
+  {
+    name: "3-4-3",
+    positions: [
+      GK,
+      ...BACK_THREE,
+      ...line(0.4, [0.16, 0.38, 0.62, 0.84]),
+      ...line(0.62, [0.2, 0.5, 0.8]),
+    ],
+  },
+  {
+    name: "5-3-2",
+    positions: [
+      GK,
+      ...BACK_FIVE,
+      ...line(0.4, [0.28, 0.5, 0.72]),
+      ...line(0.6, [0.38, 0.62]),
+    ],
+  },
+
+  // Small-sided games
+  {
+    name: "3-3-2",
+    positions: [
+      GK,
+      ...line(0.24, [0.25, 0.5, 0.75]),
+      ...line(0.44, [0.2, 0.5, 0.8]),
+      ...line(0.64, [0.36, 0.64]),
+    ],
+  },
+  {
+    name: "3-2-3",
+    positions: [
+      GK,
+      ...line(0.24, [0.25, 0.5, 0.75]),
+      ...line(0.42, [0.36, 0.64]),
+      ...line(0.62, [0.2, 0.5, 0.8]),
+    ],
+  },
+  {
+    name: "2-3-1",
+    positions: [
+      GK,
+      ...line(0.26, [0.3, 0.7]),
+      ...line(0.46, [0.2, 0.5, 0.8]),
+      { x: 0.66, y: 0.5 },
+    ],
+  },
+  {
+    name: "3-2-1",
+    positions: [
+      GK,
+      ...line(0.26, [0.25, 0.5, 0.75]),
+      ...line(0.46, [0.34, 0.66]),
+      { x: 0.66, y: 0.5 },
+    ],
+  },
+  {
+    name: "1-2-1",
+    positions: [
+      GK,
+      { x: 0.28, y: 0.5 },
+      ...line(0.46, [0.25, 0.75]),
+      { x: 0.66, y: 0.5 },
+    ],
+  },
+  {
+    name: "2-2",
+    positions: [GK, ...line(0.3, [0.3, 0.7]), ...line(0.58, [0.3, 0.7])],
+  },
+];
+
+export const DEFAULT_FORMATION = FORMATIONS[0];
+
+/**
+ * @param {string} name
+ * @returns {Formation | undefined}
+ */
+export function findFormation(name) {
+  return FORMATIONS.find((f) => f.name === name);
+}
+
+/**
+ * Presets that suit a team of `count` players: those for the smallest
+ * team size that fits everyone, or the largest presets for an overload
+ * bigger than any of them. Extra spots are simply left empty, so a side
+ * down to ten still picks from the eleven-a-side shapes.
+ *
+ * @param {number} count
+ * @returns {Formation[]}
+ */
+export function formationsForTeamSize(count) {
+  const sizes = [...new Set(FORMATIONS.map((f) => f.positions.length))];
+  const fitting = sizes.filter((n) => n >= count);
+  const size = fitting.length > 0 ? Math.min(...fitting) : Math.max(...sizes);
+  return FORMATIONS.filter((f) => f.positions.length === size);
+}
+
+/**
+ * Role of each spot: goalkeeper first, then the deepest outfield line as
+ * defenders, the most advanced as forwards and any lines between as
+ * midfielders.
+ *
+ * @param {Formation} formation
+ * @returns {("GK" | "DF" | "MF" | "FW")[]}
+ */
+export function formationRoles(formation) {
+  const lines = [...new Set(formation.positions.slice(1).map((p) => p.x))].sort(
+    (a, b) => a - b
+  );
+  return formation.positions.map((p, i) => {
+    if (i === 0) return "GK";
+    const line = lines.indexOf(p.x);
+    if (line === 0) return "DF";
+    return line === lines.length - 1 ? "FW" : "MF";
+  });
+}
+
+/**
+ * Pitch fractions of a formation for one team, mirrored for the team
+ * attacking to the left (red, until the teams switch ends).
+ *
+ * @param {Formation} formation
+ * @param {"blue" | "red"} team
+ * @param {boolean} [blueAttacksRight]
+ * @returns {FormationSpot[]}
+ */
+export function formationSpots(formation, team, blueAttacksRight = true) {
+  const attacksRight = (team === "blue") === blueAttacksRight;
+  return formation.positions.map((p) => ({
+    x: attacksRight ? p.x : 1 - p.x,
+    y: p.y,
+  }));
+}
+
+/**
+ * Capture a team's current shape as a formation, stored attacking right.
+ *
+ * @param {string} name
+ * @param {"blue" | "red"} team
+ * @param {{ x: number, y: number }[]} spots the team's players as pitch
+ *   fractions, in slot order (goalkeeper first)
+ * @param {boolean} [blueAttacksRight]
+ * @returns {Formation}
+ */
+export function captureFormation(name, team, spots, blueAttacksRight = true) {
+  const attacksRight = (team === "blue") === blueAttacksRight;
+  return {
+    name,
+    positions: spots.map((p) => ({
+      x: round(attacksRight ? p.x : 1 - p.x),
+      y: round(p.y),
+    })),
+  };
+}
+
+/**
+ * Validate custom formations read back from storage, dropping malformed
+ * entries rather than failing.
+ *
+ * @param {unknown} value
+ * @returns {Formation[]}
+ */
+export function parseCustomFormations(value) {
+  if (!Array.isArray(value)) return [];
+  return value.filter(
+    (f) =>
+      typeof f === "object" &&
+      f !== null &&
+      typeof f.name === "string" &&
+      f.name.trim() !== "" &&
+      Array.isArray(f.positions) &&
+      f.positions.length > 0 &&
+      f.positions.every(
+        (p) =>
+          typeof p === "object" &&
+          p !== null &&
+          isFraction(p.x) &&
+          isFraction(p.y)
+      )
+  );
+}
+
+/** @param {unknown} v */
+function isFraction(v) {
+  return typeof v === "number" && v >= 0 && v <= 1;
+}
+
+/** @param {number} v */
+function round(v) {
+  return Math.round(v * 1000) / 1000;
+}
@@ -0,0 +1,306 @@
+// Animated GIF encoder
+// --------------------
+// Streams RGBA frames into a looping GIF89a. Each frame gets its own
+// 256-colour palette from a median cut over a 15-bit colour histogram, which
+// keeps the smooth control-map fades usable without dithering.
+
+const MAX_CODE_SIZE = 12;
+const MAX_CODES = 1 << MAX_CODE_SIZE;
+const PALETTE_SIZE = 256;
+
+/**
+ * @typedef GifEncoder
+ * @property {(rgba: Uint8ClampedArray | Uint8Array, delayMs: number) => void} addFrame
+ *   append a frame shown for `delayMs`
+ * @property {() => Uint8Array} finish the complete file; no frames may follow
+ */
+
+/**
+ * @param {number} width
+ * @param {number} height
+ * @param {{ loop?: boolean }} [options] loop forever (default) or play once
+ * @returns {GifEncoder}
+ */
+export function createGifEncoder(width, height, { loop = true } = {}) {
+  if (!(width > 0 && height > 0 && width < 65536 && height < 65536)) {
+    throw new RangeError(`Invalid GIF size ${width}x${height}`);
+  }
+
+  const out = new ByteWriter();
+  out.ascii("GIF89a");
+  out.u16(width);
+  out.u16(height);
+  out.bytes([0, 0, 0]); // no global colour table, background 0, square pixels
+
+  if (loop) {
+    out.bytes([0x21, 0xff, 0x0b]);
+    out.ascii("NETSCAPE2.0");
+    out.bytes([0x03, 0x01, 0x00, 0x00, 0x00]); // loop count 0 = forever
+  }
+
+  // Frame delays are in centiseconds; carry the rounding so a clip keeps
+  // its overall length.
+  let elapsedMs = 0;
+  let elapsedCs = 0;
+  let finished = false;
+
+  return {
+    addFrame(rgba, delayMs) {
+      if (finished) throw new Error("GIF already finished");
+      if (rgba.length !== width * height * 4) {
+        throw new RangeError("Frame size does not match the GIF size");
+      }
+
+      elapsedMs += delayMs;
+      const targetCs = Math.round(elapsedMs / 10);
+      const delayCs = Math.min(0xffff, targetCs - elapsedCs);
+      elapsedCs += delayCs;
+
+      const { palette, indices } = quantize(rgba);
+      const tableBits = 8;
+
+      // Graphic control extension: leave the frame in place, no transparency
+      out.bytes([0x21, 0xf9, 0x04, 0x04]);
+      out.u16(delayCs);
+      out.bytes([0x00, 0x00]);
+
+      // Image descriptor with a local colour table
+      out.bytes([0x2c]);
+      out.u16(0);
+      out.u16(0);
+      out.u16(width);
+      out.u16(height);
+      out.bytes([0x80 | (tableBits - 1)]);
+      out.bytes(palette);
+
+      out.bytes([tableBits]);
+      writeLzw(out, indices, tableBits);
+      out.bytes([0x00]);
+    },
+
+    finish() {
+      if (!finished) {
+        out.bytes([0x3b]);
+        finished = true;
+      }
+      return out.toBytes();
+    },
+  };
+}
+
+/**
+ * Median-cut quantization to at most 256 colours.
+ *
+ * @param {Uint8ClampedArray | Uint8Array} rgba
+ * @returns {{ palette: Uint8Array, indices: Uint8Array }} palette is always
+ *   256 RGB entries (unused ones black); one index per pixel
+ */
+export function quantize(rgba) {
+  const pixelCount = rgba.length / 4;
+  const histogram = new Uint32Array(1 << 15);
+  for (let i = 0; i < rgba.length; i += 4) {
+    histogram[colourKey(rgba[i], rgba[i + 1], rgba[i + 2])]++;
+  }
+
+  let distinct = 0;
+  for (let k = 0; k < histogram.length; k++) {
+    if (histogram[k]) distinct++;
+  }
+  const keys = new Uint16Array(distinct);
+  for (let k = 0, j = 0; k < histogram.length; k++) {
+    if (histogram[k]) keys[j++] = k;
+  }
+
+  // Split the most populated box along its widest channel until the
+  // palette is full or every box holds a single histogram colour.
+  const boxes = [makeBox(keys, histogram, 0, distinct)];
+  while (boxes.length < PALETTE_SIZE) {
+    let best = -1;
+    for (let b = 0; b < boxes.length; b++) {
+      if (boxes[b].end - boxes[b].start > 1 && (best < 0 || boxes[b].count > boxes[best].count)) {
+        best = b;
+      }
+    }
+    if (best < 0) break;
+
+    const box = boxes[best];
+    const shift = box.channelShift;
+    const slice = keys.subarray(box.start, box.end);
+    slice.sort((a, b) => ((a >> shift) & 31) - ((b >> shift) & 31));
+
+    let seen = 0;
+    let split = box.start + 1;
+    for (let i = box.start; i < box.end - 1; i++) {
+      seen += histogram[keys[i]];
+      split = i + 1;
+      if (seen * 2 >= box.count) break;
+    }
+    boxes.splice(
+      best,
+      1,
+      makeBox(keys, histogram, box.start, split),
+      makeBox(keys, histogram, split, box.end)
+    );
+  }
+
+  const palette = new Uint8Array(PALETTE_SIZE * 3);
+  const lookup = new Uint8Array(1 << 15);
+  boxes.forEach((box, index) => {
+    let r = 0;
+    let g = 0;
+    let b = 0;
+    for (let i = box.start; i < box.end; i++) {
+      const key = keys[i];
+      const n = histogram[key];
+      r += ((key >> 10) & 31) * n;
+      g += ((key >> 5) & 31) * n;
+      b += (key & 31) * n;
+      lookup[key] = index;
+    }
+    // Back to 8 bits, centred in the 5-bit bucket
+    palette[index * 3] = Math.min(255, Math.round((r / box.count) * 8 + 4));
+    palette[index * 3 + 1] = Math.min(255, Math.round((g / box.count) * 8 + 4));
+    palette[index * 3 + 2] = Math.min(255, Math.round((b / box.count) * 8 + 4));
+  });
+
+  const indices = new Uint8Array(pixelCount);
+  for (let i = 0, p = 0; p < pixelCount; i += 4, p++) {
+    indices[p] = lookup[colourKey(rgba[i], rgba[i + 1], rgba[i + 2])];
+  }
+  return { palette, indices };
+}
+
+function colourKey(r, g, b) {
+  return ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+}
+
+/**
+ * @param {Uint16Array} keys
+ * @param {Uint32Array} histogram
+ * @param {number} start
+ * @param {number} end
+ */
+function makeBox(keys, histogram, start, end) {
+  let count = 0;
+  const min = [31, 31, 31];
+  const max = [0, 0, 0];
+  for (let i = start; i < end; i++) {
+    const key = keys[i];
+    count += histogram[key];
+    const c = [(key >> 10) & 31, (key >> 5) & 31, key & 31];
+    for (let ch = 0; ch < 3; ch++) {
+      if (c[ch] < min[ch]) min[ch] = c[ch];
+      if (c[ch] > max[ch]) max[ch] = c[ch];
+    }
+  }
+  const ranges = [max[0] - min[0], max[1] - min[1], max[2] - min[2]];
+  const widest = ranges.indexOf(Math.max(...ranges));
+  return { start, end, count, channelShift: [10, 5, 0][widest] };
+}
+
+/**
+ * Variable-length LZW as used by GIF, packed LSB-first into 255-byte
+ * sub-blocks.
+ *
+ * @param {ByteWriter} out
+ * @param {Uint8Array} indices
+ * @param {number} minCodeSize
+ */
+function writeLzw(out, indices, minCodeSize) {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+
+  let block = [];
+  let bitBuffer = 0;
+  let bitCount = 0;
+  const emit = (code, size) => {
+    bitBuffer |= code << bitCount;
+    bitCount += size;
+    while (bitCount >= 8) {
+      block.push(bitBuffer & 0xff);
+      bitBuffer >>>= 8;
+      bitCount -= 8;
+      if (block.length === 255) {
+        out.bytes([255]);
+        out.bytes(block);
+        block = [];
+      }
+    }
+  };
+
+  let codeSize = minCodeSize + 1;
+  let nextCode = endCode + 1;
+  /** @type {Map<number, number>} */
+  let table = new Map();
+  emit(clearCode, codeSize);
+
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const k = indices[i];
+    const key = (prefix << 8) | k;
+    const code = table.get(key);
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+
+    emit(prefix, codeSize);
+    if (nextCode === MAX_CODES) {
+      emit(clearCode, codeSize);
+      codeSize = minCodeSize + 1;
+      nextCode = endCode + 1;
+      table = new Map();
+    } else {
+      if (nextCode >= 1 << codeSize) codeSize++;
+      table.set(key, nextCode++);
+    }
+    prefix = k;
+  }
+  emit(prefix, codeSize);
+  emit(endCode, codeSize);
+
+  if (bitCount > 0) block.push(bitBuffer & 0xff);
+  if (block.length > 0) {
+    out.bytes([block.length]);
+    out.bytes(block);
+  }
+}
+
+// Growable byte buffer
+class ByteWriter {
+  constructor() {
+    this.buffer = new Uint8Array(1 << 16);
+    this.length = 0;
+  }
+
+  /** @param {ArrayLike<number>} values */
+  bytes(values) {
+    this.reserve(values.length);
+    this.buffer.set(values, this.length);
+    this.length += values.length;
+  }
+
+  /** @param {number} value */
+  u16(value) {
+    this.bytes([value & 0xff, (value >> 8) & 0xff]);
+  }
+
+  /** @param {string} text */
+  ascii(text) {
+    this.bytes(Array.from(text, (c) => c.charCodeAt(0)));
+  }
+
+  /** @param {number} extra */
+  reserve(extra) {
+    if (this.length + extra <= this.buffer.length) return;
+    let size = this.buffer.length * 2;
+    while (size < this.length + extra) size *= 2;
+    const next = new Uint8Array(size);
+    next.set(this.buffer.subarray(0, this.length));
+    this.buffer = next;
+  }
+
+  toBytes() {
+    return this.buffer.slice(0, this.length);
+  }
+}
@@ -1,14 +1,112 @@
 // Interactive football pitch control visualization
 // -------------------------------------------------
-// Two teams of 11 players (blue / red) are draggable.
-// The pitch is colored based on which player is closest to each point.
+// Two teams (blue / red) of any size, eleven a side or a small-sided
+// preset, are draggable and can be added to or thinned out.
+// The pitch is colored by which team controls each point: the nearest
+// player, or the probabilistic time-to-intercept model.
+
+import {
+  ATTRIBUTE_RANGES,
+  INITIAL_SPEED,
+  LOGICAL_WIDTH,
+  LOGICAL_HEIGHT,
+  MAX_SPEED_VIS,
+  clamp,
+  computeControlGrid,
+  createInitialPlayers,
+  playerAttributes,
+} from "./pitchModel.js";
+import { parseTracking, trackingToFrames } from "./tracking.js";
+import { parseRecording, serializeRecording } from "./recordingFile.js";
+import { createReplayClip, frameIndexAt, sampleClip } from "./replay.js";
+import { canExportWebm, exportGif, exportWebm } from "./clipExport.js";
+import { SvgContext } from "./svgContext.js";
+import {
+  captureFormation,
+  findFormation,
+  formationSpots,
+  formationsForTeamSize,
+  parseCustomFormations,
+} from "./formations.js";
+import {
+  DEFAULT_PITCH_SIZE,
+  PITCH_SIZES,
+  findPitchSize,
+  metresPerUnit,
+  pitchWidthMetres,
+} from "./pitchSizes.js";
+import { decodeScenario, encodeScenario } from "./scenarioUrl.js";
+import { attackingSign, passGain, switchEnds } from "./direction.js";
+import {
+  DEFAULT_PASS_TYPE,
+  PASS_TYPES,
+  PASS_TYPE_NAMES,
+  isPassType,
+  passRange,
+} from "./ballFlight.js";
+import { offsideLimitX, offsidePlayerIds } from "./offside.js";
+import {
+  findPassOptions,
+  firstToArrive,
+  passProbability,
+  rankPassOptions,
+} from "./passOptions.js";
+import { bestReceptionSpots, receptionPixels, receptionValues } from "./reception.js";
+import { playPass } from "./passPlay.js";
+import { ballPossession, possessionEvents, possessionShares } from "./possession.js";
+import { createUndoHistory } from "./undoHistory.js";
+import { computeControlStats, playerAreas } from "./controlStats.js";
+import {
+  DEFAULT_THREAT_GRID,
+  controlledThreat,
+  parseThreatGrid,
+  threatAt,
+  threatPixels,
+} from "./threat.js";
+import { clampGroupOffset, playersInRect, rectFromCorners } from "./selection.js";
+import {
+  MAX_SHIRT_NUMBER,
+  ROLES,
+  captureRoster,
+  isRole,
+  isShirtNumber,
+  nextShirtNumber,
+  parseSavedRosters,
+  roleForDepth,
+} from "./roster.js";
+
+/** @typedef {import("./pitchModel.js").Player} Player */
+/** @typedef {import("./pitchModel.js").ControlState} ControlState */
+/** @typedef {import("./pitchModel.js").BallControlRules} BallControlRules */
+/** @typedef {import("./pitchModel.js").PhysicalAttributes} PhysicalAttributes */
+/** @typedef {import("./ballFlight.js").PassType} PassType */
+/** @typedef {import("./roster.js").SavedRoster} SavedRoster */
+/** @typedef {import("./controlStats.js").ControlStats} ControlStats */
+/** @typedef {import("./threat.js").ThreatGrid} ThreatGrid */
+/** @typedef {import("./replay.js").ReplayClip} ReplayClip */
+/** @typedef {import("./recordingFile.js").FeatureFlags} FeatureFlags */
+/** @typedef {import("./formations.js").Formation} Formation */
+/** @typedef {import("./pitchSizes.js").PitchSize} PitchSize */
+/** @typedef {import("./scenarioUrl.js").Scenario} BoardState */
+/** @typedef {import("./passOptions.js").PassOption} PassOption */
+/** @typedef {import("./passPlay.js").PassPlay} PassPlay */
+/** @typedef {import("./pitchModel.js").RecordingFrame} RecordingFrame */
+/** @typedef {import("./possession.js").Possession} Possession */
+/** @typedef {import("./possession.js").PossessionEvent} PossessionEvent */
 
-const CANVAS_ID = "pitchCanvas";
+/**
+ * The passes open to whoever has the ball, worked out once per frame.
+ *
+ * @typedef PassAnalysis
+ * @property {import("./pitchModel.js").Team} team in possession
+ * @property {Player} controller
+ * @property {PassOption[]} options to each onside teammate's feet and into
+ *   the space around them
+ * @property {PassOption[]} offside passes to teammates in offside positions
+ * @property {PassOption[]} ranked the best options, most valuable first
+ */
 
-// Use a logical pitch size with football-like aspect ratio
-// Standard: 105m x 68m ≈ 105:68 ≈ 1.54
-const LOGICAL_WIDTH = 1050; // logical units for calculations
-const LOGICAL_HEIGHT = 680;
+const CANVAS_ID = "pitchCanvas";
 
 // Resolution used when calculating control areas on a lower‑res buffer.
 // Smaller step -> higher resolution (smoother) but more CPU work.
@@ -16,6 +114,38 @@ const LOGICAL_HEIGHT = 680;
 // keep performance high while preserving soft boundaries.
 const GRID_STEP = 3;
 
+// Exported animations: pixel width and frame rate per format. Frames are
+// rendered offline, so these don't depend on the screen or its refresh rate.
+const EXPORT_VIDEO_WIDTH = 1280;
+const EXPORT_VIDEO_FPS = 30;
+const EXPORT_GIF_WIDTH = 640;
+const EXPORT_GIF_FPS = 15;
+// PNG snapshots are rendered at this many pixels per logical pitch unit,
+// whatever the screen's device pixel ratio
+const SNAPSHOT_SCALE = 4;
+
+// How long players take to walk into a newly picked formation
+const FORMATION_TRANSITION_MS = 600;
+// localStorage key for formations saved from the board
+const CUSTOM_FORMATIONS_KEY = "pitchControl.customFormations";
+// localStorage key for rosters saved from the roster panel
+const SAVED_ROSTERS_KEY = "pitchControl.rosters";
+// localStorage key for the last zone value grid loaded from a file
+const CUSTOM_THREAT_GRID_KEY = "pitchControl.threatGrid";
+
+// Quiet period before a board change becomes a new URL / history entry, so
+// quick successive changes share one entry
+const SCENARIO_URL_DELAY_MS = 400;
+
+// Most board edits kept for undo
+const UNDO_LIMIT = 100;
+// Grid for each player's controlled area in the stats panel (1 m cells on
+// a full-size pitch)
+const PLAYER_AREA_COLS = 105;
+const PLAYER_AREA_ROWS = 68;
+// How far "Line up" / "Line down" move the selected players (5 m)
+const LINE_SHIFT_STEP = 50;
+
 // Player visual properties
 const PLAYER_RADIUS = 10;
 const PLAYER_OUTLINE_WIDTH = 2;
@@ -23,31 +153,59 @@ const PLAYER_STROKE_STYLE = "#020617";
 // How far around a player you can hover/grab (multiplier of radius)
 const HIT_RADIUS_FACTOR = 2.0;
 // Velocity / arrow rendering configuration
-const MAX_SPEED_VIS = 35; // logical speed corresponding to max arrow length
-const INITIAL_SPEED = 18; // default starting speed magnitude
 const ARROW_HIT_RADIUS_FACTOR = 1.6; // relative to circle radius, for arrow hit test
+// Area player centres are kept inside while dragging
+const PLAYER_BOUNDS = {
+  left: PLAYER_RADIUS * 1.5,
+  top: PLAYER_RADIUS * 1.5,
+  right: LOGICAL_WIDTH - PLAYER_RADIUS * 1.5,
+  bottom: LOGICAL_HEIGHT - PLAYER_RADIUS * 1.5,
+};
 
 // Ball properties (for pass control mode)
 const BALL_RADIUS = 7;
-// Approximate kicked ball speed relative to players (players ≈ 1 unit of speed).
-// Using a modest multiple keeps some passes "reachable" and others not.
-const BALL_SPEED = 3.5; // logical units per "time" step
 // Radius in which a player is considered to have close control of the ball
 // (in logical units). Increased by 50% to make control zone larger.
 const BALL_CONTROL_RADIUS = 33;
+// How far a goalkeeper can claim the ball with their hands inside their own
+// penalty area (in logical units)
+const GOALKEEPER_HANDS_RADIUS = 50;
+// Passes gaining at least this much ground towards the opposition goal
+// count as forward (3 m)
+const FORWARD_PASS_MIN_GAIN = 30;
 // How similar in arrival times two players must be to be considered "simultaneous"
 const PLAYER_TIME_SIMILARITY_FACTOR = 1.2;
 
+// Player inspector sliders, one per physical attribute
+/** @type {(keyof PhysicalAttributes)[]} */
+const ATTRIBUTE_NAMES = ["maxSpeed", "acceleration", "reactionTime"];
+const ATTRIBUTE_INPUT_IDS = {
+  maxSpeed: "inspectMaxSpeed",
+  acceleration: "inspectAcceleration",
+  reactionTime: "inspectReactionTime",
+};
+const ATTRIBUTE_UNITS = { maxSpeed: "m/s", acceleration: "m/s²", reactionTime: "s" };
+
 // Team colors
 const BLUE_COLOR = "#3b82f6";
 const RED_COLOR = "#ef4444";
 
-// Slight transparent control color to blend with pitch lines
-const CONTROL_BLUE_RGBA = "rgba(59, 130, 246, 0.28)";
-// Make red-controlled regions visually strong, clearly red
-const CONTROL_RED_RGBA = "rgba(255, 0, 0, 0.46)";
-// Contested areas (similar distance to both teams)
-const CONTROL_CONTESTED_RGBA = "rgba(255, 255, 255, 0.7)";
+// Passes less likely than this to be completed aren't drawn or listed
+const MIN_PASS_PROBABILITY = 0.05;
+// How many of the best passes the side list shows
+const PASS_LIST_LENGTH = 5;
+// Marker for where a pass into space is played to, in pixels
+const PASS_SPACE_MARKER_RADIUS = 6;
+// Reception map: how many of the most valuable spaces to mark, at least
+// this far apart
+const RECEPTION_SPOT_COUNT = 3;
+const RECEPTION_SPOT_SPACING = 12; // m
+const RECEPTION_SPOT_COLOR = "#facc15";
+// Offside positions, and passes to players in them
+const OFFSIDE_COLOR = "#fb923c";
+// Ring around the player on the ball, and around a contested ball
+const CARRIER_COLOR = "#f8fafc";
+const CONTESTED_COLOR = "#fbbf24";
 
 // Pitch line style
 const PITCH_LINE_COLOR = "rgba(226, 232, 240, 0.85)";
@@ -68,6 +226,38 @@ let controlCtx = null;
 let controlWidth = 0;
 let controlHeight = 0;
 
+// Worker that computes the control grid off the main thread
+/** @type {Worker | null} */
+let controlWorker = null;
+let controlWorkerBusy = false;
+// Replay time of the request the worker is busy with (null outside replay)
+/** @type {number | null} */
+let inFlightGridTime = null;
+let pendingControlRequest = null;
+let lastControlRequestKey = "";
+// Latest finished grid: blue team's share of control per cell (row by row)
+/** @type {Float32Array | null} */
+let controlGrid = null;
+// Set while drawing an export or snapshot (see renderOffscreen)
+let renderingOffscreen = false;
+// Stats for the latest control grid, and blue's share at each frame of the
+// clip as seen in replay (for the stats chart; NaN where not seen yet)
+/** @type {ControlStats | null} */
+let controlStats = null;
+let statsSamples = new Float32Array(0);
+// Colours the model produced for the latest grid (kept for repainting)
+/** @type {Uint8ClampedArray | null} */
+let controlPixels = null;
+// Expected Threat weighting: the overlay toggle, the zone values in use
+// and the last custom grid loaded, plus each team's controlled threat
+let threatEnabled = false;
+/** @type {ThreatGrid} */
+let threatGrid = DEFAULT_THREAT_GRID;
+/** @type {ThreatGrid | null} */
+let customThreatGrid = null;
+/** @type {{ blue: number, red: number } | null} */
+let threatStats = null;
+
 // Ball model (single ball on the pitch)
 const ball = {
   x: LOGICAL_WIDTH / 2,
@@ -78,22 +268,17 @@ const ball = {
 /** @type {HTMLImageElement | null} */
 let ballImage = null;
 let ballImageLoaded = false;
-
-// Player model
-/**
- * @typedef {"blue" | "red"} Team
- *
- * @typedef Player
- * @property {number} id
- * @property {Team} team
- * @property {number} x // logical coordinate
- * @property {number} y // logical coordinate
- * @property {number} vx // logical velocity (delta per frame) in x
- * @property {number} vy // logical velocity (delta per frame) in y
- */
+// The ball as an SVG data URL, fetched for the first SVG snapshot
+/** @type {string | null} */
+let ballSvgHref = null;
 
 /** @type {Player[]} */
 let players = [];
+// Full-size or small-sided pitch the board stands for
+/** @type {PitchSize} */
+let pitchSize = DEFAULT_PITCH_SIZE;
+// Blue attacks the right-hand goal until the teams switch ends
+let blueAttacksRight = true;
 
 // Drag state
 let draggingPlayerId = null;
@@ -102,20 +287,131 @@ let dragOffsetY = 0;
 let hoveredPlayerId = null;
 let draggingArrowPlayerId = null;
 let draggingBall = false;
+// Start position of every player moving with the current drag (the
+// grabbed player, plus the rest of the selection if they belong to it)
+/** @type {Map<Player, { x: number, y: number }>} */
+let groupDragStarts = new Map();
+
+// Multi-selection (shift-click or rubber band), moved and edited as a group
+/** @type {Set<number>} */
+const selectedPlayerIds = new Set();
+// Rubber band being dragged out on empty grass, in logical units
+/** @type {{ startX: number, startY: number, endX: number, endY: number } | null} */
+let selectionBand = null;
+// Player whose physical attributes are open in the inspector
+/** @type {number | null} */
+let inspectedPlayerId = null;
+// Board before the inspector slider currently being dragged was moved
+/** @type {BoardState | null} */
+let inspectorEditStart = null;
+
+// Players walking into a picked formation, advanced in renderAll
+/**
+ * @type {{ player: Player, fromX: number, fromY: number, toX: number,
+ *   toY: number, start: number }[]}
+ */
+let formationMoves = [];
+// Formations saved from the board (persisted in localStorage)
+/** @type {Formation[]} */
+let customFormations = [];
+// Rosters saved from the roster panel (persisted in localStorage)
+/** @type {SavedRoster[]} */
+let savedRosters = [];
+
+// Undo / redo of board edits (drags, formations, toggles)
+const undoHistory = createUndoHistory(UNDO_LIMIT);
+// Board as it was when the current drag started, committed on release
+/** @type {BoardState | null} */
+let dragStartBoard = null;
+
+// Board state last written to (or read from) the URL hash
+let lastScenarioHash = "";
+let scenarioUrlTimer = 0;
 
 // Feature flags
 let arrowsEnabled = true;
 let ballModeEnabled = false;
 let passLinesEnabled = false;
+// Use the probabilistic time-to-intercept model instead of biased distance
+let probabilisticEnabled = false;
+// How the ball is played in ball mode (ground, driven or lofted)
+/** @type {PassType} */
+let passType = DEFAULT_PASS_TYPE;
+// Reception map overlay (ball mode only), the point last clicked on it and
+// the overlay built from the latest control grid
+let receptionEnabled = false;
+/** @type {{ x: number, y: number } | null} */
+let receptionTarget = null;
+/**
+ * @type {{
+ *   grid: Float32Array,
+ *   team: import("./pitchModel.js").Team,
+ *   threatGrid: ThreatGrid,
+ *   blueAttacksRight: boolean,
+ *   canvas: HTMLCanvasElement,
+ *   spots: import("./reception.js").ReceptionSpot[],
+ * } | null}
+ */
+let receptionOverlay = null;
+// Playing a pass: waiting for the click that picks where it goes, then the
+// pass being played out from `startTime` (undone back to `before`)
+let passAiming = false;
+/** @type {{ play: PassPlay, startTime: number, before: BoardState } | null} */
+let passInFlight = null;
+// Who has the ball in ball mode, worked out at the start of every frame
+/** @type {Possession} */
+let possession = { carrier: null, contested: false };
+// Changes of possession in the clip, extended frame by frame as it is
+// recorded; `key` holds the control rules and player roles they were
+// worked out with
+/**
+ * @type {{
+ *   frames: RecordingFrame[],
+ *   length: number,
+ *   key: string,
+ *   events: PossessionEvent[],
+ * } | null}
+ */
+let possessionLog = null;
+// Text of the pass list and possession panel last shown, so unchanged
+// frames leave them alone
+let passPanelKey = "";
+let possessionPanelKey = "";
+
+// Display names for the two teams (saved with recordings)
+const teamNames = { blue: "Blue", red: "Red" };
 
 // Recording / replay state
 let isRecording = false;
 let isReplaying = false;
 let recordingFrames = [];
+// Which way blue attacked when the clip was recorded (or as its file says),
+// saved with it whatever the board does since
+let clipBlueAttacksRight = true;
 let recordStartTime = 0;
 let replayStartTime = 0;
-let replayIndex = 0;
-const REPLAY_SPEED = 1; // 1x by default
+// recordingFrames indexed for playback, built lazily (see getReplayClip)
+/** @type {ReplayClip | null} */
+let replayClip = null;
+// Player shown for each replayClip slot: copies of the board's players,
+// built lazily, so the replay never moves the board's own
+/** @type {(Player | null)[] | null} */
+let replayTargets = null;
+// The board's players and ball while a replay has the pitch, put back when
+// it stops so the clip's roster and positions don't leak into editing
+/** @type {{ players: Player[], ball: { x: number, y: number } } | null} */
+let boardBeforeReplay = null;
+let replaySpeed = 1; // 1x by default, 0.25x–4x from the speed picker
+let replayPaused = false;
+let replayLoop = false;
+// Clip time (ms) currently shown while replaying
+let replayTime = 0;
+// Running animation export, cancelled through Stop
+/** @type {AbortController | null} */
+let exportAbort = null;
+let exportProgress = 0; // 0..1
+// Refreshes the recording / transport controls (set up in initRecordingControls)
+let updateRecordingUI = () => {};
 
 // Simple render throttling: batch multiple updates into a single frame
 let renderQueued = false;
@@ -139,7 +435,11 @@ window.addEventListener("DOMContentLoaded", () => {
   });
 
   setupCanvasSize();
-  initPlayers();
+  // A shared link opens on the board it describes
+  if (!restoreScenarioFromUrl()) {
+    initPlayers();
+  }
+  initControlWorker();
   attachInteractionHandlers();
 
   // Hook up UI toggles
@@ -147,10 +447,13 @@ window.addEventListener("DOMContentLoaded", () => {
   if (arrowsCheckbox instanceof HTMLInputElement) {
     arrowsCheckbox.checked = arrowsEnabled;
     arrowsCheckbox.addEventListener("change", () => {
+      settlePassInFlight();
+      const before = captureBoard();
       arrowsEnabled = arrowsCheckbox.checked;
       if (!arrowsEnabled) {
         draggingArrowPlayerId = null;
       }
+      recordBoardEdit("Toggle arrows", before);
       requestRender();
     });
   }
@@ -160,6 +463,8 @@ window.addEventListener("DOMContentLoaded", () => {
   if (ballCheckbox instanceof HTMLInputElement) {
     ballCheckbox.checked = ballModeEnabled;
     ballCheckbox.addEventListener("change", () => {
+      settlePassInFlight();
+      const before = captureBoard();
       ballModeEnabled = ballCheckbox.checked;
       if (!ballModeEnabled) {
         draggingBall = false;
@@ -175,23 +480,115 @@ window.addEventListener("DOMContentLoaded", () => {
           passCheckbox.disabled = false;
         }
       }
+      const passTypeSelect = document.getElementById("passTypeSelect");
+      if (passTypeSelect instanceof HTMLSelectElement) {
+        passTypeSelect.disabled = !ballModeEnabled;
+      }
+      updateBallModeTools();
+      recordBoardEdit("Toggle ball mode", before);
       requestRender();
     });
   }
 
-  // Hook up safe pass-lines toggle (only meaningful when ball mode is enabled)
+  // Hook up pass-lines toggle (only meaningful when ball mode is enabled)
   const passCheckbox = document.getElementById("togglePassLines");
   if (passCheckbox instanceof HTMLInputElement) {
     passCheckbox.checked = passLinesEnabled;
     passCheckbox.disabled = !ballModeEnabled;
     passCheckbox.addEventListener("change", () => {
+      settlePassInFlight();
+      const before = captureBoard();
       passLinesEnabled = passCheckbox.checked;
+      recordBoardEdit("Toggle pass lines", before);
+      requestRender();
+    });
+  }
+
+  // Hook up the pass type picker (also only meaningful in ball mode)
+  const passTypeSelect = document.getElementById("passTypeSelect");
+  if (passTypeSelect instanceof HTMLSelectElement) {
+    passTypeSelect.replaceChildren(
+      ...PASS_TYPES.map(
+        (type) =>
+          new Option(`${PASS_TYPE_NAMES[type]} · up to ${Math.round(passRange(type))} m`, type)
+      )
+    );
+    passTypeSelect.value = passType;
+    passTypeSelect.disabled = !ballModeEnabled;
+    passTypeSelect.addEventListener("change", () => {
+      if (!isPassType(passTypeSelect.value)) return;
+      settlePassInFlight();
+      const before = captureBoard();
+      passType = passTypeSelect.value;
+      recordBoardEdit("Pass type", before);
+      requestRender();
+    });
+  }
+
+  // Hook up the reception map (ball mode too). It is a view of the board
+  // rather than part of it, so it isn't undone or shared.
+  const receptionCheckbox = document.getElementById("toggleReception");
+  if (receptionCheckbox instanceof HTMLInputElement) {
+    receptionCheckbox.addEventListener("change", () => {
+      receptionEnabled = receptionCheckbox.checked;
+      receptionTarget = null;
       requestRender();
     });
   }
 
+  // Playing a pass: the button arms it, the next click on the pitch plays it
+  const playPassBtn = document.getElementById("playPassBtn");
+  if (playPassBtn instanceof HTMLButtonElement) {
+    playPassBtn.addEventListener("click", () => setPassAiming(!passAiming));
+  }
+  window.addEventListener("keydown", (e) => {
+    if (e.key === "Escape" && passAiming) setPassAiming(false);
+  });
+  updateBallModeTools();
+
+  // Hook up control model toggle (biased distance vs. probabilistic)
+  const probCheckbox = document.getElementById("toggleProbModel");
+  if (probCheckbox instanceof HTMLInputElement) {
+    probCheckbox.checked = probabilisticEnabled;
+    probCheckbox.addEventListener("change", () => {
+      settlePassInFlight();
+      const before = captureBoard();
+      probabilisticEnabled = probCheckbox.checked;
+      recordBoardEdit("Toggle control model", before);
+      requestRender();
+    });
+  }
+
+  // Undo / redo toolbar and shortcuts
+  initUndoControls();
+
+  // Formation pickers
+  initFormationControls();
+
+  // Group operations on the selected players
+  initSelectionControls();
+
+  // Pitch size presets and adding / removing players
+  initRosterControls();
+
+  // Which goal each team attacks, and switching ends
+  initDirectionControls();
+
+  // Expected Threat overlay and zone value grids
+  initThreatControls();
+
+  // Shirt numbers, names and roles
+  initRosterPanel();
+
+  // Top speed, acceleration and reaction time of the clicked player
+  initPlayerInspector();
+
+  // Shareable links and back / forward between board states
+  initScenarioUrl();
+
   // Recording controls
   initRecordingControls();
+  initSnapshotControls();
 
   // First render
   renderAll();
@@ -231,61 +628,109 @@ function setupCanvasSize() {
   controlCtx = null;
   controlWidth = 0;
   controlHeight = 0;
+  controlGrid = null;
 }
 
 function initPlayers() {
-  players = [];
-
-  // Arrange players in classic 4-4-2 style starting positions, mirrored
-  // along the vertical axis for blue vs red.
-  //
-  // Positions given as fractions of pitch (0..1).
-  const blueFormation = [
-    // Goalkeeper
-    { x: 0.08, y: 0.5 },
-    // Defenders (back line)
-    { x: 0.22, y: 0.18 },
-    { x: 0.22, y: 0.38 },
-    { x: 0.22, y: 0.62 },
-    { x: 0.22, y: 0.82 },
-    // Midfield
-    { x: 0.4, y: 0.16 },
-    { x: 0.4, y: 0.35 },
-    { x: 0.4, y: 0.65 },
-    { x: 0.4, y: 0.84 },
-    // Forwards
-    { x: 0.64, y: 0.35 },
-    { x: 0.64, y: 0.65 },
-  ];
+  players = createInitialPlayers();
+}
 
-  const redFormation = blueFormation.map((p) => ({
-    x: 1 - p.x,
-    y: p.y,
-  }));
+/** @returns {FeatureFlags} */
+function getFeatureFlags() {
+  return {
+    arrowsEnabled,
+    ballModeEnabled,
+    passLinesEnabled,
+    probabilisticEnabled,
+  };
+}
 
-  let idCounter = 1;
-  for (const p of blueFormation) {
-    players.push({
-      id: idCounter++,
-      team: "blue",
-      x: p.x * LOGICAL_WIDTH,
-      y: p.y * LOGICAL_HEIGHT,
-      // Initial movement: toward opposition goal (to the right)
-      vx: INITIAL_SPEED,
-      vy: 0,
-    });
+/**
+ * Set feature flags (e.g. from a loaded recording) and bring the legend
+ * toggles in line with them.
+ *
+ * @param {FeatureFlags} flags
+ */
+function applyFeatureFlags(flags) {
+  arrowsEnabled = flags.arrowsEnabled;
+  ballModeEnabled = flags.ballModeEnabled;
+  // Pass lines are only available with the ball on the pitch
+  passLinesEnabled = flags.ballModeEnabled && flags.passLinesEnabled;
+  probabilisticEnabled = flags.probabilisticEnabled;
+
+  if (!arrowsEnabled) draggingArrowPlayerId = null;
+  if (!ballModeEnabled) draggingBall = false;
+
+  syncToggleInputs();
+  requestRender();
+}
+
+function syncToggleInputs() {
+  const toggles = {
+    toggleArrows: arrowsEnabled,
+    toggleBallMode: ballModeEnabled,
+    togglePassLines: passLinesEnabled,
+    toggleProbModel: probabilisticEnabled,
+  };
+  for (const [id, checked] of Object.entries(toggles)) {
+    const input = document.getElementById(id);
+    if (input instanceof HTMLInputElement) {
+      input.checked = checked;
+    }
   }
-  for (const p of redFormation) {
-    players.push({
-      id: idCounter++,
-      team: "red",
-      x: p.x * LOGICAL_WIDTH,
-      y: p.y * LOGICAL_HEIGHT,
-      // Initial movement: toward opposition goal (to the left)
-      vx: -INITIAL_SPEED,
-      vy: 0,
-    });
+
+  const passCheckbox = document.getElementById("togglePassLines");
+  if (passCheckbox instanceof HTMLInputElement) {
+    passCheckbox.disabled = !ballModeEnabled;
+  }
+  const passTypeSelect = document.getElementById("passTypeSelect");
+  if (passTypeSelect instanceof HTMLSelectElement) {
+    passTypeSelect.value = passType;
+    passTypeSelect.disabled = !ballModeEnabled;
+  }
+  updateBallModeTools();
+}
+
+/**
+ * The reception map and playing passes need the ball: switch them off
+ * along with ball mode.
+ */
+function updateBallModeTools() {
+  if (!ballModeEnabled) {
+    receptionEnabled = false;
+    receptionTarget = null;
+    passAiming = false;
+  }
+  const receptionCheckbox = document.getElementById("toggleReception");
+  if (receptionCheckbox instanceof HTMLInputElement) {
+    receptionCheckbox.checked = receptionEnabled;
+    receptionCheckbox.disabled = !ballModeEnabled;
   }
+  const playPassBtn = document.getElementById("playPassBtn");
+  if (playPassBtn instanceof HTMLButtonElement) {
+    playPassBtn.disabled = !ballModeEnabled;
+    playPassBtn.setAttribute("aria-pressed", String(passAiming));
+  }
+  if (canvas && !draggingBall && draggingPlayerId == null) {
+    canvas.style.cursor = passAiming ? "crosshair" : "default";
+  }
+}
+
+function updateTeamNameLabels() {
+  const blueLabel = document.getElementById("legendBlueLabel");
+  const redLabel = document.getElementById("legendRedLabel");
+  if (blueLabel) blueLabel.textContent = `${teamNames.blue} Team Control`;
+  if (redLabel) redLabel.textContent = `${teamNames.red} Team Control`;
+
+  const blueFormationLabel = document.getElementById("blueFormationLabel");
+  const redFormationLabel = document.getElementById("redFormationLabel");
+  if (blueFormationLabel) blueFormationLabel.textContent = teamNames.blue;
+  if (redFormationLabel) redFormationLabel.textContent = teamNames.red;
+
+  const blueRosterLabel = document.getElementById("blueRosterLabel");
+  const redRosterLabel = document.getElementById("redRosterLabel");
+  if (blueRosterLabel) blueRosterLabel.textContent = teamNames.blue;
+  if (redRosterLabel) redRosterLabel.textContent = teamNames.red;
 }
 
 // ---- Rendering -----------------------------------------------------------
@@ -296,38 +741,43 @@ function renderAll(timestamp) {
   const now = typeof timestamp === "number" ? timestamp : performance.now();
 
   // If replaying, advance the simulation state based on recorded frames
-  if (isReplaying && recordingFrames.length > 0) {
-    const tRel = (now - replayStartTime) * REPLAY_SPEED;
-
-    // Find the last frame with t <= tRel
-    while (
-      replayIndex + 1 < recordingFrames.length &&
-      recordingFrames[replayIndex + 1].t <= tRel
-    ) {
-      replayIndex++;
+  if (
+    isReplaying &&
+    recordingFrames.length > 0 &&
+    !replayPaused &&
+    !renderingOffscreen
+  ) {
+    let tRel = (now - replayStartTime) * replaySpeed;
+    const endT = recordingFrames[recordingFrames.length - 1].t;
+    const looping = replayLoop && endT > 0;
+
+    if (looping && tRel >= endT) {
+      // Wrap around to the start of the clip
+      tRel %= endT;
+      replayStartTime = now - tRel / replaySpeed;
     }
+    replayTime = Math.min(tRel, endT);
+    applyReplayTime(replayTime);
 
-    const frame = recordingFrames[replayIndex];
-    if (frame) {
-      // Apply recorded state
-      for (const p of players) {
-        const snap = frame.players.find((sp) => sp.id === p.id);
-        if (snap) {
-          p.x = snap.x;
-          p.y = snap.y;
-          p.vx = snap.vx;
-          p.vy = snap.vy;
-        }
-      }
-      ball.x = frame.ball.x;
-      ball.y = frame.ball.y;
+    // Stop replay once we reach the end of the clip
+    if (tRel >= endT && !looping) {
+      leaveReplay();
+      updateRecordingUI();
     }
+    updateReplayTimeline();
+  }
 
-    // Stop replay once we reach the last frame
-    if (replayIndex >= recordingFrames.length - 1) {
-      isReplaying = false;
-    }
+  if (formationMoves.length > 0 && !isReplaying && !renderingOffscreen) {
+    advanceFormationMoves(now);
   }
+  if (passInFlight && !renderingOffscreen) {
+    advancePassInFlight(now);
+  }
+
+  // Who has the ball, for everything drawn below
+  possession = ballModeEnabled
+    ? ballPossession(players, ball, ballControlRules())
+    : { carrier: null, contested: false };
 
   // Clear
   ctx.clearRect(0, 0, canvas.width, canvas.height);
@@ -338,24 +788,32 @@ function renderAll(timestamp) {
 
   // Draw control heatmap
   drawControlAreas();
+  drawReceptionMap();
+  drawAttackingDirections();
+  drawOffsideLines();
 
   // Draw players on top
   drawPlayers();
   // Draw ball only when ball pass mode is enabled
+  const passAnalysis = ballModeEnabled && passLinesEnabled ? analysePasses() : null;
   if (ballModeEnabled) {
     drawBall();
-    if (passLinesEnabled) {
-      drawPassLines();
-    }
+    drawPassLines(passAnalysis);
+    drawReceptionPass();
+  }
+  // Selection feedback is for the screen only, not snapshots or exports
+  if (selectionBand && !renderingOffscreen) {
+    drawSelectionBand();
   }
 
   // Capture frame while recording (using relative time from recordStartTime)
-  if (isRecording && !isReplaying) {
+  if (isRecording && !isReplaying && !renderingOffscreen) {
     const t = now - recordStartTime;
     recordingFrames.push({
       t,
       players: players.map((p) => ({
         id: p.id,
+        team: p.team,
         x: p.x,
         y: p.y,
         vx: p.vx,
@@ -365,10 +823,169 @@ function renderAll(timestamp) {
     });
   }
 
-  // If we're replaying, keep driving frames until finished
-  if (isReplaying && replayIndex < recordingFrames.length - 1) {
+  // If we're replaying, keep driving frames until finished or paused
+  if (isReplaying && !replayPaused && !renderingOffscreen) {
     requestRender();
   }
+  // Likewise while players are still walking into a formation, or a pass
+  // is being played out
+  if ((formationMoves.length > 0 || passInFlight) && !renderingOffscreen) {
+    requestRender();
+  }
+
+  if (!renderingOffscreen) {
+    renderPassPanel(passAnalysis);
+    renderPossessionPanel();
+    scheduleScenarioUrlUpdate();
+  }
+}
+
+/**
+ * The current recording indexed for playback, rebuilt after recordingFrames
+ * changes (see invalidateReplayClip).
+ *
+ * @returns {ReplayClip}
+ */
+function getReplayClip() {
+  if (!replayClip) {
+    replayClip = createReplayClip(recordingFrames);
+  }
+  if (!replayTargets) {
+    const boardPlayers = boardBeforeReplay ? boardBeforeReplay.players : players;
+    const playersById = new Map(boardPlayers.map((p) => [p.id, p]));
+    const { teams } = replayClip;
+    // Players recorded but no longer on the board come back for the replay
+    // when the clip says which team they play for
+    /** @type {(Player | null)[]} */
+    const targets = [];
+    replayClip.ids.forEach((id, slot) => {
+      const team = teams[slot];
+      const existing = playersById.get(id);
+      if (existing || !team) {
+        targets.push(existing ? { ...existing } : null);
+        return;
+      }
+      // Recordings don't carry identities: give them the next free number
+      const teamPlayers = [...boardPlayers, ...targets].filter((p) => p?.team === team);
+      const number = nextShirtNumber(/** @type {Player[]} */ (teamPlayers));
+      targets.push({ id, team, number, name: "", role: "MF", x: 0, y: 0, vx: 0, vy: 0 });
+    });
+    replayTargets = targets;
+  }
+  return replayClip;
+}
+
+function invalidateReplayClip() {
+  replayClip = null;
+  replayTargets = null;
+  statsSamples = new Float32Array(0);
+}
+
+/**
+ * Hand the pitch to the replay, keeping the board to put back when it stops.
+ */
+function enterReplay() {
+  if (!isReplaying) {
+    boardBeforeReplay = { players, ball: { ...ball } };
+    // Replay copies of the players as they are now (names, roles, numbers)
+    replayTargets = null;
+  }
+  isReplaying = true;
+  formationMoves = [];
+}
+
+/**
+ * Stop replaying and put the board back as it was before the replay.
+ */
+function leaveReplay() {
+  isReplaying = false;
+  replayPaused = false;
+  if (!boardBeforeReplay) return;
+  players = boardBeforeReplay.players;
+  ball.x = boardBeforeReplay.ball.x;
+  ball.y = boardBeforeReplay.ball.y;
+  boardBeforeReplay = null;
+  onRosterChanged();
+  requestRender();
+}
+
+/**
+ * Move the players and ball to the clip state at `time`, interpolated
+ * between the recorded frames either side.
+ *
+ * @param {number} time ms
+ */
+function applyReplayTime(time) {
+  const { states, ball: clipBall } = sampleClip(getReplayClip(), time);
+  /** @type {Player[]} */
+  const onPitch = [];
+  (replayTargets ?? []).forEach((p, slot) => {
+    const o = slot * 4;
+    if (!p || Number.isNaN(states[o])) return;
+    p.x = states[o];
+    p.y = states[o + 1];
+    p.vx = states[o + 2];
+    p.vy = states[o + 3];
+    onPitch.push(p);
+  });
+  ball.x = clipBall.x;
+  ball.y = clipBall.y;
+
+  // The board shows whoever is on the pitch at this point of the clip
+  // (players come and go with added players, removals and substitutes)
+  if (onPitch.length !== players.length || onPitch.some((p, i) => p !== players[i])) {
+    players = onPitch;
+    onRosterChanged();
+  }
+}
+
+/**
+ * Draw the current scene into another context (exports and snapshots) at
+ * `ratio` target pixels per logical CSS pixel. The target can be a canvas
+ * context or an SvgContext. The on-screen canvas and its control map buffer
+ * are left untouched.
+ *
+ * @param {CanvasRenderingContext2D | SvgContext} targetCtx
+ * @param {number} ratio
+ */
+function renderOffscreen(targetCtx, ratio) {
+  const saved = {
+    canvas,
+    ctx,
+    deviceRatio,
+    controlCanvas,
+    controlCtx,
+    controlWidth,
+    controlHeight,
+    controlGrid,
+    controlPixels,
+    lastControlRequestKey,
+  };
+
+  // SvgContext mimics the parts of the canvas API the draw functions use
+  canvas = /** @type {HTMLCanvasElement} */ (targetCtx.canvas);
+  ctx = /** @type {CanvasRenderingContext2D} */ (targetCtx);
+  deviceRatio = ratio;
+  ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+  controlCanvas = null;
+  controlCtx = null;
+  lastControlRequestKey = "";
+  renderingOffscreen = true;
+  try {
+    renderAll();
+  } finally {
+    renderingOffscreen = false;
+    canvas = saved.canvas;
+    ctx = saved.ctx;
+    deviceRatio = saved.deviceRatio;
+    controlCanvas = saved.controlCanvas;
+    controlCtx = saved.controlCtx;
+    controlWidth = saved.controlWidth;
+    controlHeight = saved.controlHeight;
+    controlGrid = saved.controlGrid;
+    controlPixels = saved.controlPixels;
+    lastControlRequestKey = saved.lastControlRequestKey;
+  }
 }
 
 function requestRender() {
@@ -410,9 +1027,6 @@ function drawPitchLines() {
   const w = canvas.width / deviceRatio;
   const h = canvas.height / deviceRatio;
 
-  const scaleX = w / LOGICAL_WIDTH;
-  const scaleY = h / LOGICAL_HEIGHT;
-
   const lineWidth = PITCH_LINE_WIDTH;
 
   ctx.save();
@@ -434,8 +1048,13 @@ function drawPitchLines() {
   ctx.lineTo(midX, h);
   ctx.stroke();
 
+  // Markings are in metres, so small-sided pitches get their own
+  const { markings } = pitchSize;
+  const pxPerMetreX = w / pitchSize.length;
+  const pxPerMetreY = h / pitchWidthMetres(pitchSize);
+
   // Centre circle
-  const centerCircleRadius = 9.15 * scaleX * (LOGICAL_WIDTH / 105); // approx 9.15m radius
+  const centerCircleRadius = markings.centreCircle * pxPerMetreX;
   ctx.beginPath();
   ctx.arc(midX, h / 2, centerCircleRadius, 0, Math.PI * 2);
   ctx.stroke();
@@ -447,8 +1066,8 @@ function drawPitchLines() {
   ctx.fill();
 
   // Penalty boxes
-  const penaltyBoxDepth = 16.5 * scaleX * (LOGICAL_WIDTH / 105);
-  const penaltyBoxWidth = 40.32 * scaleY * (LOGICAL_HEIGHT / 68);
+  const penaltyBoxDepth = markings.penaltyAreaDepth * pxPerMetreX;
+  const penaltyBoxWidth = markings.penaltyAreaWidth * pxPerMetreY;
 
   const sixY = (h - penaltyBoxWidth) / 2;
   const sixH = penaltyBoxWidth;
@@ -458,65 +1077,107 @@ function drawPitchLines() {
   // Right penalty box
   ctx.strokeRect(w - penaltyBoxDepth, sixY, penaltyBoxDepth, sixH);
 
-  // Goal boxes
-  const goalBoxDepth = 5.5 * scaleX * (LOGICAL_WIDTH / 105);
-  const goalBoxWidth = 18.32 * scaleY * (LOGICAL_HEIGHT / 68);
+  // Goal boxes (not marked on the smaller pitches)
+  if (markings.goalAreaDepth > 0) {
+    const goalBoxDepth = markings.goalAreaDepth * pxPerMetreX;
+    const goalBoxWidth = markings.goalAreaWidth * pxPerMetreY;
 
-  const goalY = (h - goalBoxWidth) / 2;
-  const goalH = goalBoxWidth;
+    const goalY = (h - goalBoxWidth) / 2;
+    const goalH = goalBoxWidth;
 
-  ctx.strokeRect(0, goalY, goalBoxDepth, goalH);
-  ctx.strokeRect(w - goalBoxDepth, goalY, goalBoxDepth, goalH);
+    ctx.strokeRect(0, goalY, goalBoxDepth, goalH);
+    ctx.strokeRect(w - goalBoxDepth, goalY, goalBoxDepth, goalH);
+  }
 
   // Penalty spots
-  const penaltyDistance = 11 * scaleX * (LOGICAL_WIDTH / 105);
+  const penaltyDistance = markings.penaltySpot * pxPerMetreX;
   ctx.beginPath();
   ctx.arc(penaltyDistance, h / 2, 1.8, 0, Math.PI * 2);
   ctx.arc(w - penaltyDistance, h / 2, 1.8, 0, Math.PI * 2);
   ctx.fill();
 
-  // Penalty arcs
-  const penaltyArcRadius = 9.15 * scaleX * (LOGICAL_WIDTH / 105);
-  // Left
-  ctx.beginPath();
-  ctx.arc(
-    penaltyDistance,
-    h / 2,
-    penaltyArcRadius,
-    -0.3 * Math.PI,
-    0.3 * Math.PI,
-    false
-  );
-  ctx.stroke();
-  // Right
-  ctx.beginPath();
-  ctx.arc(
-    w - penaltyDistance,
-    h / 2,
-    penaltyArcRadius,
-    0.7 * Math.PI,
-    1.3 * Math.PI,
-    false
-  );
-  ctx.stroke();
+  // Penalty arcs: the part of the circle round the spot outside the box
+  const penaltyArcRadius = markings.centreCircle * pxPerMetreX;
+  const arcOverhang = penaltyBoxDepth - penaltyDistance;
+  if (arcOverhang < penaltyArcRadius) {
+    const arcAngle = Math.acos(arcOverhang / penaltyArcRadius);
+    // Left
+    ctx.beginPath();
+    ctx.arc(penaltyDistance, h / 2, penaltyArcRadius, -arcAngle, arcAngle, false);
+    ctx.stroke();
+    // Right
+    ctx.beginPath();
+    ctx.arc(
+      w - penaltyDistance,
+      h / 2,
+      penaltyArcRadius,
+      Math.PI - arcAngle,
+      Math.PI + arcAngle,
+      false
+    );
+    ctx.stroke();
+  }
 
   ctx.restore();
 }
 
-function drawControlAreas() {
-  if (!ctx || !canvas) return;
+/**
+ * Each team's offside line (level with its second-last defender) as a
+ * dashed line in its colour, while the ball is on the pitch.
+ */
+function drawOffsideLines() {
+  if (!ctx || !canvas || !ballModeEnabled) return;
 
   const w = canvas.width / deviceRatio;
   const h = canvas.height / deviceRatio;
+  const scaleX = w / LOGICAL_WIDTH;
+
+  ctx.save();
+  ctx.lineWidth = 1.5;
+  ctx.setLineDash([8, 6]);
+  for (const team of /** @type {const} */ (["blue", "red"])) {
+    // Held no deeper than halfway, where offside starts
+    const lineX = offsideLimitX(players, team, blueAttacksRight);
+    // Fewer than two defenders: the goal line is the line
+    if (lineX <= 0 || lineX >= LOGICAL_WIDTH) continue;
+    ctx.strokeStyle = team === "blue" ? "rgba(147, 197, 253, 0.8)" : "rgba(252, 165, 165, 0.8)";
+    ctx.beginPath();
+    ctx.moveTo(lineX * scaleX, 0);
+    ctx.lineTo(lineX * scaleX, h);
+    ctx.stroke();
+  }
+  ctx.restore();
+}
+
+/**
+ * Label which way each team attacks either side of the halfway line, e.g.
+ * "◀ Red" and "Blue ▶" along the top touchline.
+ */
+function drawAttackingDirections() {
+  if (!ctx || !canvas) return;
+
+  const w = canvas.width / deviceRatio;
+  const midX = w / 2;
+  const leftTeam = blueAttacksRight ? "red" : "blue";
+  const rightTeam = blueAttacksRight ? "blue" : "red";
 
-  const scaleX = LOGICAL_WIDTH / w;
-  const scaleY = LOGICAL_HEIGHT / h;
+  ctx.save();
+  ctx.font = "600 11px system-ui, sans-serif";
+  ctx.textBaseline = "middle";
+  ctx.fillStyle = leftTeam === "blue" ? BLUE_COLOR : RED_COLOR;
+  ctx.textAlign = "right";
+  ctx.fillText(`◀ ${teamNames[leftTeam]}`, midX - 8, 14);
+  ctx.fillStyle = rightTeam === "blue" ? BLUE_COLOR : RED_COLOR;
+  ctx.textAlign = "left";
+  ctx.fillText(`${teamNames[rightTeam]} ▶`, midX + 8, 14);
+  ctx.restore();
+}
 
-  // Pre-compute players by team
-  const bluePlayers = players.filter((p) => p.team === "blue");
-  const redPlayers = players.filter((p) => p.team === "red");
+function drawControlAreas() {
+  if (!ctx || !canvas) return;
 
-  if (!bluePlayers.length && !redPlayers.length) return;
+  const w = canvas.width / deviceRatio;
+  const h = canvas.height / deviceRatio;
 
   // Prepare / resize offscreen buffer
   const offW = Math.max(1, Math.round(w / GRID_STEP));
@@ -529,6 +1190,8 @@ function drawControlAreas() {
     controlCtx = controlCanvas.getContext("2d");
     controlWidth = offW;
     controlHeight = offH;
+    controlGrid = null;
+    lastControlRequestKey = "";
     if (controlCtx) {
       controlCtx.imageSmoothingEnabled = true;
     }
@@ -536,121 +1199,9 @@ function drawControlAreas() {
 
   if (!controlCtx || !controlCanvas) return;
 
-  // Clear previous frame
-  controlCtx.clearRect(0, 0, offW, offH);
-
-  // Draw the control map onto the low‑res buffer, one cell per pixel.
-  for (let oy = 0; oy < offH; oy++) {
-    for (let ox = 0; ox < offW; ox++) {
-      // Sample at the centre of each coarse cell in logical coordinates
-      const x = (ox + 0.5) * GRID_STEP;
-      const y = (oy + 0.5) * GRID_STEP;
-      const lx = x * scaleX;
-      const ly = y * scaleY;
-
-      // Find nearest blue and red players separately using either
-      // pure distance or an arrival "cost" that factors in both
-      // distance and current velocity / movement direction.
-      let minBlueSq = Infinity;
-      for (const p of bluePlayers) {
-        const costSq = arrowsEnabled
-          ? arrivalCostSquared(p, lx, ly)
-          : ((p.x - lx) * (p.x - lx) + (p.y - ly) * (p.y - ly));
-        if (costSq < minBlueSq) minBlueSq = costSq;
-      }
-
-      let minRedSq = Infinity;
-      for (const p of redPlayers) {
-        const costSq = arrowsEnabled
-          ? arrivalCostSquared(p, lx, ly)
-          : ((p.x - lx) * (p.x - lx) + (p.y - ly) * (p.y - ly));
-        if (costSq < minRedSq) minRedSq = costSq;
-      }
-
-      // If only one team has players, let that team control everything.
-      if (!isFinite(minBlueSq) && !isFinite(minRedSq)) continue;
-
-      if (!ballModeEnabled) {
-        // --- Standard pitch control (no ball) ---
-        if (!isFinite(minRedSq)) {
-          // Only blue on the pitch
-          controlCtx.fillStyle = CONTROL_BLUE_RGBA;
-        } else if (!isFinite(minBlueSq)) {
-          // Only red on the pitch
-          controlCtx.fillStyle = CONTROL_RED_RGBA;
-        } else {
-          // Both teams present: compute how "contested" the point is.
-          const minSq = Math.min(minBlueSq, minRedSq);
-          const maxSq = Math.max(minBlueSq, minRedSq);
-          const ratioSq = minSq / maxSq; // 0..1
-
-          const blueControls = minBlueSq <= minRedSq;
-
-          // Soften the transition to white so the contested borders look smooth
-          // rather than like hard polygons.
-          const START_FADE_RATIO_SQUARED = 0.45; // start blending towards white
-          const FULL_WHITE_RATIO_SQUARED = 0.9;  // almost equal distance -> very white
-
-          // Determine how much to fade the team colour towards white.
-          let t; // 0 => pure team colour, 1 => very white/contested
-          if (ratioSq <= START_FADE_RATIO_SQUARED) {
-            t = 0;
-          } else if (ratioSq >= FULL_WHITE_RATIO_SQUARED) {
-            t = 1;
-          } else {
-            t =
-              (ratioSq - START_FADE_RATIO_SQUARED) /
-              (FULL_WHITE_RATIO_SQUARED - START_FADE_RATIO_SQUARED);
-          }
-
-          // Base RGB + alpha for the controlling team
-          const baseR = blueControls ? 59 : 255;
-          const baseG = blueControls ? 130 : 0;
-          const baseB = blueControls ? 246 : 0;
-          const baseAlpha = blueControls ? 0.28 : 0.46;
-
-          // Linearly blend the colour towards a softer light tone and a
-          // slightly lower alpha so contested regions "shine" less.
-          const targetR = 235;
-          const targetG = 240;
-          const targetB = 245;
-          const targetAlpha = 0.55;
-
-          const r = Math.round(baseR * (1 - t) + targetR * t);
-          const g = Math.round(baseG * (1 - t) + targetG * t);
-          const b = Math.round(baseB * (1 - t) + targetB * t);
-          const alpha = baseAlpha * (1 - t) + targetAlpha * t;
-
-          controlCtx.fillStyle = `rgba(${r}, ${g}, ${b}, ${alpha.toFixed(3)})`;
-        }
-      } else {
-        // --- Ball pass control mode with simplified rule ---
-        const tBlue = isFinite(minBlueSq) ? Math.sqrt(minBlueSq) : Infinity;
-        const tRed = isFinite(minRedSq) ? Math.sqrt(minRedSq) : Infinity;
-
-        // Time for the ball to arrive if passed directly from its current position
-        const dbx = lx - ball.x;
-        const dby = ly - ball.y;
-        const distBall = Math.sqrt(dbx * dbx + dby * dby);
-        const tBall = distBall / BALL_SPEED;
-
-        const whiteColour = "rgba(235, 240, 245, 0.7)";
-
-        // If both teams can reach this point before the ball, it's contested -> white.
-        if (tBlue < tBall && tRed < tBall) {
-          controlCtx.fillStyle = whiteColour;
-        } else if (tBlue <= tRed) {
-          // Blue arrives first (or only blue can arrive)
-          controlCtx.fillStyle = isFinite(tBlue) ? CONTROL_BLUE_RGBA : whiteColour;
-        } else {
-          // Red arrives first (or only red can arrive)
-          controlCtx.fillStyle = isFinite(tRed) ? CONTROL_RED_RGBA : whiteColour;
-        }
-      }
-
-      controlCtx.fillRect(ox, oy, 1, 1);
-    }
-  }
+  // Ask for a fresh grid if anything changed. The worker answers
+  // asynchronously, so this frame shows the most recent finished grid.
+  requestControlGrid(offW, offH);
 
   // Now upscale the low-res control buffer onto the main canvas with
   // smoothing, which visually softens the boundaries between cells.
@@ -661,64 +1212,116 @@ function drawControlAreas() {
   ctx.restore();
 }
 
+// ---- Control map worker ----------------------------------------------------
+
+function initControlWorker() {
+  try {
+    controlWorker = new Worker("./controlWorker.js", { type: "module" });
+  } catch (err) {
+    // Module workers are unavailable in this browser; the grid is then
+    // computed on the main thread instead.
+    controlWorker = null;
+    return;
+  }
+
+  controlWorker.addEventListener("message", (e) => {
+    controlWorkerBusy = false;
+    const { cols, rows, control, pixels } = e.data;
+    applyControlGrid(cols, rows, control, pixels, inFlightGridTime);
+
+    if (pendingControlRequest) {
+      const next = pendingControlRequest;
+      pendingControlRequest = null;
+      postControlRequest(next);
+    }
+    requestRender();
+  });
+
+  controlWorker.addEventListener("error", () => {
+    // The worker script failed to load or crashed: fall back to the main thread.
+    controlWorker?.terminate();
+    controlWorker = null;
+    controlWorkerBusy = false;
+    pendingControlRequest = null;
+    lastControlRequestKey = "";
+    requestRender();
+  });
+}
+
 /**
- * Approximate "time to arrive" cost for a player to reach (lx, ly),
- * taking into account both distance and the player's current velocity
- * direction. Lower cost means arriving sooner.
- *
- * We avoid real units and use a biased distance that is shorter when the
- * player is already moving toward the point and longer when moving away.
+ * Request a control grid for the current players / ball / flags. Requests
+ * are skipped when nothing changed, and while the worker is busy only the
+ * latest request is kept, so a fast drag never builds up a backlog.
  *
- * @param {Player} p
- * @param {number} lx
- * @param {number} ly
- * @returns {number} squared cost (monotonic with time)
+ * @param {number} cols
+ * @param {number} rows
  */
-function arrivalCostSquared(p, lx, ly) {
-  const dx = lx - p.x;
-  const dy = ly - p.y;
-  const distSq = dx * dx + dy * dy;
-  if (distSq === 0) return 0;
+function requestControlGrid(cols, rows) {
+  /** @type {ControlState} */
+  const state = {
+    players: players.map((p) => ({
+      team: p.team,
+      x: p.x,
+      y: p.y,
+      vx: p.vx,
+      vy: p.vy,
+      maxSpeed: p.maxSpeed,
+      acceleration: p.acceleration,
+      reactionTime: p.reactionTime,
+    })),
+    ball: { x: ball.x, y: ball.y },
+    arrowsEnabled,
+    ballModeEnabled,
+    probabilisticEnabled,
+    metresPerUnit: metresPerUnit(pitchSize),
+    passType,
+  };
 
-  const dist = Math.sqrt(distSq);
-  const dirX = dx / dist;
-  const dirY = dy / dist;
+  const key = JSON.stringify([cols, rows, state]);
+  if (key === lastControlRequestKey) return;
+  lastControlRequestKey = key;
 
-  // Component of current velocity along the direction to the point.
-  const speedAlong = p.vx * dirX + p.vy * dirY;
+  const request = { cols, rows, state, time: isReplaying ? replayTime : null };
 
-  // Limit how strongly velocity can bias arrival, to keep shapes stable.
-  const MAX_V_EFFECT = 25;
-  const clampedSpeed = Math.max(-MAX_V_EFFECT, Math.min(MAX_V_EFFECT, speedAlong));
+  // Offscreen renders are drawn in one go, so they can't wait for the worker
+  if (!controlWorker || renderingOffscreen) {
+    const control = new Float32Array(cols * rows);
+    const pixels = new Uint8ClampedArray(cols * rows * 4);
+    computeControlGrid(state, cols, rows, control, pixels);
+    applyControlGrid(cols, rows, control, pixels, request.time);
+    return;
+  }
 
-  // Positive clampedSpeed (moving toward) effectively shortens distance;
-  // negative (moving away) lengthens it slightly.
-  const VELOCITY_INFLUENCE = 0.6;
-  const biasedDist = dist - VELOCITY_INFLUENCE * clampedSpeed;
-  const effectiveDist = Math.max(0, biasedDist);
+  if (controlWorkerBusy) {
+    pendingControlRequest = request;
+    return;
+  }
+  postControlRequest(request);
+}
 
-  return effectiveDist * effectiveDist;
+function postControlRequest(request) {
+  if (!controlWorker) return;
+  controlWorkerBusy = true;
+  inFlightGridTime = request.time;
+  controlWorker.postMessage(request);
 }
 
 /**
- * @param {number} lx
- * @param {number} ly
- * @returns {Player | null}
+ * Store a finished grid and paint it into the offscreen buffer with a
+ * single putImageData. Results computed for a previous canvas size are dropped.
+ *
+ * @param {number} cols
+ * @param {number} rows
+ * @param {Float32Array} control
+ * @param {Uint8ClampedArray} pixels
+ * @param {number | null} gridTime replay time the grid was computed for
  */
-function findNearestPlayer(lx, ly) {
-  let best = null;
-  let bestDistSq = Infinity;
-
-  for (const p of players) {
-    const dx = p.x - lx;
-    const dy = p.y - ly;
-    const d2 = dx * dx + dy * dy;
-    if (d2 < bestDistSq) {
-      bestDistSq = d2;
-      best = p;
-    }
-  }
-  return best;
+function applyControlGrid(cols, rows, control, pixels, gridTime) {
+  if (!controlCtx || cols !== controlWidth || rows !== controlHeight) return;
+  controlGrid = control;
+  controlPixels = pixels;
+  controlCtx.putImageData(new ImageData(controlMapPixels(control, pixels), cols, rows), 0, 0);
+  updateControlStats(gridTime);
 }
 
 function drawPlayers() {
@@ -730,6 +1333,11 @@ function drawPlayers() {
   const scaleX = w / LOGICAL_WIDTH;
   const scaleY = h / LOGICAL_HEIGHT;
 
+  // Offside positions only mean something with the ball on the pitch
+  const offsideIds = ballModeEnabled
+    ? offsidePlayerIds(players, ball, blueAttacksRight)
+    : new Set();
+
   ctx.save();
   ctx.lineWidth = PLAYER_OUTLINE_WIDTH;
   ctx.strokeStyle = PLAYER_STROKE_STYLE;
@@ -740,6 +1348,8 @@ function drawPlayers() {
 
     const isHovered = p.id === hoveredPlayerId;
     const isDragging = p.id === draggingPlayerId || p.id === draggingArrowPlayerId;
+    const isSelected = selectedPlayerIds.has(p.id) && !renderingOffscreen;
+    const isInspected = p.id === inspectedPlayerId && !renderingOffscreen;
     const radius = (isHovered || isDragging) ? PLAYER_RADIUS * 1.25 : PLAYER_RADIUS;
 
     // Glow halo
@@ -795,10 +1405,58 @@ function drawPlayers() {
     } else if (isDragging) {
       ctx.lineWidth = PLAYER_OUTLINE_WIDTH + 1;
       ctx.strokeStyle = "#e5e7eb";
+    } else if (offsideIds.has(p.id)) {
+      ctx.lineWidth = PLAYER_OUTLINE_WIDTH + 1;
+      ctx.strokeStyle = OFFSIDE_COLOR;
     }
     ctx.stroke();
     ctx.restore();
 
+    // The player on the ball
+    if (p === possession.carrier) {
+      ctx.save();
+      ctx.lineWidth = 2;
+      ctx.strokeStyle = CARRIER_COLOR;
+      ctx.beginPath();
+      ctx.arc(cx, cy, radius + 4, 0, Math.PI * 2);
+      ctx.stroke();
+      ctx.restore();
+    }
+
+    // Shirt number
+    if (p.number !== undefined) {
+      ctx.save();
+      ctx.fillStyle = "#f8fafc";
+      ctx.font = `700 ${Math.round(radius * 1.05)}px system-ui, sans-serif`;
+      ctx.textAlign = "center";
+      ctx.textBaseline = "middle";
+      ctx.fillText(String(p.number), cx, cy + 0.5);
+      ctx.restore();
+    }
+
+    // Solid ring around the player open in the inspector
+    if (isInspected) {
+      ctx.save();
+      ctx.lineWidth = 2;
+      ctx.strokeStyle = "#f8fafc";
+      ctx.beginPath();
+      ctx.arc(cx, cy, radius + (isSelected ? 9 : 5), 0, Math.PI * 2);
+      ctx.stroke();
+      ctx.restore();
+    }
+
+    // Dashed ring around selected players
+    if (isSelected) {
+      ctx.save();
+      ctx.lineWidth = 1.5;
+      ctx.strokeStyle = "#facc15";
+      ctx.setLineDash([4, 3]);
+      ctx.beginPath();
+      ctx.arc(cx, cy, radius + 5, 0, Math.PI * 2);
+      ctx.stroke();
+      ctx.restore();
+    }
+
     // Velocity arrow: indicates direction and magnitude of movement.
     const speedSq = p.vx * p.vx + p.vy * p.vy;
     if (arrowsEnabled && speedSq > 1) {
@@ -848,164 +1506,2262 @@ function drawPlayers() {
   ctx.restore();
 }
 
-function drawPassLines() {
-  if (!ctx || !canvas || !ballModeEnabled || !passLinesEnabled) return;
+/**
+ * Every pass open to whoever has the ball, with their chances of
+ * completion: one line per teammate, offside or not, and the best ranked
+ * options (passes into space included) for the side list.
+ *
+ * @param {PassAnalysis | null} analysis
+ */
+function drawPassLines(analysis) {
+  if (!ctx || !canvas || !analysis) return;
 
   const w = canvas.width / deviceRatio;
   const h = canvas.height / deviceRatio;
   const scaleX = w / LOGICAL_WIDTH;
   const scaleY = h / LOGICAL_HEIGHT;
 
-  const bluePlayers = players.filter((p) => p.team === "blue");
-  const redPlayers = players.filter((p) => p.team === "red");
+  const fromX = ball.x;
+  const fromY = ball.y;
+  const sign = attackingSign(analysis.team, blueAttacksRight);
+  const fx = fromX * scaleX;
+  const fy = fromY * scaleY;
 
-  // Determine which team has close control of the ball
-  const closeBlue = bluePlayers.filter((p) => {
-    const dx = p.x - ball.x;
-    const dy = p.y - ball.y;
-    return Math.sqrt(dx * dx + dy * dy) <= BALL_CONTROL_RADIUS;
-  });
-  const closeRed = redPlayers.filter((p) => {
-    const dx = p.x - ball.x;
-    const dy = p.y - ball.y;
-    return Math.sqrt(dx * dx + dy * dy) <= BALL_CONTROL_RADIUS;
+  ctx.save();
+  ctx.lineCap = "round";
+  ctx.lineJoin = "round";
+  ctx.font = "600 10px system-ui, sans-serif";
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+
+  const toFeet = analysis.options.filter((o) => !o.intoSpace);
+  const intoSpace = analysis.ranked.filter((o) => o.intoSpace);
+  for (const option of [...analysis.offside, ...toFeet, ...intoSpace]) {
+    if (option.probability < MIN_PASS_PROBABILITY) continue;
+
+    const txCenter = option.x * scaleX;
+    const tyCenter = option.y * scaleY;
+
+    // Colour and weight follow the chance of completion; forward passes
+    // stand out, square and back passes are dashed and faint. A pass to a
+    // player in an offside position isn't on at all.
+    const isOffside = analysis.offside.includes(option);
+    const isForward = passGain(fromX, option.x, sign) >= FORWARD_PASS_MIN_GAIN;
+    const color = isOffside
+      ? OFFSIDE_COLOR
+      : passProbabilityColor(option.probability, isForward ? 0.95 : 0.7);
+    ctx.lineWidth = isOffside ? 2 : 1 + option.probability * 3;
+    ctx.setLineDash(isOffside ? [2, 5] : option.intoSpace ? [3, 4] : isForward ? [] : [6, 5]);
+
+    // Direction from ball to target and trimmed end at edge of target player
+    // (or of the marker for a pass into space)
+    const dx = txCenter - fx;
+    const dy = tyCenter - fy;
+    const len = Math.sqrt(dx * dx + dy * dy) || 1;
+    const ux = dx / len;
+    const uy = dy / len;
+    const endOffset = option.intoSpace ? PASS_SPACE_MARKER_RADIUS : PLAYER_RADIUS + 2;
+    const ex = txCenter - ux * endOffset;
+    const ey = tyCenter - uy * endOffset;
+
+    // Draw main line
+    ctx.strokeStyle = color;
+    ctx.beginPath();
+    ctx.moveTo(fx, fy);
+    ctx.lineTo(ex, ey);
+    ctx.stroke();
+
+    // Offside: a cross where the arrow head would be
+    if (isOffside) {
+      const arm = 5;
+      ctx.setLineDash([]);
+      ctx.beginPath();
+      ctx.moveTo(ex - arm, ey - arm);
+      ctx.lineTo(ex + arm, ey + arm);
+      ctx.moveTo(ex + arm, ey - arm);
+      ctx.lineTo(ex - arm, ey + arm);
+      ctx.stroke();
+      continue;
+    }
+
+    if (option.intoSpace) {
+      // A ring where the ball is played to
+      ctx.setLineDash([]);
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.arc(txCenter, tyCenter, PASS_SPACE_MARKER_RADIUS, 0, Math.PI * 2);
+      ctx.stroke();
+    } else {
+      // Draw arrow head at end of line, touching the edge of the player
+      const headLen = 10;
+      const angle = Math.atan2(dy, dx);
+      const hx = ex;
+      const hy = ey;
+      ctx.beginPath();
+      ctx.moveTo(hx, hy);
+      ctx.lineTo(
+        hx - headLen * Math.cos(angle - Math.PI / 6),
+        hy - headLen * Math.sin(angle - Math.PI / 6)
+      );
+      ctx.lineTo(
+        hx - headLen * Math.cos(angle + Math.PI / 6),
+        hy - headLen * Math.sin(angle + Math.PI / 6)
+      );
+      ctx.closePath();
+      ctx.fillStyle = color;
+      ctx.fill();
+    }
+
+    // Chance of completion halfway along, on a dark tag to stay legible
+    // over the heatmap
+    const label = formatShare(option.probability);
+    const lx = (fx + ex) / 2;
+    const ly = (fy + ey) / 2;
+    const tagWidth = ctx.measureText(label).width + 6;
+    ctx.fillStyle = "rgba(15, 23, 42, 0.8)";
+    ctx.fillRect(lx - tagWidth / 2, ly - 7, tagWidth, 14);
+    ctx.fillStyle = color;
+    ctx.fillText(label, lx, ly);
+  }
+
+  ctx.restore();
+}
+
+/**
+ * Colour of a pass line, from red for a likely loss of the ball through
+ * amber to green for a safe pass.
+ *
+ * @param {number} probability 0..1
+ * @param {number} alpha
+ */
+function passProbabilityColor(probability, alpha) {
+  return `hsla(${Math.round(probability * 120)}, 85%, 60%, ${alpha})`;
+}
+
+/**
+ * Who can control the ball where on the current pitch: each team's own
+ * penalty area is the one at the end it defends.
+ *
+ * @returns {BallControlRules}
+ */
+function ballControlRules() {
+  const unitsPerMetre = 1 / metresPerUnit(pitchSize);
+  const depth = pitchSize.markings.penaltyAreaDepth * unitsPerMetre;
+  const halfWidth = (pitchSize.markings.penaltyAreaWidth * unitsPerMetre) / 2;
+  const top = LOGICAL_HEIGHT / 2 - halfWidth;
+  const bottom = LOGICAL_HEIGHT / 2 + halfWidth;
+  const leftArea = { left: 0, top, right: depth, bottom };
+  const rightArea = { left: LOGICAL_WIDTH - depth, top, right: LOGICAL_WIDTH, bottom };
+
+  return {
+    reach: BALL_CONTROL_RADIUS,
+    handsReach: GOALKEEPER_HANDS_RADIUS,
+    penaltyAreas: blueAttacksRight
+      ? { blue: leftArea, red: rightArea }
+      : { blue: rightArea, red: leftArea },
+  };
+}
+
+function drawSelectionBand() {
+  if (!ctx || !canvas || !selectionBand) return;
+
+  const w = canvas.width / deviceRatio;
+  const h = canvas.height / deviceRatio;
+  const scaleX = w / LOGICAL_WIDTH;
+  const scaleY = h / LOGICAL_HEIGHT;
+  const rect = rectFromCorners(
+    { x: selectionBand.startX, y: selectionBand.startY },
+    { x: selectionBand.endX, y: selectionBand.endY }
+  );
+  const x = rect.left * scaleX;
+  const y = rect.top * scaleY;
+  const bandW = (rect.right - rect.left) * scaleX;
+  const bandH = (rect.bottom - rect.top) * scaleY;
+
+  ctx.save();
+  ctx.fillStyle = "rgba(250, 204, 21, 0.08)";
+  ctx.fillRect(x, y, bandW, bandH);
+  ctx.lineWidth = 1;
+  ctx.strokeStyle = "rgba(250, 204, 21, 0.9)";
+  ctx.setLineDash([5, 4]);
+  ctx.strokeRect(x, y, bandW, bandH);
+  ctx.restore();
+}
+
+// ---- Control statistics -------------------------------------------------------
+
+/**
+ * Recompute the stats from the control grid that has just landed and show
+ * them. Grids computed for a replay frame also add a point to the chart.
+ *
+ * @param {number | null} gridTime replay time (ms) the grid was computed for
+ */
+function updateControlStats(gridTime) {
+  if (!controlGrid || renderingOffscreen) return;
+  controlStats = computeControlStats(
+    controlGrid,
+    controlWidth,
+    controlHeight,
+    ballControlRules().penaltyAreas
+  );
+  threatStats = controlledThreat(
+    controlGrid,
+    controlWidth,
+    controlHeight,
+    threatGrid,
+    blueAttacksRight
+  );
+  if (gridTime != null && replayClip && recordingFrames.length > 0) {
+    // One sample per clip frame, so loops and scrubbing overwrite samples
+    // rather than pile them up
+    if (statsSamples.length !== recordingFrames.length) {
+      statsSamples = new Float32Array(recordingFrames.length).fill(NaN);
+    }
+    statsSamples[frameIndexAt(recordingFrames, gridTime)] = controlStats.blue;
+  }
+  renderStatsPanel();
+}
+
+function renderStatsPanel() {
+  const stats = controlStats;
+  if (!stats) return;
+
+  const blueBar = document.getElementById("statsBlueBar");
+  if (blueBar) blueBar.style.width = `${stats.blue * 100}%`;
+  const blueShare = document.getElementById("statsBlueShare");
+  const redShare = document.getElementById("statsRedShare");
+  if (blueShare) blueShare.textContent = `${teamNames.blue} ${formatShare(stats.blue)}`;
+  if (redShare) redShare.textContent = `${formatShare(1 - stats.blue)} ${teamNames.red}`;
+
+  fillShareCells("statsThirds", stats.thirds);
+  fillShareCells("statsLanes", stats.lanes);
+  fillShareCells("statsZones", stats.zones);
+  fillShareCells("statsBoxes", [stats.penaltyAreas.blue, stats.penaltyAreas.red]);
+
+  const blueThreat = document.getElementById("statsBlueThreat");
+  const redThreat = document.getElementById("statsRedThreat");
+  if (blueThreat && threatStats) blueThreat.textContent = formatShare(threatStats.blue);
+  if (redThreat && threatStats) redThreat.textContent = formatShare(threatStats.red);
+
+  const list = document.getElementById("statsPlayers");
+  if (list) {
+    const areas = playerAreas(
+      players,
+      PLAYER_AREA_COLS,
+      PLAYER_AREA_ROWS,
+      arrowsEnabled,
+      metresPerUnit(pitchSize)
+    );
+    list.replaceChildren(
+      ...players.map((p) => {
+        const item = document.createElement("li");
+        item.className = `stats-player stats-player--${p.team}`;
+        item.title = p.name || `${teamNames[p.team]} #${p.number}`;
+        item.textContent = `#${p.number} ${Math.round(areas.get(p.id) ?? 0)}`;
+        return item;
+      })
+    );
+  }
+
+  drawStatsChart();
+}
+
+/**
+ * Write blue's share into each cell of a stats row, tinting the cell
+ * towards the team that controls it.
+ *
+ * @param {string} id container element
+ * @param {number[]} shares
+ */
+function fillShareCells(id, shares) {
+  const container = document.getElementById(id);
+  if (!container) return;
+  if (container.children.length !== shares.length) {
+    container.replaceChildren(
+      ...shares.map(() => {
+        const cell = document.createElement("span");
+        cell.className = "stats-cell";
+        return cell;
+      })
+    );
+  }
+  shares.forEach((share, i) => {
+    const cell = /** @type {HTMLElement} */ (container.children[i]);
+    cell.textContent = formatShare(share);
+    // Evenly split cells stay neutral; clear control shows the team colour
+    const lean = Math.abs(share - 0.5) * 2;
+    const rgb = share >= 0.5 ? "59, 130, 246" : "239, 68, 68";
+    cell.style.backgroundColor = `rgba(${rgb}, ${(0.15 + lean * 0.6).toFixed(2)})`;
+  });
+}
+
+/**
+ * @param {number} share 0..1
+ */
+function formatShare(share) {
+  return `${Math.round(share * 100)}%`;
+}
+
+/**
+ * Blue's (and so red's) share of the pitch over the clip, from the frames
+ * seen so far in replay, with the current replay time marked.
+ */
+function drawStatsChart() {
+  const chart = document.getElementById("statsChart");
+  const hint = document.getElementById("statsChartHint");
+  if (!(chart instanceof HTMLCanvasElement)) return;
+  const chartCtx = chart.getContext("2d");
+  if (!chartCtx) return;
+
+  const duration = recordingFrames.length > 0 ? recordingFrames[recordingFrames.length - 1].t : 0;
+  /** @type {{ t: number, blue: number }[]} */
+  const samples = [];
+  statsSamples.forEach((blue, i) => {
+    if (!Number.isNaN(blue) && i < recordingFrames.length) {
+      samples.push({ t: recordingFrames[i].t, blue });
+    }
+  });
+  if (hint) hint.hidden = samples.length > 1;
+
+  const w = chart.width;
+  const h = chart.height;
+  chartCtx.clearRect(0, 0, w, h);
+
+  // Even split
+  chartCtx.save();
+  chartCtx.strokeStyle = "rgba(148, 163, 184, 0.5)";
+  chartCtx.setLineDash([3, 3]);
+  chartCtx.beginPath();
+  chartCtx.moveTo(0, h / 2);
+  chartCtx.lineTo(w, h / 2);
+  chartCtx.stroke();
+  chartCtx.restore();
+
+  if (samples.length < 2 || duration <= 0) return;
+
+  const xAt = (/** @type {number} */ t) => (t / duration) * w;
+  for (const team of /** @type {const} */ (["blue", "red"])) {
+    chartCtx.save();
+    chartCtx.lineWidth = 1.5;
+    chartCtx.strokeStyle = team === "blue" ? BLUE_COLOR : RED_COLOR;
+    chartCtx.beginPath();
+    samples.forEach((s, i) => {
+      const share = team === "blue" ? s.blue : 1 - s.blue;
+      const y = h - share * h;
+      if (i === 0) chartCtx.moveTo(xAt(s.t), y);
+      else chartCtx.lineTo(xAt(s.t), y);
+    });
+    chartCtx.stroke();
+    chartCtx.restore();
+  }
+
+  if (isReplaying) {
+    chartCtx.save();
+    chartCtx.strokeStyle = "rgba(226, 232, 240, 0.8)";
+    chartCtx.beginPath();
+    chartCtx.moveTo(xAt(replayTime), 0);
+    chartCtx.lineTo(xAt(replayTime), h);
+    chartCtx.stroke();
+    chartCtx.restore();
+  }
+}
+
+// ---- Pass options --------------------------------------------------------------
+
+/**
+ * The passes open to whoever has close control of the ball, scored by
+ * their chance of completion and ranked by the Expected Threat they are
+ * likely to reach.
+ *
+ * @returns {PassAnalysis | null} null when nobody has the ball
+ */
+function analysePasses() {
+  const controller = possession.carrier;
+  if (!controller) return null;
+  const { team } = controller;
+
+  const { receivers, offsideTeammates, opponents } = passParticipants(team, controller);
+  const context = { passType, metresPerUnit: metresPerUnit(pitchSize) };
+
+  const options = findPassOptions(ball, receivers, opponents, context);
+  const offside = offsideTeammates.map((p) => ({
+    receiver: p,
+    x: p.x,
+    y: p.y,
+    intoSpace: false,
+    probability: passProbability(ball, p, p, opponents, false, context),
+  }));
+
+  const attacksRight = attackingSign(team, blueAttacksRight) > 0;
+  const ranked = rankPassOptions(
+    options.filter((o) => o.probability >= MIN_PASS_PROBABILITY),
+    (o) =>
+      o.probability *
+      threatAt(threatGrid, o.x / LOGICAL_WIDTH, o.y / LOGICAL_HEIGHT, attacksRight),
+    PASS_LIST_LENGTH
+  );
+
+  return { team, controller, options, offside, ranked };
+}
+
+/**
+ * Who could take a pass from `controller` (teammates, some of them in
+ * offside positions) and who could cut it out.
+ *
+ * @param {import("./pitchModel.js").Team} team
+ * @param {Player} controller
+ */
+function passParticipants(team, controller) {
+  const offsideIds = offsidePlayerIds(players, ball, blueAttacksRight);
+  const teammates = players.filter((p) => p.team === team && p.id !== controller.id);
+  return {
+    receivers: teammates.filter((p) => !offsideIds.has(p.id)),
+    offsideTeammates: teammates.filter((p) => offsideIds.has(p.id)),
+    opponents: players.filter((p) => p.team !== team),
+  };
+}
+
+/**
+ * List the best passes beside the pitch, or a hint when there are none.
+ *
+ * @param {PassAnalysis | null} analysis
+ */
+function renderPassPanel(analysis) {
+  const list = document.getElementById("passOptionsList");
+  const hint = document.getElementById("passOptionsHint");
+  if (!(list instanceof HTMLOListElement) || !hint) return;
+
+  const ranked = analysis ? analysis.ranked : [];
+  const rows = ranked.map((o) => {
+    const who = o.receiver.name || `${teamNames[o.receiver.team]} #${o.receiver.number}`;
+    const where = o.intoSpace ? "into space" : "to feet";
+    const gain = passGain(ball.x, o.x, attackingSign(o.receiver.team, blueAttacksRight));
+    const metres = Math.round(gain * metresPerUnit(pitchSize));
+    return { team: o.receiver.team, who, where, metres, share: formatShare(o.probability) };
+  });
+  const key = JSON.stringify(rows);
+  if (key === passPanelKey) return;
+  passPanelKey = key;
+
+  hint.hidden = rows.length > 0;
+  list.replaceChildren(
+    ...rows.map((row) => {
+      const item = document.createElement("li");
+      item.className = `pass-option pass-option--${row.team}`;
+      item.title = `${row.metres >= 0 ? "+" : ""}${row.metres} m towards goal`;
+      const name = document.createElement("span");
+      name.className = "pass-option__name";
+      name.textContent = `${row.who} · ${row.where}`;
+      const share = document.createElement("span");
+      share.className = "pass-option__share";
+      share.textContent = row.share;
+      item.append(name, share);
+      return item;
+    })
+  );
+}
+
+// ---- Possession ----------------------------------------------------------------
+
+/**
+ * Changes of possession over the recorded clip, in ball mode.
+ *
+ * @returns {PossessionEvent[]}
+ */
+function clipPossessionEvents() {
+  if (!ballModeEnabled || recordingFrames.length === 0) return [];
+
+  const rules = ballControlRules();
+  // Roles from the board's roster, which a replay leaves alone (goalkeepers
+  // claim the ball with their hands)
+  const roster = boardBeforeReplay ? boardBeforeReplay.players : players;
+  const roles = new Map(roster.map((p) => [p.id, p.role]));
+  const key = JSON.stringify({ rules, roles: [...roles] });
+  const log = possessionLog;
+  const growing =
+    log &&
+    log.frames === recordingFrames &&
+    log.key === key &&
+    log.length <= recordingFrames.length;
+  if (!log || !growing) {
+    possessionLog = {
+      frames: recordingFrames,
+      length: recordingFrames.length,
+      key,
+      events: possessionEvents(recordingFrames, rules, roles),
+    };
+  } else if (log.length < recordingFrames.length) {
+    // Only the frames recorded since; the first of them may carry on the
+    // possession already logged
+    const fresh = possessionEvents(recordingFrames.slice(log.length), rules, roles);
+    if (fresh[0]?.team === log.events[log.events.length - 1]?.team) fresh.shift();
+    log.events.push(...fresh);
+    log.length = recordingFrames.length;
+  }
+  return possessionLog ? possessionLog.events : [];
+}
+
+/**
+ * Possession shares and the log of changes up to the current point of the
+ * clip: the replay time while replaying, otherwise its last frame.
+ */
+function renderPossessionPanel() {
+  const blueBar = document.getElementById("possessionBlueBar");
+  const blueShare = document.getElementById("possessionBlueShare");
+  const redShare = document.getElementById("possessionRedShare");
+  const list = document.getElementById("possessionEvents");
+  const hint = document.getElementById("possessionHint");
+  if (!blueBar || !blueShare || !redShare || !(list instanceof HTMLOListElement) || !hint) {
+    return;
+  }
+
+  const lastFrame = recordingFrames[recordingFrames.length - 1];
+  const until = isReplaying ? replayTime : lastFrame ? lastFrame.t : 0;
+  const events = clipPossessionEvents().filter((e) => e.t <= until);
+  const shares = possessionShares(events, until);
+  const rows = events.map((e, i) => {
+    const p = players.find((q) => q.id === e.playerId);
+    const who = p ? p.name || `${teamNames[p.team]} #${p.number}` : teamNames[e.team];
+    return {
+      team: e.team,
+      time: `${(e.t / 1000).toFixed(1)}s`,
+      text: `${who} ${i === 0 ? "has the ball" : "wins the ball"}`,
+    };
+  });
+  const key = JSON.stringify({ shares, rows });
+  if (key === possessionPanelKey) return;
+  possessionPanelKey = key;
+
+  blueBar.style.width = `${(shares ? shares.blue : 0.5) * 100}%`;
+  blueShare.textContent = shares ? `${teamNames.blue} ${formatShare(shares.blue)}` : "";
+  redShare.textContent = shares ? `${formatShare(shares.red)} ${teamNames.red}` : "";
+  hint.hidden = rows.length > 0;
+  list.replaceChildren(
+    ...rows.map((row) => {
+      const item = document.createElement("li");
+      item.className = `possession-event possession-event--${row.team}`;
+      const time = document.createElement("span");
+      time.className = "possession-event__time";
+      time.textContent = row.time;
+      item.append(time, row.text);
+      return item;
+    })
+  );
+  // Keep the latest change in view as the log grows
+  list.scrollTop = list.scrollHeight;
+}
+
+// ---- Reception map -------------------------------------------------------------
+
+/**
+ * Veil the grass where the team on the ball would lose a pass played there
+ * and ring the most valuable spaces it would win.
+ */
+function drawReceptionMap() {
+  if (!ctx || !canvas || !ballModeEnabled || !receptionEnabled || !controlGrid) return;
+  const { carrier } = possession;
+  if (!carrier) return;
+  const overlay = getReceptionOverlay(controlGrid, carrier.team);
+  if (!overlay) return;
+
+  const w = canvas.width / deviceRatio;
+  const h = canvas.height / deviceRatio;
+
+  ctx.save();
+  ctx.imageSmoothingEnabled = true;
+  ctx.drawImage(overlay.canvas, 0, 0, w, h);
+
+  ctx.strokeStyle = RECEPTION_SPOT_COLOR;
+  ctx.fillStyle = RECEPTION_SPOT_COLOR;
+  ctx.lineWidth = 2;
+  ctx.font = "700 11px system-ui, sans-serif";
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  overlay.spots.forEach((spot, i) => {
+    const cx = spot.fx * w;
+    const cy = spot.fy * h;
+    ctx.beginPath();
+    ctx.arc(cx, cy, PLAYER_RADIUS, 0, Math.PI * 2);
+    ctx.stroke();
+    ctx.fillText(String(i + 1), cx, cy + 0.5);
+  });
+  ctx.restore();
+}
+
+/**
+ * The overlay for `team` on `grid`, rebuilt only when the grid, the team
+ * on the ball or the zone values change.
+ *
+ * @param {Float32Array} grid
+ * @param {import("./pitchModel.js").Team} team
+ */
+function getReceptionOverlay(grid, team) {
+  if (
+    receptionOverlay &&
+    receptionOverlay.grid === grid &&
+    receptionOverlay.team === team &&
+    receptionOverlay.threatGrid === threatGrid &&
+    receptionOverlay.blueAttacksRight === blueAttacksRight
+  ) {
+    return receptionOverlay;
+  }
+
+  const overlayCanvas = document.createElement("canvas");
+  overlayCanvas.width = controlWidth;
+  overlayCanvas.height = controlHeight;
+  const overlayCtx = overlayCanvas.getContext("2d");
+  if (!overlayCtx) return null;
+  overlayCtx.putImageData(
+    new ImageData(
+      receptionPixels(grid, controlWidth, controlHeight, team),
+      controlWidth,
+      controlHeight
+    ),
+    0,
+    0
+  );
+
+  const values = receptionValues(
+    grid,
+    controlWidth,
+    controlHeight,
+    team,
+    threatGrid,
+    blueAttacksRight
+  );
+  const cellMetres = (LOGICAL_WIDTH * metresPerUnit(pitchSize)) / controlWidth;
+  const spots = bestReceptionSpots(
+    values,
+    controlWidth,
+    controlHeight,
+    RECEPTION_SPOT_COUNT,
+    RECEPTION_SPOT_SPACING / cellMetres
+  );
+
+  receptionOverlay = {
+    grid,
+    team,
+    threatGrid,
+    blueAttacksRight,
+    canvas: overlayCanvas,
+    spots,
+  };
+  return receptionOverlay;
+}
+
+/**
+ * The pass to the point last clicked on the reception map: the ball's path,
+ * the teammate expected to get there first with their run, and the chance
+ * of completing it.
+ */
+function drawReceptionPass() {
+  if (!ctx || !canvas || !receptionEnabled || !receptionTarget) return;
+  const { carrier } = possession;
+  if (!carrier) return;
+
+  const { receivers, opponents } = passParticipants(carrier.team, carrier);
+  const context = { passType, metresPerUnit: metresPerUnit(pitchSize) };
+  const target = receptionTarget;
+  const receiver = firstToArrive(receivers, target, context.metresPerUnit);
+  const probability = receiver
+    ? passProbability(ball, target, receiver, opponents, true, context)
+    : 0;
+
+  const w = canvas.width / deviceRatio;
+  const h = canvas.height / deviceRatio;
+  const scaleX = w / LOGICAL_WIDTH;
+  const scaleY = h / LOGICAL_HEIGHT;
+  const tx = target.x * scaleX;
+  const ty = target.y * scaleY;
+  const color = passProbabilityColor(probability, 0.95);
+
+  ctx.save();
+  ctx.lineCap = "round";
+
+  // The ball's path
+  ctx.strokeStyle = color;
+  ctx.lineWidth = 1 + probability * 3;
+  ctx.beginPath();
+  ctx.moveTo(ball.x * scaleX, ball.y * scaleY);
+  ctx.lineTo(tx, ty);
+  ctx.stroke();
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  ctx.arc(tx, ty, PASS_SPACE_MARKER_RADIUS, 0, Math.PI * 2);
+  ctx.stroke();
+
+  // The receiver's run onto it
+  if (receiver) {
+    const rx = receiver.x * scaleX;
+    const ry = receiver.y * scaleY;
+    ctx.strokeStyle = RECEPTION_SPOT_COLOR;
+    ctx.setLineDash([4, 4]);
+    ctx.beginPath();
+    ctx.moveTo(rx, ry);
+    ctx.lineTo(tx, ty);
+    ctx.stroke();
+    ctx.setLineDash([]);
+    ctx.beginPath();
+    ctx.arc(rx, ry, PLAYER_RADIUS + 4, 0, Math.PI * 2);
+    ctx.stroke();
+  }
+
+  const label = receiver
+    ? `#${receiver.number} · ${formatShare(probability)}`
+    : "No one to receive";
+  ctx.font = "600 11px system-ui, sans-serif";
+  ctx.textAlign = "center";
+  ctx.textBaseline = "bottom";
+  const tagWidth = ctx.measureText(label).width + 8;
+  const tagY = ty - PASS_SPACE_MARKER_RADIUS - 4;
+  ctx.fillStyle = "rgba(15, 23, 42, 0.8)";
+  ctx.fillRect(tx - tagWidth / 2, tagY - 15, tagWidth, 16);
+  ctx.fillStyle = color;
+  ctx.fillText(label, tx, tagY);
+  ctx.restore();
+}
+
+// ---- Playing a pass ------------------------------------------------------------
+
+/**
+ * Arm (or disarm) playing a pass with the next click on the pitch.
+ *
+ * @param {boolean} aiming
+ */
+function setPassAiming(aiming) {
+  passAiming = aiming && ballModeEnabled;
+  updateBallModeTools();
+}
+
+/**
+ * Play a pass from whoever has the ball to the teammate at a point, or to
+ * the point itself, and start playing it out.
+ *
+ * @param {number} lx logical
+ * @param {number} ly logical
+ */
+function startPass(lx, ly) {
+  setPassAiming(false);
+  const { carrier } = possession;
+  if (!carrier) {
+    showImportMessage("Nobody has the ball: move it to a player's feet to play a pass.", true);
+    return;
+  }
+
+  const clicked = playerAt(lx, ly);
+  const toFeet = clicked && clicked.team === carrier.team && clicked !== carrier;
+  const target = toFeet ? { x: clicked.x, y: clicked.y } : { x: lx, y: ly };
+  const play = playPass(
+    players,
+    ball,
+    carrier,
+    target,
+    passType,
+    metresPerUnit(pitchSize)
+  );
+
+  // Nobody walks into a formation while the pass is on
+  formationMoves = [];
+  showImportMessage("", false);
+  passInFlight = { play, startTime: performance.now(), before: captureBoard() };
+  requestRender();
+}
+
+/**
+ * Move the ball and the players chasing it to where they are `now` in the
+ * pass being played out, finishing it once the ball is won.
+ *
+ * @param {number} now ms, as performance.now()
+ */
+function advancePassInFlight(now) {
+  if (!passInFlight) return;
+  const { frames } = passInFlight.play;
+  const elapsed = now - passInFlight.startTime;
+
+  // Blend the frames either side of now so the animation runs smoothly at
+  // any refresh rate
+  const index = frameIndexAt(frames, elapsed);
+  const from = frames[index];
+  const to = frames[Math.min(index + 1, frames.length - 1)];
+  const k = to.t > from.t ? clamp((elapsed - from.t) / (to.t - from.t), 0, 1) : 0;
+  const byId = new Map(players.map((p) => [p.id, p]));
+  from.players.forEach((start, i) => {
+    const p = byId.get(start.id);
+    const end = to.players[i];
+    if (!p) return;
+    p.x = start.x + (end.x - start.x) * k;
+    p.y = start.y + (end.y - start.y) * k;
+    p.vx = start.vx + (end.vx - start.vx) * k;
+    p.vy = start.vy + (end.vy - start.vy) * k;
+  });
+  ball.x = from.ball.x + (to.ball.x - from.ball.x) * k;
+  ball.y = from.ball.y + (to.ball.y - from.ball.y) * k;
+
+  if (elapsed >= frames[frames.length - 1].t) {
+    finishPass();
+  }
+}
+
+/**
+ * Jump a pass being played out to its end, so a toggle flipped meanwhile
+ * gets its own undo step after the pass's.
+ */
+function settlePassInFlight() {
+  if (!passInFlight) return;
+  const { play, startTime } = passInFlight;
+  advancePassInFlight(startTime + play.frames[play.frames.length - 1].t);
+}
+
+/**
+ * The pass has been won: keep it as one undoable edit, together with the
+ * clip it goes into, and say who has the ball now.
+ */
+function finishPass() {
+  if (!passInFlight) return;
+  const { play, before } = passInFlight;
+  passInFlight = null;
+
+  // A recording in progress has captured the pass frame by frame already
+  const captured = !isRecording;
+  const clipBefore = { frames: recordingFrames, blueAttacksRight: clipBlueAttacksRight };
+  const replacedClip = captured && capturePassIntoClip(play.frames);
+  const clipAfter = { frames: recordingFrames, blueAttacksRight: clipBlueAttacksRight };
+  const after = captureBoard();
+  // Undo takes the clip back too, unless a recording has taken it over
+  undoHistory.push({
+    label: "Play pass",
+    undo: () => {
+      applyBoardState(before);
+      if (captured && !isRecording) restoreClip(clipBefore);
+    },
+    redo: () => {
+      applyBoardState(after);
+      if (captured && !isRecording) restoreClip(clipAfter);
+    },
+  });
+  updateUndoUI();
+
+  const { winner } = play;
+  if (winner) {
+    const who = winner.name || `${teamNames[winner.team]} #${winner.number}`;
+    const outcome = play.intercepted ? `Intercepted by ${who}.` : `${who} has the ball.`;
+    showImportMessage(
+      replacedClip ? `${outcome} The pass replaced the clip; Undo brings it back.` : outcome,
+      false
+    );
+  }
+  updateRecordingUI();
+}
+
+/**
+ * Put back a clip replaced by a pass (undo / redo).
+ *
+ * @param {{ frames: RecordingFrame[], blueAttacksRight: boolean }} clip
+ */
+function restoreClip(clip) {
+  if (clip.frames === recordingFrames) return;
+  recordingFrames = clip.frames;
+  clipBlueAttacksRight = clip.blueAttacksRight;
+  invalidateReplayClip();
+  replayTime = 0;
+  updateRecordingUI();
+}
+
+/**
+ * Put a pass into recordingFrames. Passes played one after another build
+ * up a single clip of the move; otherwise the pass replaces the last clip,
+ * as a new recording would.
+ *
+ * @param {RecordingFrame[]} frames from the kick
+ * @returns {boolean} whether a clip that was there has been replaced
+ */
+function capturePassIntoClip(frames) {
+  const last = recordingFrames[recordingFrames.length - 1];
+  const [first] = frames;
+  const continues =
+    last &&
+    last.ball.x === first.ball.x &&
+    last.ball.y === first.ball.y &&
+    last.players.length === first.players.length &&
+    last.players.every((p, i) => {
+      const q = first.players[i];
+      return p.id === q.id && p.x === q.x && p.y === q.y;
+    });
+
+  recordingFrames = continues
+    ? [
+        ...recordingFrames,
+        ...frames.slice(1).map((f) => ({ ...f, t: last.t + f.t })),
+      ]
+    : frames;
+  if (!continues) clipBlueAttacksRight = blueAttacksRight;
+  invalidateReplayClip();
+  replayTime = 0;
+  return !continues && last !== undefined;
+}
+
+// ---- Expected Threat ----------------------------------------------------------
+
+function initThreatControls() {
+  customThreatGrid = loadCustomThreatGrid();
+
+  const toggle = document.getElementById("toggleThreat");
+  if (toggle instanceof HTMLInputElement) {
+    toggle.checked = threatEnabled;
+    toggle.addEventListener("change", () => {
+      threatEnabled = toggle.checked;
+      repaintControlMap();
+      requestRender();
+    });
+  }
+
+  const select = document.getElementById("threatGridSelect");
+  if (select instanceof HTMLSelectElement) {
+    select.addEventListener("change", () => {
+      setThreatGrid(
+        select.value === "custom" && customThreatGrid ? customThreatGrid : DEFAULT_THREAT_GRID
+      );
+    });
+  }
+
+  const loadBtn = document.getElementById("loadThreatBtn");
+  const fileInput = document.getElementById("threatFileInput");
+  if (!(loadBtn instanceof HTMLButtonElement) || !(fileInput instanceof HTMLInputElement)) {
+    return;
+  }
+  loadBtn.addEventListener("click", () => fileInput.click());
+  fileInput.addEventListener("change", async () => {
+    const file = fileInput.files?.[0];
+    fileInput.value = "";
+    if (!file) return;
+
+    try {
+      const grid = parseThreatGrid(await file.text(), file.name.replace(/\.json$/i, ""));
+      customThreatGrid = grid;
+      try {
+        // Stored in the same form as the files it is read from
+        localStorage.setItem(
+          CUSTOM_THREAT_GRID_KEY,
+          JSON.stringify({ name: grid.name, grid: grid.values })
+        );
+      } catch (err) {
+        // Storage full or disabled: keep the grid for this session only
+      }
+      showImportMessage("", false);
+      setThreatGrid(grid);
+    } catch (err) {
+      showImportMessage(
+        `${file.name}: ${err instanceof Error ? err.message : String(err)}`,
+        true
+      );
+    }
+  });
+
+  updateThreatUI();
+}
+
+/**
+ * Weight control by `grid` from now on, in the overlay and the stats.
+ *
+ * @param {ThreatGrid} grid
+ */
+function setThreatGrid(grid) {
+  threatGrid = grid;
+  updateThreatUI();
+  repaintControlMap();
+  updateControlStats(null);
+  requestRender();
+}
+
+function updateThreatUI() {
+  const select = document.getElementById("threatGridSelect");
+  if (!(select instanceof HTMLSelectElement)) return;
+  select.replaceChildren(new Option(DEFAULT_THREAT_GRID.name, "default"));
+  if (customThreatGrid) {
+    const { name, values } = customThreatGrid;
+    select.append(new Option(`${name} (${values[0].length} × ${values.length})`, "custom"));
+  }
+  select.value = threatGrid === DEFAULT_THREAT_GRID ? "default" : "custom";
+}
+
+/**
+ * Paint the latest control grid again, e.g. after switching between the
+ * plain and the value-weighted colours, without waiting for a new grid.
+ */
+function repaintControlMap() {
+  if (!controlCtx || !controlGrid || !controlPixels) return;
+  controlCtx.putImageData(
+    new ImageData(controlMapPixels(controlGrid, controlPixels), controlWidth, controlHeight),
+    0,
+    0
+  );
+}
+
+/**
+ * Colours for the control map: the model's own, or the value-weighted
+ * overlay while threat weighting is on.
+ *
+ * @param {Float32Array} control
+ * @param {Uint8ClampedArray} pixels
+ * @returns {Uint8ClampedArray}
+ */
+function controlMapPixels(control, pixels) {
+  if (!threatEnabled) return pixels;
+  return threatPixels(
+    control,
+    controlWidth,
+    controlHeight,
+    threatGrid,
+    blueAttacksRight
+  );
+}
+
+/** @returns {ThreatGrid | null} */
+function loadCustomThreatGrid() {
+  try {
+    const raw = localStorage.getItem(CUSTOM_THREAT_GRID_KEY);
+    return raw ? parseThreatGrid(raw) : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// ---- Roster and pitch size --------------------------------------------------
+
+function initRosterControls() {
+  const sizeSelect = document.getElementById("pitchSizeSelect");
+  if (sizeSelect instanceof HTMLSelectElement) {
+    sizeSelect.replaceChildren(
+      ...PITCH_SIZES.map(
+        (size) =>
+          new Option(
+            `${size.name} · ${size.length} × ${Math.round(pitchWidthMetres(size))} m`,
+            size.key
+          )
+      )
+    );
+    sizeSelect.value = pitchSize.key;
+    sizeSelect.addEventListener("change", () => {
+      const size = findPitchSize(sizeSelect.value);
+      if (size && !isBoardBusy()) {
+        startPitchSizePreset(size);
+      } else {
+        sizeSelect.value = pitchSize.key;
+      }
+    });
+  }
+
+  if (!canvas) return;
+  canvas.addEventListener("dblclick", onPitchDoubleClick);
+  canvas.addEventListener("contextmenu", openPitchMenu);
+
+  // Any press outside the menu, Esc, or the page changing under it closes it
+  document.addEventListener("mousedown", (e) => {
+    const menu = document.getElementById("pitchMenu");
+    if (menu && e.target instanceof Node && !menu.contains(e.target)) {
+      closePitchMenu();
+    }
+  });
+  window.addEventListener("keydown", (e) => {
+    if (e.key === "Escape") closePitchMenu();
+  });
+  window.addEventListener("resize", closePitchMenu);
+  window.addEventListener("blur", closePitchMenu);
+}
+
+/**
+ * Switch the pitch size (with undo) and start again from the size's
+ * preset: both teams in its formation with its number of players.
+ *
+ * @param {PitchSize} size
+ */
+function startPitchSizePreset(size) {
+  const before = captureBoard();
+  applyBoardState({
+    ...before,
+    players: createInitialPlayers(findFormation(size.formation)),
+    pitchSize: size.key,
+    // The preset lines blue up on the left
+    blueAttacksRight: true,
+  });
+  recordBoardEdit(`${size.name} pitch`, before);
+}
+
+/**
+ * @param {PitchSize} size
+ */
+function setPitchSize(size) {
+  pitchSize = size;
+  const sizeSelect = document.getElementById("pitchSizeSelect");
+  if (sizeSelect instanceof HTMLSelectElement) {
+    sizeSelect.value = size.key;
+  }
+  requestRender();
+}
+
+/**
+ * Bring everything that depends on who is on the board up to date after
+ * players were added, removed or replaced.
+ */
+function onRosterChanged() {
+  const ids = new Set(players.map((p) => p.id));
+  for (const id of selectedPlayerIds) {
+    if (!ids.has(id)) selectedPlayerIds.delete(id);
+  }
+  if (hoveredPlayerId != null && !ids.has(hoveredPlayerId)) {
+    hoveredPlayerId = null;
+  }
+  updateSelectionUI();
+  updateFormationOptions();
+  updateRosterPanel();
+  updatePlayerInspector();
+  requestRender();
+}
+
+/**
+ * Add a player at a point on the pitch, at the end of their team's roster.
+ *
+ * @param {"blue" | "red"} team
+ * @param {number} x logical
+ * @param {number} y logical
+ */
+function addPlayer(team, x, y) {
+  if (isBoardBusy()) return;
+  const before = captureBoard();
+
+  const teamPlayers = players.filter((p) => p.team === team);
+  const sign = attackingSign(team, blueAttacksRight);
+  const depth = sign > 0 ? x / LOGICAL_WIDTH : 1 - x / LOGICAL_WIDTH;
+
+  /** @type {Player} */
+  const player = {
+    id: players.reduce((max, p) => Math.max(max, p.id), 0) + 1,
+    team,
+    // A team without a goalkeeper gets one first
+    number: nextShirtNumber(teamPlayers),
+    name: "",
+    role: teamPlayers.some((p) => p.role === "GK") ? roleForDepth(depth) : "GK",
+    x: clamp(x, PLAYER_BOUNDS.left, PLAYER_BOUNDS.right),
+    y: clamp(y, PLAYER_BOUNDS.top, PLAYER_BOUNDS.bottom),
+    // Heading for the opposition goal like the rest of the team
+    vx: sign * INITIAL_SPEED,
+    vy: 0,
+  };
+  const lastOfTeam = players.findLastIndex((p) => p.team === team);
+  const index = lastOfTeam >= 0 ? lastOfTeam + 1 : team === "blue" ? 0 : players.length;
+  players.splice(index, 0, player);
+
+  invalidateReplayClip();
+  onRosterChanged();
+  recordBoardEdit(`Add ${teamNames[team]} player`, before);
+}
+
+/**
+ * Take players off the board. The last player is always kept, so there is
+ * still a board to share and undo back from.
+ *
+ * @param {Set<number>} ids
+ */
+function removePlayers(ids) {
+  if (isBoardBusy()) return;
+  const remaining = players.filter((p) => !ids.has(p.id));
+  if (remaining.length === 0 || remaining.length === players.length) return;
+
+  const before = captureBoard();
+  const removed = players.filter((p) => ids.has(p.id));
+  players = remaining;
+  formationMoves = formationMoves.filter((m) => !ids.has(m.player.id));
+
+  invalidateReplayClip();
+  onRosterChanged();
+  recordBoardEdit(
+    removed.length === 1
+      ? `Remove ${teamNames[removed[0].team]} player`
+      : `Remove ${removed.length} players`,
+    before
+  );
+}
+
+/**
+ * Top-most player under a point, within the grab radius.
+ *
+ * @param {number} lx
+ * @param {number} ly
+ * @returns {Player | null}
+ */
+function playerAt(lx, ly) {
+  const hitRadius = PLAYER_RADIUS * HIT_RADIUS_FACTOR;
+  for (let i = players.length - 1; i >= 0; i--) {
+    const p = players[i];
+    const dx = p.x - lx;
+    const dy = p.y - ly;
+    if (Math.sqrt(dx * dx + dy * dy) <= hitRadius) {
+      return p;
+    }
+  }
+  return null;
+}
+
+/**
+ * Team whose own half contains `lx`.
+ *
+ * @param {number} lx
+ * @returns {"blue" | "red"}
+ */
+function defendingTeamAt(lx) {
+  return (lx < LOGICAL_WIDTH / 2) === blueAttacksRight ? "blue" : "red";
+}
+
+/**
+ * Double-clicking empty grass adds a player for the team defending that
+ * half; the context menu can add either team anywhere.
+ *
+ * @param {MouseEvent} e
+ */
+function onPitchDoubleClick(e) {
+  if (isBoardBusy()) return;
+  const pos = getPointerPosition(e);
+  if (!pos || playerAt(pos.lx, pos.ly)) return;
+  e.preventDefault();
+  addPlayer(defendingTeamAt(pos.lx), pos.lx, pos.ly);
+}
+
+/**
+ * Right-click (or long press) menu: remove the player under the pointer,
+ * or the whole selection if they belong to it, or add a player of either
+ * team on empty grass.
+ *
+ * @param {MouseEvent} e
+ */
+function openPitchMenu(e) {
+  const menu = document.getElementById("pitchMenu");
+  if (!menu || isBoardBusy()) return;
+  const pos = getPointerPosition(e);
+  if (!pos) return;
+  e.preventDefault();
+
+  const { lx, ly, x, y } = pos;
+  const target = playerAt(lx, ly);
+  /** @type {{ label: string, action: () => void, disabled?: boolean }[]} */
+  const items = [];
+
+  if (target) {
+    const ids =
+      selectedPlayerIds.has(target.id) && selectedPlayerIds.size > 1
+        ? new Set(selectedPlayerIds)
+        : new Set([target.id]);
+    items.push({
+      label:
+        ids.size > 1
+          ? `Remove ${ids.size} selected players`
+          : `Remove ${teamNames[target.team]} player`,
+      action: () => removePlayers(ids),
+      disabled: ids.size >= players.length,
+    });
+  } else {
+    for (const team of /** @type {const} */ (["blue", "red"])) {
+      items.push({
+        label: `Add ${teamNames[team]} player here`,
+        action: () => addPlayer(team, lx, ly),
+      });
+    }
+  }
+
+  menu.replaceChildren(
+    ...items.map(({ label, action, disabled }) => {
+      const item = document.createElement("button");
+      item.type = "button";
+      item.className = "pitch-menu__item";
+      item.setAttribute("role", "menuitem");
+      item.textContent = label;
+      item.disabled = Boolean(disabled);
+      item.addEventListener("click", () => {
+        closePitchMenu();
+        action();
+      });
+      return item;
+    })
+  );
+
+  // Open at the pointer, nudged back inside the pitch near the edges
+  menu.hidden = false;
+  const bounds = menu.parentElement?.getBoundingClientRect();
+  const maxLeft = (bounds?.width ?? x) - menu.offsetWidth - 4;
+  const maxTop = (bounds?.height ?? y) - menu.offsetHeight - 4;
+  menu.style.left = `${Math.max(4, Math.min(x, maxLeft))}px`;
+  menu.style.top = `${Math.max(4, Math.min(y, maxTop))}px`;
+  menu.querySelector("button:not(:disabled)")?.focus();
+}
+
+function closePitchMenu() {
+  const menu = document.getElementById("pitchMenu");
+  if (menu && !menu.hidden) {
+    menu.hidden = true;
+    menu.replaceChildren();
+  }
+}
+
+// ---- Attacking direction ---------------------------------------------------
+
+function initDirectionControls() {
+  const switchEndsBtn = document.getElementById("switchEndsBtn");
+  switchEndsBtn?.addEventListener("click", () => switchBoardEnds());
+  updateDirectionUI();
+}
+
+/**
+ * Half time: mirror every player, their velocity and the ball in the
+ * halfway line and swap the goals the teams attack.
+ */
+function switchBoardEnds() {
+  if (isBoardBusy()) return;
+  const before = captureBoard();
+  applyBoardState({
+    ...before,
+    ...switchEnds(before.players, before.ball),
+    blueAttacksRight: !before.blueAttacksRight,
+  });
+  recordBoardEdit("Switch ends", before);
+}
+
+/**
+ * @param {boolean} attacksRight whether blue attacks the right-hand goal
+ */
+function setAttackingDirection(attacksRight) {
+  blueAttacksRight = attacksRight;
+  updateDirectionUI();
+  requestRender();
+}
+
+function updateDirectionUI() {
+  const switchEndsBtn = document.getElementById("switchEndsBtn");
+  if (switchEndsBtn instanceof HTMLButtonElement) {
+    const [left, right] = blueAttacksRight ? ["red", "blue"] : ["blue", "red"];
+    switchEndsBtn.title =
+      `${teamNames[right]} attack the right-hand goal and ${teamNames[left]} the left. ` +
+      "Switch ends mirrors the board in the halfway line.";
+  }
+}
+
+// ---- Roster panel -----------------------------------------------------------
+
+function initRosterPanel() {
+  savedRosters = loadSavedRosters();
+
+  for (const team of /** @type {const} */ (["blue", "red"])) {
+    const select = document.getElementById(`${team}RosterSelect`);
+    const saveBtn = document.getElementById(`${team}SaveRosterBtn`);
+    const list = document.getElementById(`${team}RosterList`);
+    if (
+      !(select instanceof HTMLSelectElement) ||
+      !(saveBtn instanceof HTMLButtonElement) ||
+      !(list instanceof HTMLElement)
+    ) {
+      continue;
+    }
+
+    select.addEventListener("change", () => {
+      const roster = savedRosters.find((r) => r.name === select.value);
+      select.value = "";
+      if (roster && !isBoardBusy()) {
+        applySavedRoster(team, roster);
+      }
+    });
+
+    saveBtn.addEventListener("click", () => {
+      const name = window.prompt(`Save the ${teamNames[team]} roster as:`, "")?.trim();
+      if (!name) return;
+      saveRoster(team, name);
+    });
+
+    // Rows are rebuilt with the roster, so listen on the list
+    list.addEventListener("change", (e) => {
+      const field = e.target;
+      const row = field instanceof HTMLElement ? field.closest("[data-player-id]") : null;
+      if (!(row instanceof HTMLElement)) return;
+      editPlayerIdentity(Number(row.dataset.playerId), field);
+    });
+    list.addEventListener("mouseover", (e) => {
+      const row = e.target instanceof Element ? e.target.closest("[data-player-id]") : null;
+      const id = row instanceof HTMLElement ? Number(row.dataset.playerId) : null;
+      if (id !== hoveredPlayerId) {
+        hoveredPlayerId = id;
+        requestRender();
+      }
+    });
+    list.addEventListener("mouseleave", () => {
+      hoveredPlayerId = null;
+      requestRender();
+    });
+  }
+
+  updateRosterPanel();
+}
+
+/**
+ * Rebuild both teams' rows and saved roster pickers.
+ */
+function updateRosterPanel() {
+  for (const team of /** @type {const} */ (["blue", "red"])) {
+    const select = document.getElementById(`${team}RosterSelect`);
+    if (select instanceof HTMLSelectElement) {
+      select.replaceChildren(
+        new Option("Load roster…", ""),
+        ...savedRosters.map((r) => new Option(r.name, r.name))
+      );
+      select.disabled = savedRosters.length === 0;
+    }
+
+    const list = document.getElementById(`${team}RosterList`);
+    if (!(list instanceof HTMLElement)) continue;
+    list.replaceChildren(
+      ...players.filter((p) => p.team === team).map((p) => rosterRow(p))
+    );
+  }
+}
+
+/**
+ * @param {Player} p
+ * @returns {HTMLLIElement}
+ */
+function rosterRow(p) {
+  const row = document.createElement("li");
+  row.className = "roster-row";
+  row.dataset.playerId = String(p.id);
+
+  const number = document.createElement("input");
+  number.type = "number";
+  number.name = "number";
+  number.className = "roster-number";
+  number.min = "1";
+  number.max = String(MAX_SHIRT_NUMBER);
+  number.value = String(p.number);
+  number.title = "Shirt number";
+
+  const name = document.createElement("input");
+  name.type = "text";
+  name.name = "name";
+  name.className = "roster-name";
+  name.placeholder = "Name";
+  name.maxLength = 40;
+  name.value = p.name;
+
+  const role = document.createElement("select");
+  role.name = "role";
+  role.className = "roster-role";
+  role.title = "Role";
+  role.append(...ROLES.map((r) => new Option(r, r)));
+  role.value = p.role;
+
+  row.append(number, name, role);
+  return row;
+}
+
+/**
+ * Apply an edit from a roster row to its player (with undo). Invalid values
+ * and edits while a clip or pass plays put the row back as it was.
+ *
+ * @param {number} id
+ * @param {EventTarget} field
+ */
+function editPlayerIdentity(id, field) {
+  const player = players.find((p) => p.id === id);
+  if (
+    !player ||
+    isBoardBusy() ||
+    !(field instanceof HTMLInputElement || field instanceof HTMLSelectElement)
+  ) {
+    updateRosterPanel();
+    return;
+  }
+
+  const before = captureBoard();
+  if (field.name === "number") {
+    const number = Number(field.value);
+    if (!isShirtNumber(number)) {
+      field.value = String(player.number);
+      return;
+    }
+    player.number = number;
+  } else if (field.name === "name") {
+    player.name = field.value.trim();
+    field.value = player.name;
+  } else if (field.name === "role" && isRole(field.value)) {
+    player.role = field.value;
+  }
+
+  recordBoardEdit(`Edit ${teamNames[player.team]} #${player.number}`, before);
+  requestRender();
+}
+
+/**
+ * Give a team's players the identities of a saved roster, in roster order
+ * (with undo). Players beyond the end of the roster keep theirs.
+ *
+ * @param {"blue" | "red"} team
+ * @param {SavedRoster} roster
+ */
+function applySavedRoster(team, roster) {
+  const before = captureBoard();
+  players
+    .filter((p) => p.team === team)
+    .forEach((p, i) => {
+      const entry = roster.entries[i];
+      if (!entry) return;
+      p.number = entry.number;
+      p.name = entry.name;
+      p.role = entry.role;
+    });
+  updateRosterPanel();
+  recordBoardEdit(`${roster.name} for ${teamNames[team]}`, before);
+  requestRender();
+}
+
+/**
+ * Save a team's identities under `name`, replacing any saved roster of the
+ * same name.
+ *
+ * @param {"blue" | "red"} team
+ * @param {string} name
+ */
+function saveRoster(team, name) {
+  const roster = captureRoster(name, players.filter((p) => p.team === team));
+  savedRosters = [...savedRosters.filter((r) => r.name !== name), roster];
+  try {
+    localStorage.setItem(SAVED_ROSTERS_KEY, JSON.stringify(savedRosters));
+  } catch (err) {
+    // Storage full or disabled: keep the roster for this session only
+  }
+  updateRosterPanel();
+}
+
+/** @returns {SavedRoster[]} */
+function loadSavedRosters() {
+  try {
+    const raw = localStorage.getItem(SAVED_ROSTERS_KEY);
+    return raw ? parseSavedRosters(JSON.parse(raw)) : [];
+  } catch (err) {
+    return [];
+  }
+}
+
+// ---- Player inspector -------------------------------------------------------
+
+function initPlayerInspector() {
+  for (const name of ATTRIBUTE_NAMES) {
+    const input = document.getElementById(ATTRIBUTE_INPUT_IDS[name]);
+    if (!(input instanceof HTMLInputElement)) continue;
+    const { min, max, step } = ATTRIBUTE_RANGES[name];
+    input.min = String(min);
+    input.max = String(max);
+    input.step = String(step);
+
+    // The map follows the slider; letting go makes one undo step
+    input.addEventListener("input", () => {
+      const player = getInspectedPlayer();
+      if (!player || isBoardBusy()) {
+        updatePlayerInspector();
+        return;
+      }
+      if (!inspectorEditStart) {
+        inspectorEditStart = captureBoard();
+      }
+      player[name] = Number(input.value);
+      updatePlayerInspector();
+      requestRender();
+    });
+    input.addEventListener("change", () => commitInspectorEdit());
+  }
+
+  document.getElementById("playerInspectorClose")?.addEventListener("click", () => {
+    closePlayerInspector();
+  });
+  document.getElementById("playerInspectorReset")?.addEventListener("click", () => {
+    resetInspectedPlayer();
+  });
+  window.addEventListener("keydown", (e) => {
+    if (e.key === "Escape") closePlayerInspector();
+  });
+}
+
+/** @returns {Player | undefined} */
+function getInspectedPlayer() {
+  return players.find((p) => p.id === inspectedPlayerId);
+}
+
+/**
+ * @param {number} id
+ */
+function openPlayerInspector(id) {
+  commitInspectorEdit();
+  inspectedPlayerId = id;
+  updatePlayerInspector();
+  requestRender();
+}
+
+function closePlayerInspector() {
+  if (inspectedPlayerId == null) return;
+  commitInspectorEdit();
+  inspectedPlayerId = null;
+  updatePlayerInspector();
+  requestRender();
+}
+
+function commitInspectorEdit() {
+  const player = getInspectedPlayer();
+  if (!inspectorEditStart || !player) return;
+  recordBoardEdit(`Tune ${teamNames[player.team]} #${player.number}`, inspectorEditStart);
+  inspectorEditStart = null;
+}
+
+/**
+ * Back to a typical player's top speed, acceleration and reaction time.
+ */
+function resetInspectedPlayer() {
+  const player = getInspectedPlayer();
+  if (!player || isBoardBusy()) return;
+  commitInspectorEdit();
+  const before = captureBoard();
+  for (const name of ATTRIBUTE_NAMES) {
+    delete player[name];
+  }
+  recordBoardEdit(`Reset ${teamNames[player.team]} #${player.number}`, before);
+  updatePlayerInspector();
+  requestRender();
+}
+
+/**
+ * Show the inspected player's attributes, or hide the inspector when no
+ * one (or someone no longer on the board) is being inspected.
+ */
+function updatePlayerInspector() {
+  const panel = document.getElementById("playerInspector");
+  if (!panel) return;
+  const player = getInspectedPlayer();
+  if (!player) {
+    inspectedPlayerId = null;
+    inspectorEditStart = null;
+    panel.hidden = true;
+    return;
+  }
+
+  panel.hidden = false;
+  panel.dataset.team = player.team;
+  const title = document.getElementById("playerInspectorTitle");
+  if (title) {
+    const name = player.name ? ` ${player.name}` : "";
+    title.textContent = `${teamNames[player.team]} #${player.number}${name} · ${player.role}`;
+  }
+
+  const attributes = playerAttributes(player);
+  for (const name of ATTRIBUTE_NAMES) {
+    const input = document.getElementById(ATTRIBUTE_INPUT_IDS[name]);
+    const output = document.getElementById(`${ATTRIBUTE_INPUT_IDS[name]}Value`);
+    if (input instanceof HTMLInputElement) {
+      input.value = String(attributes[name]);
+    }
+    if (output) {
+      output.textContent = `${attributes[name].toFixed(name === "reactionTime" ? 2 : 1)} ${ATTRIBUTE_UNITS[name]}`;
+    }
+  }
+}
+
+// ---- Selection --------------------------------------------------------------
+
+function initSelectionControls() {
+  const sameVelocityBtn = document.getElementById("sameVelocityBtn");
+  const lineUpBtn = document.getElementById("lineUpBtn");
+  const lineDownBtn = document.getElementById("lineDownBtn");
+  sameVelocityBtn?.addEventListener("click", () => matchSelectedVelocity());
+  lineUpBtn?.addEventListener("click", () => shiftSelectedLine(1));
+  lineDownBtn?.addEventListener("click", () => shiftSelectedLine(-1));
+
+  window.addEventListener("keydown", (e) => {
+    if (e.key === "Escape" && selectedPlayerIds.size > 0) {
+      clearPlayerSelection();
+    }
+  });
+
+  updateSelectionUI();
+}
+
+/** @returns {Player[]} selected players, in board order */
+function getSelectedPlayers() {
+  return players.filter((p) => selectedPlayerIds.has(p.id));
+}
+
+/** @param {number} id */
+function togglePlayerSelection(id) {
+  if (!selectedPlayerIds.delete(id)) {
+    selectedPlayerIds.add(id);
+  }
+  updateSelectionUI();
+  requestRender();
+}
+
+function clearPlayerSelection() {
+  if (selectedPlayerIds.size === 0) return;
+  selectedPlayerIds.clear();
+  updateSelectionUI();
+  requestRender();
+}
+
+/**
+ * Give every selected player the velocity of the one selected last.
+ */
+function matchSelectedVelocity() {
+  if (isBoardBusy() || selectedPlayerIds.size < 2) return;
+  const lastId = [...selectedPlayerIds].pop();
+  const source = players.find((p) => p.id === lastId);
+  if (!source) return;
+
+  const before = captureBoard();
+  for (const p of getSelectedPlayers()) {
+    p.vx = source.vx;
+    p.vy = source.vy;
+  }
+  recordBoardEdit("Same velocity", before);
+  requestRender();
+}
+
+/**
+ * Move the selected players one step towards the goal they attack
+ * (`direction` 1) or back towards their own (-1). Each team's selected
+ * players move as a block and stop at the goal line.
+ *
+ * @param {1 | -1} direction
+ */
+function shiftSelectedLine(direction) {
+  if (isBoardBusy() || selectedPlayerIds.size === 0) return;
+  const selected = getSelectedPlayers();
+  const before = captureBoard();
+
+  for (const team of /** @type {const} */ (["blue", "red"])) {
+    const group = selected.filter((p) => p.team === team);
+    const { dx } = clampGroupOffset(
+      group,
+      attackingSign(team, blueAttacksRight) * direction * LINE_SHIFT_STEP,
+      0,
+      PLAYER_BOUNDS
+    );
+    for (const p of group) {
+      p.x += dx;
+    }
+  }
+  formationMoves = formationMoves.filter((m) => !selectedPlayerIds.has(m.player.id));
+
+  recordBoardEdit(direction > 0 ? "Line up" : "Line down", before);
+  requestRender();
+}
+
+function updateSelectionUI() {
+  const count = selectedPlayerIds.size;
+  const sameVelocityBtn = document.getElementById("sameVelocityBtn");
+  const lineUpBtn = document.getElementById("lineUpBtn");
+  const lineDownBtn = document.getElementById("lineDownBtn");
+
+  if (sameVelocityBtn instanceof HTMLButtonElement) {
+    sameVelocityBtn.disabled = count < 2;
+  }
+  if (lineUpBtn instanceof HTMLButtonElement) {
+    lineUpBtn.disabled = count === 0;
+  }
+  if (lineDownBtn instanceof HTMLButtonElement) {
+    lineDownBtn.disabled = count === 0;
+  }
+}
+
+// ---- Undo / redo -------------------------------------------------------------
+
+function initUndoControls() {
+  const undoBtn = document.getElementById("undoBtn");
+  const redoBtn = document.getElementById("redoBtn");
+  undoBtn?.addEventListener("click", () => undoBoardEdit());
+  redoBtn?.addEventListener("click", () => redoBoardEdit());
+
+  // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS), plus Ctrl+Y for redo. Text
+  // fields keep their own undo.
+  window.addEventListener("keydown", (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    const key = e.key.toLowerCase();
+    if (key !== "z" && key !== "y") return;
+    const target = e.target;
+    if (
+      (target instanceof HTMLInputElement &&
+        (target.type === "text" || target.type === "number")) ||
+      target instanceof HTMLTextAreaElement
+    ) {
+      return;
+    }
+    e.preventDefault();
+    if (key === "y" || e.shiftKey) {
+      redoBoardEdit();
+    } else {
+      undoBoardEdit();
+    }
+  });
+
+  updateUndoUI();
+}
+
+/**
+ * Whether something is playing out on the board (a replay, an export or a
+ * pass), which edits have to wait for.
+ */
+function isBoardBusy() {
+  return isReplaying || exportAbort !== null || passInFlight !== null;
+}
+
+/** @returns {BoardState} */
+function captureBoard() {
+  return {
+    players: players.map((p) => ({ ...p })),
+    ball: { x: ball.x, y: ball.y },
+    flags: getFeatureFlags(),
+    pitchSize: pitchSize.key,
+    blueAttacksRight,
+    passType,
+  };
+}
+
+/**
+ * Replace the whole board (players, ball, toggles, pass type, pitch size
+ * and attacking direction) with `state`.
+ *
+ * @param {BoardState} state
+ */
+function applyBoardState(state) {
+  players = state.players.map((p) => ({ ...p }));
+  passType = state.passType;
+  setPitchSize(findPitchSize(state.pitchSize) ?? DEFAULT_PITCH_SIZE);
+  setAttackingDirection(state.blueAttacksRight);
+  ball.x = state.ball.x;
+  ball.y = state.ball.y;
+  draggingPlayerId = null;
+  draggingArrowPlayerId = null;
+  draggingBall = false;
+  groupDragStarts = new Map();
+  selectionBand = null;
+  hoveredPlayerId = null;
+  dragStartBoard = null;
+  formationMoves = [];
+  invalidateReplayClip();
+  onRosterChanged();
+  applyFeatureFlags(state.flags);
+}
+
+/**
+ * Record an edit that has just been made to the board.
+ *
+ * @param {string} label
+ * @param {BoardState} before
+ */
+function recordBoardEdit(label, before) {
+  pushBoardCommand(label, before, captureBoard());
+}
+
+/**
+ * @param {string} label
+ * @param {BoardState} before
+ * @param {BoardState} after
+ */
+function pushBoardCommand(label, before, after) {
+  // A click that didn't move anything isn't worth an undo step
+  if (JSON.stringify(before) === JSON.stringify(after)) return;
+  undoHistory.push({
+    label,
+    undo: () => applyBoardState(before),
+    redo: () => applyBoardState(after),
+  });
+  updateUndoUI();
+}
+
+function undoBoardEdit() {
+  if (isBoardBusy()) return;
+  undoHistory.undo();
+  updateUndoUI();
+}
+
+function redoBoardEdit() {
+  if (isBoardBusy()) return;
+  undoHistory.redo();
+  updateUndoUI();
+}
+
+function updateUndoUI() {
+  const undoBtn = document.getElementById("undoBtn");
+  const redoBtn = document.getElementById("redoBtn");
+  const nextUndo = undoHistory.peekUndo();
+  const nextRedo = undoHistory.peekRedo();
+
+  if (undoBtn instanceof HTMLButtonElement) {
+    undoBtn.disabled = !nextUndo;
+    undoBtn.title = nextUndo ? `Undo ${nextUndo.label} (Ctrl+Z)` : "Undo (Ctrl+Z)";
+  }
+  if (redoBtn instanceof HTMLButtonElement) {
+    redoBtn.disabled = !nextRedo;
+    redoBtn.title = nextRedo
+      ? `Redo ${nextRedo.label} (Ctrl+Shift+Z)`
+      : "Redo (Ctrl+Shift+Z)";
+  }
+}
+
+// ---- Formations -------------------------------------------------------------
+
+function initFormationControls() {
+  customFormations = loadCustomFormations();
+
+  for (const team of /** @type {const} */ (["blue", "red"])) {
+    const select = document.getElementById(`${team}FormationSelect`);
+    const saveBtn = document.getElementById(`${team}SaveFormationBtn`);
+    if (!(select instanceof HTMLSelectElement) || !(saveBtn instanceof HTMLButtonElement)) {
+      continue;
+    }
+
+    select.addEventListener("change", () => {
+      const formation = formationFromOption(select.value);
+      if (formation && !isBoardBusy()) {
+        startFormationTransition(team, formation);
+      }
+    });
+
+    saveBtn.addEventListener("click", () => {
+      const name = window.prompt(`Save the ${teamNames[team]} shape as:`, "")?.trim();
+      if (!name) return;
+      saveCustomFormation(team, name);
+      select.value = `custom:${name}`;
+    });
+  }
+
+  updateFormationOptions();
+}
+
+/**
+ * Rebuild both pickers: the presets, then any saved formations.
+ */
+function updateFormationOptions() {
+  for (const team of ["blue", "red"]) {
+    const select = document.getElementById(`${team}FormationSelect`);
+    if (!(select instanceof HTMLSelectElement)) continue;
+    const previous = select.value;
+
+    select.replaceChildren(new Option("Formation…", ""));
+    const presets = document.createElement("optgroup");
+    presets.label = "Presets";
+    const teamSize = players.filter((p) => p.team === team).length;
+    for (const f of formationsForTeamSize(teamSize)) {
+      presets.append(new Option(f.name, `preset:${f.name}`));
+    }
+    select.append(presets);
+
+    if (customFormations.length > 0) {
+      const custom = document.createElement("optgroup");
+      custom.label = "Saved";
+      for (const f of customFormations) {
+        custom.append(new Option(f.name, `custom:${f.name}`));
+      }
+      select.append(custom);
+    }
+    select.value = previous;
+    if (select.selectedIndex < 0) select.value = "";
+  }
+}
+
+/**
+ * @param {string} value picker option value, "preset:<name>" or "custom:<name>"
+ * @returns {Formation | undefined}
+ */
+function formationFromOption(value) {
+  const [kind, ...rest] = value.split(":");
+  const name = rest.join(":");
+  if (kind === "preset") return findFormation(name);
+  if (kind === "custom") return customFormations.find((f) => f.name === name);
+  return undefined;
+}
+
+/**
+ * Walk a team's players from where they stand into `formation`. Players
+ * are matched to spots in roster order, goalkeeper first.
+ *
+ * @param {"blue" | "red"} team
+ * @param {Formation} formation
+ */
+function startFormationTransition(team, formation) {
+  const spots = formationSpots(formation, team, blueAttacksRight);
+  const start = performance.now();
+  const teamPlayers = players.filter((p) => p.team === team);
+  const before = captureBoard();
+
+  formationMoves = formationMoves.filter((m) => m.player.team !== team);
+  teamPlayers.forEach((player, i) => {
+    const spot = spots[i];
+    if (!spot) return;
+    formationMoves.push({
+      player,
+      fromX: player.x,
+      fromY: player.y,
+      toX: spot.x * LOGICAL_WIDTH,
+      toY: spot.y * LOGICAL_HEIGHT,
+      start,
+    });
+  });
+
+  // Undo / redo jump straight to either end of the walk
+  const targets = new Map(formationMoves.map((m) => [m.player.id, m]));
+  const after = captureBoard();
+  for (const p of after.players) {
+    const move = targets.get(p.id);
+    if (move) {
+      p.x = move.toX;
+      p.y = move.toY;
+    }
+  }
+  pushBoardCommand(`${formation.name} for ${teamNames[team]}`, before, after);
+  requestRender();
+}
+
+/**
+ * @param {number} now
+ */
+function advanceFormationMoves(now) {
+  formationMoves = formationMoves.filter((m) => {
+    const t = clamp((now - m.start) / FORMATION_TRANSITION_MS, 0, 1);
+    // Ease in and out so the shape settles rather than snapping
+    const eased = t * t * (3 - 2 * t);
+    m.player.x = m.fromX + (m.toX - m.fromX) * eased;
+    m.player.y = m.fromY + (m.toY - m.fromY) * eased;
+    return t < 1;
+  });
+}
+
+/**
+ * Save a team's current positions under `name`, replacing any saved
+ * formation of the same name.
+ *
+ * @param {"blue" | "red"} team
+ * @param {string} name
+ */
+function saveCustomFormation(team, name) {
+  const spots = players
+    .filter((p) => p.team === team)
+    .map((p) => ({ x: p.x / LOGICAL_WIDTH, y: p.y / LOGICAL_HEIGHT }));
+  const formation = captureFormation(name, team, spots, blueAttacksRight);
+
+  customFormations = [
+    ...customFormations.filter((f) => f.name !== name),
+    formation,
+  ];
+  try {
+    localStorage.setItem(CUSTOM_FORMATIONS_KEY, JSON.stringify(customFormations));
+  } catch (err) {
+    // Storage full or disabled: keep the formation for this session only
+  }
+  updateFormationOptions();
+}
+
+/** @returns {Formation[]} */
+function loadCustomFormations() {
+  try {
+    const raw = localStorage.getItem(CUSTOM_FORMATIONS_KEY);
+    return raw ? parseCustomFormations(JSON.parse(raw)) : [];
+  } catch (err) {
+    return [];
+  }
+}
+
+// ---- Scenario URLs -----------------------------------------------------------
+
+function initScenarioUrl() {
+  lastScenarioHash = location.hash.replace(/^#/, "");
+  window.addEventListener("popstate", onScenarioNavigation);
+  window.addEventListener("hashchange", onScenarioNavigation);
+
+  const copyBtn = document.getElementById("copyLinkBtn");
+  if (!(copyBtn instanceof HTMLButtonElement)) return;
+  copyBtn.addEventListener("click", async () => {
+    writeScenarioUrl();
+    const link = location.href;
+    try {
+      await navigator.clipboard.writeText(link);
+      copyBtn.textContent = "Link copied";
+      window.setTimeout(() => {
+        copyBtn.textContent = "Copy link";
+      }, 1500);
+    } catch (err) {
+      // Clipboard blocked (e.g. insecure context): let the user copy it
+      window.prompt("Copy this link:", link);
+    }
+  });
+}
+
+/**
+ * Replace the board with the scenario in the URL hash, if there is a valid
+ * one.
+ *
+ * @returns {boolean} whether a scenario was applied
+ */
+function restoreScenarioFromUrl() {
+  const scenario = decodeScenario(location.hash, {
+    width: LOGICAL_WIDTH,
+    height: LOGICAL_HEIGHT,
   });
+  if (!scenario) return false;
+
+  applyBoardState(scenario);
+
+  // Normalise the hash (rounding, clamping) without adding history
+  lastScenarioHash = currentScenarioHash();
+  if (location.hash.replace(/^#/, "") !== lastScenarioHash) {
+    history.replaceState(null, "", `#${lastScenarioHash}`);
+  }
+  return true;
+}
+
+function onScenarioNavigation() {
+  if (location.hash.replace(/^#/, "") === lastScenarioHash) return;
+  // The board belongs to the clip while it plays or exports, and to a pass
+  // while it is played out
+  if (isBoardBusy()) return;
+  window.clearTimeout(scenarioUrlTimer);
+  if (restoreScenarioFromUrl()) {
+    requestRender();
+  }
+}
+
+/**
+ * Queue a history entry for the board once it has settled.
+ */
+function scheduleScenarioUrlUpdate() {
+  if (isScenarioUnsettled() || currentScenarioHash() === lastScenarioHash) return;
+
+  window.clearTimeout(scenarioUrlTimer);
+  scenarioUrlTimer = window.setTimeout(() => {
+    if (!isScenarioUnsettled()) writeScenarioUrl();
+  }, SCENARIO_URL_DELAY_MS);
+}
 
-  let controllingTeam = null;
-  let controller = null;
-
-  if (closeBlue.length > 0 && closeRed.length === 0) {
-    controllingTeam = "blue";
-    // pick closest blue to the ball
-    controller = closeBlue.reduce((best, p) => {
-      const db = (p.x - ball.x) ** 2 + (p.y - ball.y) ** 2;
-      const cb = best ? (best.x - ball.x) ** 2 + (best.y - ball.y) ** 2 : Infinity;
-      return db < cb ? p : best;
-    }, null);
-  } else if (closeRed.length > 0 && closeBlue.length === 0) {
-    controllingTeam = "red";
-    controller = closeRed.reduce((best, p) => {
-      const db = (p.x - ball.x) ** 2 + (p.y - ball.y) ** 2;
-      const cb = best ? (best.x - ball.x) ** 2 + (best.y - ball.y) ** 2 : Infinity;
-      return db < cb ? p : best;
-    }, null);
-  }
-
-  if (!controllingTeam || !controller) return;
-
-  const teammates = (controllingTeam === "blue" ? bluePlayers : redPlayers).filter(
-    (p) => p.id !== controller.id
+/**
+ * Nothing is written mid-drag, during formation transitions or while a
+ * clip or a pass owns the board.
+ */
+function isScenarioUnsettled() {
+  return (
+    isBoardBusy() ||
+    formationMoves.length > 0 ||
+    draggingPlayerId != null ||
+    draggingArrowPlayerId != null ||
+    draggingBall
   );
-  const opponents = controllingTeam === "blue" ? redPlayers : bluePlayers;
+}
 
-  const fromX = ball.x;
-  const fromY = ball.y;
+/**
+ * Write the board into the URL as a new history entry (or the first one).
+ */
+function writeScenarioUrl() {
+  window.clearTimeout(scenarioUrlTimer);
+  const hash = currentScenarioHash();
+  if (hash === lastScenarioHash) return;
 
-  ctx.save();
-  ctx.lineWidth = 2;
-  ctx.lineCap = "round";
-  ctx.lineJoin = "round";
+  if (location.hash) {
+    history.pushState(null, "", `#${hash}`);
+  } else {
+    history.replaceState(null, "", `#${hash}`);
+  }
+  lastScenarioHash = hash;
+}
 
-  for (const target of teammates) {
-    if (!canPassOnGround(fromX, fromY, target, opponents)) continue;
+function currentScenarioHash() {
+  return encodeScenario(captureBoard());
+}
 
-    const fx = fromX * scaleX;
-    const fy = fromY * scaleY;
-    const txCenter = target.x * scaleX;
-    const tyCenter = target.y * scaleY;
+// ---- Snapshots -------------------------------------------------------------
 
-    const color =
-      controllingTeam === "blue"
-        ? "rgba(129, 199, 255, 0.9)"
-        : "rgba(252, 165, 165, 0.9)";
+function initSnapshotControls() {
+  const pngBtn = document.getElementById("snapshotPngBtn");
+  const svgBtn = document.getElementById("snapshotSvgBtn");
+  if (!(pngBtn instanceof HTMLButtonElement) || !(svgBtn instanceof HTMLButtonElement)) {
+    return;
+  }
 
-    // Direction from ball to target and trimmed end at edge of target player
-    const dx = txCenter - fx;
-    const dy = tyCenter - fy;
-    const len = Math.sqrt(dx * dx + dy * dy) || 1;
-    const ux = dx / len;
-    const uy = dy / len;
-    const endOffset = PLAYER_RADIUS + 2; // stop slightly before player centre
-    const ex = txCenter - ux * endOffset;
-    const ey = tyCenter - uy * endOffset;
+  pngBtn.addEventListener("click", () => {
+    saveSnapshotPng();
+  });
+  svgBtn.addEventListener("click", async () => {
+    svgBtn.disabled = true;
+    try {
+      await saveSnapshotSvg();
+    } finally {
+      svgBtn.disabled = false;
+    }
+  });
+}
 
-    // Draw main line
-    ctx.strokeStyle = color;
-    ctx.beginPath();
-    ctx.moveTo(fx, fy);
-    ctx.lineTo(ex, ey);
-    ctx.stroke();
+/**
+ * Save the pitch as it is now as a PNG at SNAPSHOT_SCALE.
+ */
+function saveSnapshotPng() {
+  const target = document.createElement("canvas");
+  target.width = LOGICAL_WIDTH * SNAPSHOT_SCALE;
+  target.height = LOGICAL_HEIGHT * SNAPSHOT_SCALE;
+  const targetCtx = target.getContext("2d");
+  if (!targetCtx) return;
+
+  renderOffscreen(targetCtx, SNAPSHOT_SCALE);
+  target.toBlob((blob) => {
+    if (blob) downloadFile(`pitch-control-${fileStamp()}.png`, blob, "image/png");
+  }, "image/png");
+}
 
-    // Draw arrow head at end of line, touching the edge of the player
-    const headLen = 10;
-    const angle = Math.atan2(dy, dx);
-    const hx = ex;
-    const hy = ey;
-    ctx.beginPath();
-    ctx.moveTo(hx, hy);
-    ctx.lineTo(
-      hx - headLen * Math.cos(angle - Math.PI / 6),
-      hy - headLen * Math.sin(angle - Math.PI / 6)
-    );
-    ctx.lineTo(
-      hx - headLen * Math.cos(angle + Math.PI / 6),
-      hy - headLen * Math.sin(angle + Math.PI / 6)
-    );
-    ctx.closePath();
-    ctx.fillStyle = color;
-    ctx.fill();
+/**
+ * Save the pitch as it is now as an SVG: pitch markings, players, arrows,
+ * pass lines and the ball are vector elements, the control map an embedded
+ * PNG.
+ */
+async function saveSnapshotSvg() {
+  if (!ballSvgHref && ballImage) {
+    try {
+      const response = await fetch(ballImage.src);
+      if (response.ok) {
+        ballSvgHref = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(
+          await response.text()
+        )}`;
+      }
+    } catch (err) {
+      // Fall back to a raster copy of the loaded image
+    }
   }
 
-  ctx.restore();
+  const svgCtx = new SvgContext(LOGICAL_WIDTH, LOGICAL_HEIGHT, {
+    resolveImage: resolveSnapshotImage,
+  });
+  renderOffscreen(svgCtx, 1);
+  downloadFile(`pitch-control-${fileStamp()}.svg`, svgCtx.toSvg(), "image/svg+xml");
 }
 
 /**
- * Determine whether a straight ground pass from (fromX, fromY) to `target`
- * can avoid being intercepted by any of the opponents, assuming players
- * move with unit speed and the ball moves with speed BALL_SPEED.
+ * href for an image drawn into an SVG snapshot.
  *
- * The pass is considered unsafe if some opponent can reach the closest
- * point on the pass line before (or at the same time as) the ball.
- * A player's current velocity vector (vx, vy) is taken into account
- * using the same biased-arrival model as the pitch-control logic.
- *
- * @param {number} fromX
- * @param {number} fromY
- * @param {Player} target
- * @param {Player[]} opponents
- */
-function canPassOnGround(fromX, fromY, target, opponents) {
-  const dx = target.x - fromX;
-  const dy = target.y - fromY;
-  const segLenSq = dx * dx + dy * dy;
-  if (segLenSq < 1e-4) return false;
-
-  const segLen = Math.sqrt(segLenSq);
-
-  for (const op of opponents) {
-    // Projection of (op - from) onto the segment
-    const vx = op.x - fromX;
-    const vy = op.y - fromY;
-    let t = (vx * dx + vy * dy) / segLenSq;
-    if (t < 0) t = 0;
-    else if (t > 1) t = 1;
-
-    const px = fromX + dx * t;
-    const py = fromY + dy * t;
-
-    const distanceAlongPass = segLen * t;
-    const tBall = distanceAlongPass / BALL_SPEED; // ball time to this point
-    // Player time uses arrivalCostSquared so current movement direction
-    // biases how quickly they can reach the interception point.
-    const tOpponent = Math.sqrt(arrivalCostSquared(op, px, py));
-
-    if (tOpponent <= tBall) {
-      // Opponent can intercept at or before the ball reaches this point
-      return false;
-    }
+ * @param {unknown} source
+ * @returns {string | null}
+ */
+function resolveSnapshotImage(source) {
+  if (source === ballImage && ballSvgHref) return ballSvgHref;
+  if (source instanceof HTMLCanvasElement) return source.toDataURL("image/png");
+  if (source instanceof HTMLImageElement && source.naturalWidth > 0) {
+    const copy = document.createElement("canvas");
+    copy.width = source.naturalWidth;
+    copy.height = source.naturalHeight;
+    copy.getContext("2d")?.drawImage(source, 0, 0);
+    return copy.toDataURL("image/png");
   }
+  return null;
+}
 
-  return true;
+/**
+ * Timestamp for download file names, e.g. 2024-05-01-18-30-00.
+ */
+function fileStamp() {
+  return new Date().toISOString().slice(0, 19).replace(/[:T]/g, "-");
 }
 
 // ---- Recording / Replay controls -------------------------------------------
@@ -1015,23 +3771,66 @@ function initRecordingControls() {
   const stopBtn = document.getElementById("stopRecordBtn");
   const playBtn = document.getElementById("playBtn");
   const statusEl = document.getElementById("recordStatus");
+  const importBtn = document.getElementById("importTrackingBtn");
+  const trackingInput = document.getElementById("trackingFileInput");
+  const exportClipBtn = document.getElementById("exportClipBtn");
+  const exportFormatSelect = document.getElementById("exportFormatSelect");
+  const exportVideoBtn = document.getElementById("exportVideoBtn");
+  const importClipBtn = document.getElementById("importClipBtn");
+  const clipInput = document.getElementById("clipFileInput");
+  const pauseBtn = document.getElementById("pauseBtn");
+  const stepBackBtn = document.getElementById("stepBackBtn");
+  const stepForwardBtn = document.getElementById("stepForwardBtn");
+  const timeline = document.getElementById("replayTimeline");
+  const speedSelect = document.getElementById("replaySpeedSelect");
+  const loopCheckbox = document.getElementById("toggleLoop");
 
   if (
     !(recordBtn instanceof HTMLButtonElement) ||
     !(stopBtn instanceof HTMLButtonElement) ||
     !(playBtn instanceof HTMLButtonElement) ||
-    !(statusEl instanceof HTMLElement)
+    !(statusEl instanceof HTMLElement) ||
+    !(importBtn instanceof HTMLButtonElement) ||
+    !(trackingInput instanceof HTMLInputElement) ||
+    !(exportClipBtn instanceof HTMLButtonElement) ||
+    !(exportFormatSelect instanceof HTMLSelectElement) ||
+    !(exportVideoBtn instanceof HTMLButtonElement) ||
+    !(importClipBtn instanceof HTMLButtonElement) ||
+    !(clipInput instanceof HTMLInputElement) ||
+    !(pauseBtn instanceof HTMLButtonElement) ||
+    !(stepBackBtn instanceof HTMLButtonElement) ||
+    !(stepForwardBtn instanceof HTMLButtonElement) ||
+    !(timeline instanceof HTMLInputElement) ||
+    !(speedSelect instanceof HTMLSelectElement) ||
+    !(loopCheckbox instanceof HTMLInputElement)
   ) {
     return;
   }
 
   const updateUI = () => {
-    recordBtn.disabled = isRecording || isReplaying;
-    stopBtn.disabled = !isRecording && !isReplaying;
-    playBtn.disabled = isRecording || recordingFrames.length === 0;
-
-    if (isRecording) {
+    const exporting = exportAbort !== null;
+    recordBtn.disabled = isRecording || isReplaying || exporting;
+    stopBtn.disabled = !isRecording && !isReplaying && !exporting;
+    playBtn.disabled = isRecording || exporting || recordingFrames.length === 0;
+    importBtn.disabled = isRecording || isReplaying || exporting;
+    exportClipBtn.disabled = isRecording || recordingFrames.length === 0;
+    importClipBtn.disabled = isRecording || isReplaying || exporting;
+    exportVideoBtn.disabled = isRecording || exporting || recordingFrames.length === 0;
+    exportFormatSelect.disabled = exporting;
+
+    const hasClip = !isRecording && !exporting && recordingFrames.length > 0;
+    pauseBtn.disabled = !isReplaying || exporting;
+    pauseBtn.textContent = replayPaused ? "Resume" : "Pause";
+    stepBackBtn.disabled = !hasClip;
+    stepForwardBtn.disabled = !hasClip;
+    timeline.disabled = !hasClip;
+
+    if (exporting) {
+      statusEl.textContent = `Exporting… ${Math.round(exportProgress * 100)}%`;
+    } else if (isRecording) {
       statusEl.textContent = "● Recording";
+    } else if (isReplaying && replayPaused) {
+      statusEl.textContent = "❚❚ Paused";
     } else if (isReplaying) {
       statusEl.textContent = "▶ Replaying";
     } else if (recordingFrames.length > 0) {
@@ -1042,33 +3841,406 @@ function initRecordingControls() {
     }
   };
 
+  updateRecordingUI = () => {
+    updateUI();
+    updateReplayTimeline();
+  };
+
   recordBtn.addEventListener("click", () => {
-    if (isReplaying) return;
+    if (isBoardBusy()) return;
     recordingFrames = [];
+    clipBlueAttacksRight = blueAttacksRight;
+    invalidateReplayClip();
+    replayTime = 0;
     isRecording = true;
     recordStartTime = performance.now();
-    updateUI();
+    updateRecordingUI();
     requestRender();
   });
 
   stopBtn.addEventListener("click", () => {
+    exportAbort?.abort();
     isRecording = false;
-    isReplaying = false;
-    updateUI();
+    leaveReplay();
+    updateRecordingUI();
   });
 
   playBtn.addEventListener("click", () => {
+    startReplay();
+  });
+
+  // Replay transport
+  pauseBtn.addEventListener("click", () => {
+    if (replayPaused) {
+      resumeReplay();
+    } else {
+      pauseReplay();
+    }
+  });
+
+  stepBackBtn.addEventListener("click", () => stepReplay(-1));
+  stepForwardBtn.addEventListener("click", () => stepReplay(1));
+
+  timeline.addEventListener("input", () => {
+    seekReplay(Number(timeline.value));
+  });
+
+  speedSelect.value = String(replaySpeed);
+  speedSelect.addEventListener("change", () => {
+    setReplaySpeed(Number(speedSelect.value));
+  });
+
+  loopCheckbox.checked = replayLoop;
+  loopCheckbox.addEventListener("change", () => {
+    replayLoop = loopCheckbox.checked;
+  });
+
+  // Arrow keys step one frame at a time (unless a form control has focus)
+  window.addEventListener("keydown", (e) => {
+    if (e.key !== "ArrowLeft" && e.key !== "ArrowRight") return;
+    const target = e.target;
+    if (
+      target instanceof HTMLInputElement ||
+      target instanceof HTMLSelectElement ||
+      target instanceof HTMLTextAreaElement
+    ) {
+      return;
+    }
+    if (isRecording || exportAbort || passInFlight || recordingFrames.length === 0) return;
+    e.preventDefault();
+    stepReplay(e.key === "ArrowLeft" ? -1 : 1);
+  });
+
+  // Tracking data import: replaces the clip and plays it straight away
+  importBtn.addEventListener("click", () => {
+    if (isRecording || isBoardBusy()) return;
+    trackingInput.click();
+  });
+
+  trackingInput.addEventListener("change", async () => {
+    const files = Array.from(trackingInput.files || []);
+    // Allow re-selecting the same files after fixing them
+    trackingInput.value = "";
+    if (!files.length) return;
+
+    try {
+      const texts = await Promise.all(
+        files.map(async (file) => ({ name: file.name, text: await file.text() }))
+      );
+      const data = parseTracking(texts);
+      // Tracking data covers a full-size pitch with eleven a side; setting
+      // the board up for it is one edit
+      const before = captureBoard();
+      if (pitchSize !== DEFAULT_PITCH_SIZE) {
+        applyBoardState({
+          ...before,
+          players: createInitialPlayers(findFormation(DEFAULT_PITCH_SIZE.formation)),
+          pitchSize: DEFAULT_PITCH_SIZE.key,
+        });
+      }
+      recordBoardEdit("Import tracking data", before);
+      const { frames, assignments } = trackingToFrames(data, players);
+
+      const unmapped = assignments.filter((a) => a.playerId == null);
+      showImportMessage(
+        unmapped.length
+          ? "Not shown (no free board slot): " +
+              unmapped.map((a) => `${a.team} #${a.jersey}`).join(", ")
+          : "",
+        false
+      );
+
+      recordingFrames = frames;
+      clipBlueAttacksRight = blueAttacksRight;
+      invalidateReplayClip();
+      startReplay();
+    } catch (err) {
+      showImportMessage(
+        err instanceof Error ? err.message : String(err),
+        true
+      );
+    }
+    updateRecordingUI();
+  });
+
+  // Save the current clip as a JSON document
+  exportClipBtn.addEventListener("click", () => {
     if (recordingFrames.length === 0) return;
-    isRecording = false;
-    isReplaying = true;
-    replayIndex = 0;
-    replayStartTime = performance.now();
-    updateUI();
-    requestRender();
+    const json = serializeRecording({
+      frames: recordingFrames,
+      flags: getFeatureFlags(),
+      teamNames,
+      pitchSize: pitchSize.key,
+      blueAttacksRight: clipBlueAttacksRight,
+      passType,
+    });
+    downloadFile(`pitch-control-clip-${fileStamp()}.json`, json, "application/json");
+  });
+
+  // Render the clip to a WebM video or animated GIF
+  if (!canExportWebm()) {
+    const webmOption = exportFormatSelect.querySelector('option[value="webm"]');
+    if (webmOption instanceof HTMLOptionElement) {
+      webmOption.disabled = true;
+      webmOption.textContent += " (unsupported)";
+    }
+    exportFormatSelect.value = "gif";
+  }
+
+  exportVideoBtn.addEventListener("click", async () => {
+    const format = exportFormatSelect.value === "webm" ? "webm" : "gif";
+    try {
+      showImportMessage("", false);
+      await exportClipAnimation(format);
+    } catch (err) {
+      if (err instanceof DOMException && err.name === "AbortError") return;
+      showImportMessage(
+        `Export failed: ${err instanceof Error ? err.message : String(err)}`,
+        true
+      );
+    }
+  });
+
+  importClipBtn.addEventListener("click", () => {
+    if (isRecording || isBoardBusy()) return;
+    clipInput.click();
   });
 
-  updateUI();
+  clipInput.addEventListener("change", async () => {
+    const file = clipInput.files?.[0];
+    clipInput.value = "";
+    if (!file) return;
+
+    try {
+      const recording = parseRecording(await file.text());
+      recordingFrames = recording.frames;
+      invalidateReplayClip();
+      teamNames.blue = recording.teamNames.blue;
+      teamNames.red = recording.teamNames.red;
+      updateTeamNameLabels();
+
+      // Setting the board up the way the clip was recorded is one edit
+      const before = captureBoard();
+      passType = recording.passType ?? DEFAULT_PASS_TYPE;
+      applyFeatureFlags(recording.flags);
+      if (recording.pitchSize) {
+        setPitchSize(findPitchSize(recording.pitchSize) ?? DEFAULT_PITCH_SIZE);
+      }
+      clipBlueAttacksRight = recording.blueAttacksRight ?? true;
+      setAttackingDirection(clipBlueAttacksRight);
+      recordBoardEdit("Import clip", before);
+      showImportMessage("", false);
+
+      // Show the clip's opening position, paused, until it is played
+      seekReplay(0);
+    } catch (err) {
+      showImportMessage(
+        `${file.name}: ${err instanceof Error ? err.message : String(err)}`,
+        true
+      );
+    }
+    updateRecordingUI();
+  });
+
+  updateRecordingUI();
+}
+
+/**
+ * Show the outcome of a file import under the controls; an empty `text`
+ * hides the message.
+ *
+ * @param {string} text
+ * @param {boolean} isError
+ */
+function showImportMessage(text, isError) {
+  const el = document.getElementById("importMessage");
+  if (!el) return;
+  el.textContent = text;
+  el.hidden = !text;
+  el.classList.toggle("import-message--error", isError);
+}
+
+/**
+ * Render the whole clip frame by frame at a fixed frame rate and download
+ * it. The replay is paused meanwhile and the board is put back afterwards.
+ *
+ * @param {"webm" | "gif"} format
+ */
+async function exportClipAnimation(format) {
+  if (isRecording || exportAbort || passInFlight || recordingFrames.length === 0) return;
+  pauseReplay();
+
+  const width = format === "webm" ? EXPORT_VIDEO_WIDTH : EXPORT_GIF_WIDTH;
+  const fps = format === "webm" ? EXPORT_VIDEO_FPS : EXPORT_GIF_FPS;
+  const target = document.createElement("canvas");
+  target.width = width;
+  // Video encoders want even dimensions
+  target.height = 2 * Math.round((width * LOGICAL_HEIGHT) / LOGICAL_WIDTH / 2);
+  const targetCtx = target.getContext("2d");
+  if (!targetCtx) return;
+  const ratio = width / LOGICAL_WIDTH;
+
+  const endT = recordingFrames[recordingFrames.length - 1].t;
+  const frameCount = Math.floor((endT * fps) / 1000) + 1;
+
+  // The export plays the clip through a paused replay, returning to the
+  // replay position afterwards or, from the board, to the board
+  const wasReplaying = isReplaying;
+  enterReplay();
+  replayPaused = true;
+
+  exportAbort = new AbortController();
+  exportProgress = 0;
+  updateRecordingUI();
+
+  try {
+    const options = {
+      canvas: target,
+      frameCount,
+      fps,
+      drawFrame: (/** @type {number} */ index) => {
+        applyReplayTime((index * 1000) / fps);
+        renderOffscreen(targetCtx, ratio);
+      },
+      onProgress: (/** @type {number} */ done) => {
+        exportProgress = done / frameCount;
+        updateRecordingUI();
+      },
+      signal: exportAbort.signal,
+    };
+    const blob =
+      format === "webm" ? await exportWebm(options) : await exportGif(options);
+
+    downloadFile(`pitch-control-clip-${fileStamp()}.${format}`, blob, blob.type);
+  } finally {
+    if (wasReplaying && isReplaying) applyReplayTime(replayTime);
+    else leaveReplay();
+    exportAbort = null;
+    updateRecordingUI();
+    requestRender();
+  }
+}
+
+function startReplay() {
+  if (recordingFrames.length === 0 || exportAbort || passInFlight) return;
+  isRecording = false;
+  enterReplay();
+  replayPaused = false;
+  replayTime = 0;
+  replayStartTime = performance.now();
+  // Chart this play from the start
+  statsSamples = new Float32Array(0);
+  updateRecordingUI();
+  requestRender();
+}
+
+function pauseReplay() {
+  if (!isReplaying || replayPaused) return;
+  replayPaused = true;
+  updateRecordingUI();
+}
+
+function resumeReplay() {
+  if (!isReplaying || !replayPaused) return;
+  replayPaused = false;
+  // Continue from the shown position rather than where the clock would be
+  replayStartTime = performance.now() - replayTime / replaySpeed;
+  updateRecordingUI();
+  requestRender();
+}
+
+/**
+ * @param {number} speed playback rate, e.g. 0.25 .. 4
+ */
+function setReplaySpeed(speed) {
+  if (!(speed > 0)) return;
+  replaySpeed = speed;
+  if (isReplaying && !replayPaused) {
+    replayStartTime = performance.now() - replayTime / replaySpeed;
+  }
+}
+
+/**
+ * Jump to a clip time, showing positions interpolated between the recorded
+ * frames either side. Seeking while idle enters a paused replay.
+ *
+ * @param {number} time ms
+ */
+function seekReplay(time) {
+  if (isRecording || exportAbort || passInFlight || recordingFrames.length === 0) return;
+  if (!isReplaying) {
+    enterReplay();
+    replayPaused = true;
+  }
+
+  const endT = recordingFrames[recordingFrames.length - 1].t;
+  replayTime = clamp(time, 0, endT);
+  if (!replayPaused) {
+    replayStartTime = performance.now() - replayTime / replaySpeed;
+  }
+
+  applyReplayTime(replayTime);
+  updateRecordingUI();
+  requestRender();
+}
+
+/**
+ * Pause and move to the previous / next recorded frame.
+ *
+ * @param {-1 | 1} direction
+ */
+function stepReplay(direction) {
+  if (isRecording || exportAbort || passInFlight || recordingFrames.length === 0) return;
+  enterReplay();
+  replayPaused = true;
+
+  const index = frameIndexAt(recordingFrames, replayTime);
+  const between = replayTime > recordingFrames[index].t;
+  let target;
+  if (direction > 0) {
+    target = index + 1;
+  } else {
+    // From between two frames, "back" means the earlier of the two
+    target = between ? index : index - 1;
+  }
+  target = clamp(target, 0, recordingFrames.length - 1);
+  seekReplay(recordingFrames[target].t);
+}
+
+function updateReplayTimeline() {
+  const timeline = document.getElementById("replayTimeline");
+  const label = document.getElementById("replayTimeLabel");
+  if (!(timeline instanceof HTMLInputElement) || !label) return;
+
+  const endT = recordingFrames.length
+    ? recordingFrames[recordingFrames.length - 1].t
+    : 0;
+  timeline.max = String(endT);
+  timeline.value = String(replayTime);
+  label.textContent = recordingFrames.length
+    ? `${(replayTime / 1000).toFixed(1)}s / ${(endT / 1000).toFixed(1)}s`
+    : "";
+}
+
+/**
+ * Offer `contents` to the user as a file download.
+ *
+ * @param {string} filename
+ * @param {BlobPart} contents
+ * @param {string} type MIME type
+ */
+function downloadFile(filename, contents, type) {
+  const url = URL.createObjectURL(new Blob([contents], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the browser a moment to start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
 }
+
 function drawBall() {
   if (!ctx || !canvas) return;
 
@@ -1115,6 +4287,30 @@ function drawBall() {
     ctx.stroke();
   }
 
+  // Both teams within reach and nobody in control: a dashed ring the size
+  // of the reach, tagged like the pass lines to stay legible
+  if (possession.contested) {
+    const reach = ballControlRules().reach * scaleX;
+    ctx.lineWidth = 2;
+    ctx.strokeStyle = CONTESTED_COLOR;
+    ctx.setLineDash([5, 4]);
+    ctx.beginPath();
+    ctx.arc(cx, cy, reach, 0, Math.PI * 2);
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    const label = "Contested";
+    ctx.font = "600 10px system-ui, sans-serif";
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    const tagWidth = ctx.measureText(label).width + 6;
+    const ly = cy - reach - 10;
+    ctx.fillStyle = "rgba(15, 23, 42, 0.8)";
+    ctx.fillRect(cx - tagWidth / 2, ly - 7, tagWidth, 14);
+    ctx.fillStyle = CONTESTED_COLOR;
+    ctx.fillText(label, cx, ly);
+  }
+
   ctx.restore();
 }
 
@@ -1172,12 +4368,22 @@ function getPointerPosition(e) {
 function onPointerDown(e) {
   if (!canvas) return;
 
-  // Ignore input while replaying a recording
-  if (isReplaying) return;
+  // Ignore input while replaying or exporting a recording, or while a pass
+  // is played out
+  if (isBoardBusy()) return;
 
   const pos = getPointerPosition(e);
   if (!pos) return;
 
+  // Playing a pass: this click picks where it goes
+  if (passAiming) {
+    startPass(pos.lx, pos.ly);
+    if (e.cancelable) {
+      e.preventDefault();
+    }
+    return;
+  }
+
   const { lx, ly, x, y } = pos;
 
   const rect = canvas.getBoundingClientRect();
@@ -1194,6 +4400,7 @@ function onPointerDown(e) {
     const dby = ballCy - y;
     const ballHitRadius = BALL_RADIUS * 1.9;
     if (Math.sqrt(dbx * dbx + dby * dby) <= ballHitRadius) {
+      dragStartBoard = captureBoard();
       draggingBall = true;
       draggingPlayerId = null;
       draggingArrowPlayerId = null;
@@ -1255,14 +4462,50 @@ function onPointerDown(e) {
   let foundMove = selectedPlayerForMove;
   let foundArrow = arrowsEnabled ? selectedPlayerForArrow : null;
 
+  // Shift-click adds a player to the selection, or takes them out of it
+  if (e.shiftKey && foundMove) {
+    togglePlayerSelection(foundMove.id);
+    if (e.cancelable) {
+      e.preventDefault();
+    }
+    return;
+  }
+
   // Prefer arrow drag when clicking close to an arrow tip; otherwise move.
+  if (foundArrow || foundMove) {
+    dragStartBoard = captureBoard();
+  }
   if (foundArrow) {
     draggingArrowPlayerId = foundArrow.id;
     draggingPlayerId = null;
   } else if (foundMove) {
     draggingPlayerId = foundMove.id;
     draggingArrowPlayerId = null;
+    // Grabbing a selected player drags the whole selection with them
+    if (!selectedPlayerIds.has(foundMove.id)) {
+      clearPlayerSelection();
+    }
+    const group = selectedPlayerIds.has(foundMove.id) ? getSelectedPlayers() : [foundMove];
+    groupDragStarts = new Map(group.map((p) => [p, { x: p.x, y: p.y }]));
+    // Grabbed players stop walking into the formation
+    formationMoves = formationMoves.filter((m) => !groupDragStarts.has(m.player));
   } else {
+    // Empty grass: drag out a rubber band with the mouse (touch keeps
+    // scrolling the page). Shift adds to the current selection.
+    closePlayerInspector();
+    if (!e.shiftKey) {
+      clearPlayerSelection();
+    }
+    // With the reception map on, the grass clicked is where the pass goes
+    if (ballModeEnabled && receptionEnabled) {
+      receptionTarget = { x: lx, y: ly };
+      requestRender();
+    }
+    if (e instanceof MouseEvent) {
+      selectionBand = { startX: lx, startY: ly, endX: lx, endY: ly };
+      canvas.style.cursor = "crosshair";
+      e.preventDefault();
+    }
     return;
   }
 
@@ -1286,8 +4529,9 @@ function onPointerDown(e) {
 function onPointerMove(e) {
   if (!canvas) return;
 
-  // Ignore input while replaying a recording
-  if (isReplaying) return;
+  // Ignore input while replaying or exporting a recording, or while a pass
+  // is played out
+  if (isBoardBusy()) return;
 
   const pos = getPointerPosition(e);
   if (!pos) return;
@@ -1333,41 +4577,37 @@ function onPointerMove(e) {
   // If dragging a player, move them and re-render
   if (draggingPlayerId != null) {
     const player = players.find((p) => p.id === draggingPlayerId);
-    if (!player) return;
-
-    // Update player position with clamping inside pitch
-    const newX = lx - dragOffsetX;
-    const newY = ly - dragOffsetY;
-
-    player.x = clamp(
-      newX,
-      PLAYER_RADIUS * 1.5,
-      LOGICAL_WIDTH - PLAYER_RADIUS * 1.5
-    );
-    player.y = clamp(
-      newY,
-      PLAYER_RADIUS * 1.5,
-      LOGICAL_HEIGHT - PLAYER_RADIUS * 1.5
+    const start = player && groupDragStarts.get(player);
+    if (!start) return;
+
+    // Move the whole group by the same offset, clamped so that nobody
+    // leaves the pitch
+    const { dx, dy } = clampGroupOffset(
+      [...groupDragStarts.values()],
+      lx - dragOffsetX - start.x,
+      ly - dragOffsetY - start.y,
+      PLAYER_BOUNDS
     );
+    for (const [p, from] of groupDragStarts) {
+      p.x = from.x + dx;
+      p.y = from.y + dy;
+    }
 
     // Re-render visualization as the player moves (throttled)
     requestRender();
     return;
   }
 
-  // Not dragging: update hovered player for highlight + cursor
-  const hitRadius = PLAYER_RADIUS * HIT_RADIUS_FACTOR;
-  let found = null;
-  for (let i = players.length - 1; i >= 0; i--) {
-    const p = players[i];
-    const dx = p.x - lx;
-    const dy = p.y - ly;
-    if (Math.sqrt(dx * dx + dy * dy) <= hitRadius) {
-      found = p;
-      break;
-    }
+  if (selectionBand) {
+    selectionBand.endX = lx;
+    selectionBand.endY = ly;
+    requestRender();
+    return;
   }
 
+  // Not dragging: update hovered player for highlight + cursor
+  const found = playerAt(lx, ly);
+
   const newHoveredId = found ? found.id : null;
   if (newHoveredId === hoveredPlayerId) {
     return;
@@ -1375,7 +4615,9 @@ function onPointerMove(e) {
 
   hoveredPlayerId = newHoveredId;
 
-  if (hoveredPlayerId != null) {
+  if (passAiming) {
+    canvas.style.cursor = "crosshair";
+  } else if (hoveredPlayerId != null) {
     canvas.style.cursor = "grab";
   } else if (draggingPlayerId == null) {
     canvas.style.cursor = "default";
@@ -1389,7 +4631,23 @@ function onPointerMove(e) {
  * @param {MouseEvent | TouchEvent} e
  */
 function onPointerUp(e) {
-  if (isReplaying) return;
+  if (isBoardBusy()) return;
+  if (selectionBand) {
+    const rect = rectFromCorners(
+      { x: selectionBand.startX, y: selectionBand.startY },
+      { x: selectionBand.endX, y: selectionBand.endY }
+    );
+    selectionBand = null;
+    for (const id of playersInRect(players, rect)) {
+      selectedPlayerIds.add(id);
+    }
+    if (canvas) {
+      canvas.style.cursor = "default";
+    }
+    updateSelectionUI();
+    requestRender();
+    return;
+  }
   if (
     draggingPlayerId == null &&
     draggingArrowPlayerId == null &&
@@ -1399,9 +4657,30 @@ function onPointerUp(e) {
   if (canvas) {
     canvas.style.cursor = "default";
   }
+
+  // Touch and mouse releases both end up here, so both commit the same way
+  const label = draggingBall
+    ? "Move ball"
+    : draggingArrowPlayerId != null
+    ? "Aim player"
+    : "Move player";
+
+  // Clicking a player without moving them opens the inspector
+  const clicked = players.find((p) => p.id === draggingPlayerId);
+  const start = dragStartBoard?.players.find((p) => p.id === draggingPlayerId);
+  if (clicked && start && clicked.x === start.x && clicked.y === start.y) {
+    openPlayerInspector(clicked.id);
+  }
+
   draggingPlayerId = null;
   draggingArrowPlayerId = null;
   draggingBall = false;
+  groupDragStarts = new Map();
+  if (dragStartBoard) {
+    recordBoardEdit(label, dragStartBoard);
+    dragStartBoard = null;
+  }
+  scheduleScenarioUrlUpdate();
 }
 
 function onPointerLeave() {
@@ -1411,9 +4690,3 @@ function onPointerLeave() {
     canvas.style.cursor = "default";
   }
 }
-
-function clamp(v, min, max) {
-  return v < min ? min : v > max ? max : v;
-}
-
-
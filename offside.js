@@ -0,0 +1,75 @@
+// Offside
+// -------
+// Offside lines and offside positions, from player centres. A team's
+// offside line is level with its second-last defender (usually the last
+// outfield player, with the goalkeeper behind); an attacker is in an
+// offside position when in the opposition half and nearer the goal line
+// than both the ball and that line. With fewer than two defenders the
+// line is the goal line itself, so nobody can be beyond it.
+
+import { LOGICAL_WIDTH } from "./pitchModel.js";
+import { attackingSign } from "./direction.js";
+
+/** @typedef {import("./pitchModel.js").Player} Player */
+/** @typedef {import("./pitchModel.js").Team} Team */
+
+/**
+ * x of the offside line a team holds: its second-last player towards the
+ * goal it defends.
+ *
+ * @param {Player[]} players both teams
+ * @param {Team} defendingTeam
+ * @param {boolean} blueAttacksRight
+ * @returns {number} logical
+ */
+export function offsideLineX(players, defendingTeam, blueAttacksRight) {
+  // Attackers run towards +x when the defenders attack towards -x
+  const sign = -attackingSign(defendingTeam, blueAttacksRight);
+  const depths = players
+    .filter((p) => p.team === defendingTeam)
+    .map((p) => p.x * sign)
+    .sort((a, b) => b - a);
+  const goalLine = sign > 0 ? LOGICAL_WIDTH : 0;
+  return depths.length < 2 ? goalLine : depths[1] * sign;
+}
+
+/**
+ * x beyond which the attackers facing `defendingTeam` are offside: its
+ * offside line, or the halfway line when the line is in the attackers' own
+ * half (nobody is offside there).
+ *
+ * @param {Player[]} players both teams
+ * @param {Team} defendingTeam
+ * @param {boolean} blueAttacksRight
+ * @returns {number} logical
+ */
+export function offsideLimitX(players, defendingTeam, blueAttacksRight) {
+  const sign = -attackingSign(defendingTeam, blueAttacksRight);
+  const lineX = offsideLineX(players, defendingTeam, blueAttacksRight);
+  const halfway = LOGICAL_WIDTH / 2;
+  return sign > 0 ? Math.max(lineX, halfway) : Math.min(lineX, halfway);
+}
+
+/**
+ * Players of either team standing in an offside position.
+ *
+ * @param {Player[]} players
+ * @param {{ x: number, y: number }} ball
+ * @param {boolean} blueAttacksRight
+ * @returns {Set<number>} player ids
+ */
+export function offsidePlayerIds(players, ball, blueAttacksRight) {
+  /** @type {Set<number>} */
+  const ids = new Set();
+  for (const team of /** @type {const} */ (["blue", "red"])) {
+    const sign = attackingSign(team, blueAttacksRight);
+    const limitX = offsideLimitX(players, team === "blue" ? "red" : "blue", blueAttacksRight);
+    for (const p of players) {
+      if (p.team !== team) continue;
+      const beyondBall = (p.x - ball.x) * sign > 0;
+      const beyondLimit = (p.x - limitX) * sign > 0;
+      if (beyondBall && beyondLimit) ids.add(p.id);
+    }
+  }
+  return ids;
+}
@@ -0,0 +1,230 @@
+// Pass options
+// ------------
+// Chance of completing each pass open to the ball carrier: to a
+// teammate's feet, or into space for the teammate who would get there
+// first. A pass is completed when no opponent gets to a playable part of
+// its path before the ball (or, for a pass into space, to the target
+// before the receiver) and the receiver controls it; longer passes are
+// less accurate. Arrival times are uncertain, so each race is won with a
+// probability that grows with the time margin. Players read a pass as it
+// is struck, so only part of their usual reaction time counts.
+
+import {
+  LOGICAL_HEIGHT,
+  LOGICAL_WIDTH,
+  clamp,
+  playerAttributes,
+  timeToIntercept,
+} from "./pitchModel.js";
+import { ballTimeAt, passArrivalTime, playableFrom } from "./ballFlight.js";
+
+/** @typedef {import("./pitchModel.js").Player} Player */
+/** @typedef {import("./ballFlight.js").PassType} PassType */
+
+/**
+ * @typedef PassOption
+ * @property {Player} receiver
+ * @property {number} x where the ball is played to, logical
+ * @property {number} y
+ * @property {boolean} intoSpace false for a pass to the receiver's feet
+ * @property {number} probability of completing the pass, 0..1
+ *
+ * @typedef PassContext
+ * @property {PassType} passType
+ * @property {number} metresPerUnit
+ */
+
+// Spread of a race's outcome around the difference in arrival times
+const RACE_SIGMA = 0.45; // s
+// Chance of a clean first touch, by how the ball arrives
+const FIRST_TOUCH = { ground: 0.98, driven: 0.92, lofted: 0.85 };
+// Passes this long land on target about a third of the time
+const ACCURACY_LENGTH = 80; // m
+// Part of a player's reaction time spent before they move for a pass
+export const PASS_REACTION_SHARE = 0.25;
+// Points along the path checked for interceptions
+const PATH_SAMPLES = 12;
+// Passes into space are tried this far from each teammate, in eight
+// directions
+const SPACE_RADII = [6, 12]; // m
+
+/**
+ * Chance of completing a pass from `from` to the point `to`, received by
+ * `receiver`.
+ *
+ * @param {{ x: number, y: number }} from
+ * @param {{ x: number, y: number }} to
+ * @param {Player} receiver
+ * @param {Player[]} opponents
+ * @param {boolean} intoSpace whether the receiver has to run onto it
+ * @param {PassContext} context
+ * @returns {number} 0..1
+ */
+export function passProbability(from, to, receiver, opponents, intoSpace, context) {
+  const { passType, metresPerUnit } = context;
+  const dx = to.x - from.x;
+  const dy = to.y - from.y;
+  const length = Math.hypot(dx, dy) * metresPerUnit;
+  const ballTime = passArrivalTime(passType, length);
+  if (length < 1e-3 || !isFinite(ballTime)) return 0;
+
+  const accuracy = Math.exp(-((length / ACCURACY_LENGTH) ** 2));
+  let probability = accuracy * FIRST_TOUCH[passType];
+
+  // A pass into space waits at the target until the receiver gets there
+  const receivedTime = intoSpace
+    ? Math.max(ballTime, arrivalTime(receiver, to.x, to.y, metresPerUnit))
+    : ballTime;
+
+  // Each opponent gets one go, at the point of the path where they are
+  // closest to beating the ball
+  const first = playableFrom(passType, length) / length;
+  for (const op of opponents) {
+    let margin = Infinity;
+    for (let i = 0; i <= PATH_SAMPLES; i++) {
+      const t = first + ((1 - first) * i) / PATH_SAMPLES;
+      const opponentTime = arrivalTime(op, from.x + dx * t, from.y + dy * t, metresPerUnit);
+      const ballAt = i === PATH_SAMPLES ? receivedTime : ballTimeAt(passType, length * t, length);
+      margin = Math.min(margin, opponentTime - ballAt);
+    }
+    probability *= raceWon(margin);
+  }
+
+  return probability;
+}
+
+/**
+ * Every pass open to the carrier: to each teammate's feet, and into the
+ * space around them for whichever teammate would get there first.
+ *
+ * @param {{ x: number, y: number }} ball
+ * @param {Player[]} receivers teammates who may receive (not the carrier,
+ *   nor anyone offside)
+ * @param {Player[]} opponents
+ * @param {PassContext} context
+ * @returns {PassOption[]}
+ */
+export function findPassOptions(ball, receivers, opponents, context) {
+  /** @type {PassOption[]} */
+  const options = receivers.map((receiver) => ({
+    receiver,
+    x: receiver.x,
+    y: receiver.y,
+    intoSpace: false,
+    probability: passProbability(ball, receiver, receiver, opponents, false, context),
+  }));
+
+  for (const spot of spaceSpots(receivers, context.metresPerUnit)) {
+    const receiver = firstToArrive(receivers, spot, context.metresPerUnit);
+    if (!receiver) continue;
+    options.push({
+      receiver,
+      ...spot,
+      intoSpace: true,
+      probability: passProbability(ball, spot, receiver, opponents, true, context),
+    });
+  }
+
+  return options;
+}
+
+/**
+ * Which of `receivers` would get to a pass played to `point` first.
+ *
+ * @param {Player[]} receivers
+ * @param {{ x: number, y: number }} point
+ * @param {number} metresPerUnit
+ * @returns {Player | null} null when there is nobody to receive it
+ */
+export function firstToArrive(receivers, point, metresPerUnit) {
+  let receiver = null;
+  let best = Infinity;
+  for (const p of receivers) {
+    const time = arrivalTime(p, point.x, point.y, metresPerUnit);
+    if (time < best) {
+      best = time;
+      receiver = p;
+    }
+  }
+  return receiver;
+}
+
+/**
+ * The best options by `value`, most valuable first, at most one pass into
+ * space per receiver.
+ *
+ * @param {PassOption[]} options
+ * @param {(option: PassOption) => number} value e.g. probability times the
+ *   worth of the target area
+ * @param {number} limit
+ * @returns {PassOption[]}
+ */
+export function rankPassOptions(options, value, limit) {
+  const scored = options
+    .filter((o) => o.probability > 0)
+    .map((o) => ({ option: o, score: value(o) }))
+    .sort((a, b) => b.score - a.score);
+
+  /** @type {PassOption[]} */
+  const ranked = [];
+  const spaceReceivers = new Set();
+  for (const { option } of scored) {
+    if (ranked.length >= limit) break;
+    if (option.intoSpace) {
+      if (spaceReceivers.has(option.receiver.id)) continue;
+      spaceReceivers.add(option.receiver.id);
+    }
+    ranked.push(option);
+  }
+  return ranked;
+}
+
+/**
+ * Time for `p` to get to a point once a pass is struck.
+ *
+ * @param {Player} p
+ * @param {number} lx logical
+ * @param {number} ly logical
+ * @param {number} metresPerUnit
+ * @returns {number} seconds
+ */
+export function arrivalTime(p, lx, ly, metresPerUnit) {
+  const reactionTime = playerAttributes(p).reactionTime * PASS_REACTION_SHARE;
+  return timeToIntercept({ ...p, reactionTime }, lx, ly, true, metresPerUnit);
+}
+
+/**
+ * Points on the pitch around each receiver to try passes into.
+ *
+ * @param {Player[]} receivers
+ * @param {number} metresPerUnit
+ * @returns {{ x: number, y: number }[]}
+ */
+function spaceSpots(receivers, metresPerUnit) {
+  const spots = [];
+  for (const p of receivers) {
+    for (const radius of SPACE_RADII) {
+      const r = radius / metresPerUnit;
+      for (let k = 0; k < 8; k++) {
+        const angle = (k * Math.PI) / 4;
+        const x = p.x + Math.cos(angle) * r;
+        const y = p.y + Math.sin(angle) * r;
+        if (x === clamp(x, 0, LOGICAL_WIDTH) && y === clamp(y, 0, LOGICAL_HEIGHT)) {
+          spots.push({ x, y });
+        }
+      }
+    }
+  }
+  return spots;
+}
+
+/**
+ * Chance of winning a race with `margin` seconds to spare (negative when
+ * behind), logistic with spread RACE_SIGMA.
+ *
+ * @param {number} margin
+ */
+function raceWon(margin) {
+  if (margin === Infinity) return 1;
+  return 1 / (1 + Math.exp((-Math.PI / Math.sqrt(3)) * (margin / RACE_SIGMA)));
+}
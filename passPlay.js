@@ -0,0 +1,232 @@
+// Playing a pass
+// --------------
+// Plays a pass out as frames: the ball travels down the line of the pass
+// as its flight model says, the players who could get to it run for the
+// spot where it is won, and the first player there takes it (an opponent
+// getting there first intercepts). Players run as in the pass completion
+// model: a short reaction, then accelerating towards the spot, which they
+// can play from a stride away. The frames have the shape recordings use.
+
+import { VELOCITY_SCALE, clamp, playerAttributes } from "./pitchModel.js";
+import { ballTimeAt, passRange, playableFrom } from "./ballFlight.js";
+import { PASS_REACTION_SHARE, arrivalTime } from "./passOptions.js";
+
+/** @typedef {import("./pitchModel.js").Player} Player */
+/** @typedef {import("./pitchModel.js").RecordingFrame} RecordingFrame */
+/** @typedef {import("./ballFlight.js").PassType} PassType */
+
+/**
+ * @typedef PassPlay
+ * @property {RecordingFrame[]} frames from the kick to the ball being won
+ * @property {Player | null} winner who takes the ball; null when nobody
+ *   but the passer is on the pitch
+ * @property {{ x: number, y: number }} point where they take it, logical
+ * @property {boolean} intercepted whether the winner is an opponent
+ */
+
+export const PASS_FRAME_INTERVAL = 1000 / 30; // ms
+// Players this much slower to the spot than the winner still run for it
+const CHASE_WINDOW = 1; // s
+// Spacing of the points down the pass where the ball could be won
+const PATH_STEP = 0.5; // m
+// How far from the ball a player can play it (a stride or a stretched leg)
+const PLAYING_REACH = 1; // m
+
+/**
+ * Play a pass from the ball towards `target`. A pass beyond the range of
+ * `passType` falls short, where the ball stops (or lands).
+ *
+ * @param {Player[]} players
+ * @param {{ x: number, y: number }} ball
+ * @param {Player} passer
+ * @param {{ x: number, y: number }} target logical
+ * @param {PassType} passType
+ * @param {number} metresPerUnit
+ * @returns {PassPlay}
+ */
+export function playPass(players, ball, passer, target, passType, metresPerUnit) {
+  const dx = target.x - ball.x;
+  const dy = target.y - ball.y;
+  const aimed = Math.hypot(dx, dy);
+  const length = Math.min(aimed * metresPerUnit, passRange(passType) * 0.999);
+  const along = (/** @type {number} */ metres) => ({
+    x: ball.x + (aimed > 0 ? (dx / aimed) * (metres / metresPerUnit) : 0),
+    y: ball.y + (aimed > 0 ? (dy / aimed) * (metres / metresPerUnit) : 0),
+  });
+
+  const chasers = players.filter((p) => p.id !== passer.id);
+
+  // The ball is won at the first point down the pass that somebody can get
+  // to before it, by whoever gets there first; failing that, it waits at
+  // the end for the first arrival
+  /** @type {Player | null} */
+  let winner = null;
+  let wonDistance = length;
+  let wonAt = ballTimeAt(passType, length, length);
+  const first = playableFrom(passType, length);
+  for (let s = first; s < length + PATH_STEP && !winner; s += PATH_STEP) {
+    const distance = Math.min(s, length);
+    const spot = along(distance);
+    const ballTime = ballTimeAt(passType, distance, length);
+    let best = ballTime;
+    for (const p of chasers) {
+      const time = reachTime(p, spot, metresPerUnit);
+      if (time <= best) {
+        best = time;
+        winner = p;
+        wonDistance = distance;
+        wonAt = ballTime;
+      }
+    }
+  }
+  const point = along(wonDistance);
+  if (!winner) {
+    let best = Infinity;
+    for (const p of chasers) {
+      const time = reachTime(p, point, metresPerUnit);
+      if (time < best) {
+        best = time;
+        winner = p;
+      }
+    }
+    wonAt = Math.max(wonAt, best === Infinity ? 0 : best);
+  }
+
+  const winnerTime = winner ? reachTime(winner, point, metresPerUnit) : 0;
+  const runners = new Set(
+    chasers.filter((p) => reachTime(p, point, metresPerUnit) <= winnerTime + CHASE_WINDOW)
+  );
+
+  /** @type {RecordingFrame[]} */
+  const frames = [];
+  const end = wonAt * 1000;
+  for (let t = 0; ; t = Math.min(t + PASS_FRAME_INTERVAL, end)) {
+    const seconds = t / 1000;
+    frames.push({
+      t,
+      players: players.map((p) => {
+        const { x, y, vx, vy } = runners.has(p)
+          ? runnerAt(p, withinReach(p, point, metresPerUnit), seconds, metresPerUnit)
+          : p;
+        return { id: p.id, team: p.team, x, y, vx, vy };
+      }),
+      ball: along(ballDistanceAt(passType, wonDistance, length, seconds)),
+    });
+    if (t >= end) break;
+  }
+
+  return {
+    frames,
+    winner,
+    point,
+    intercepted: winner != null && winner.team !== passer.team,
+  };
+}
+
+/**
+ * Where `p` can play a ball at `point` from: the point itself, or a
+ * stride short of it.
+ *
+ * @param {Player} p
+ * @param {{ x: number, y: number }} point logical
+ * @param {number} metresPerUnit
+ * @returns {{ x: number, y: number }} logical
+ */
+function withinReach(p, point, metresPerUnit) {
+  const dx = p.x - point.x;
+  const dy = p.y - point.y;
+  const dist = Math.hypot(dx, dy) * metresPerUnit;
+  if (dist <= PLAYING_REACH) return { x: p.x, y: p.y };
+  const share = PLAYING_REACH / dist;
+  return { x: point.x + dx * share, y: point.y + dy * share };
+}
+
+/**
+ * Time for `p` to get within reach of a ball at `point`.
+ *
+ * @param {Player} p
+ * @param {{ x: number, y: number }} point logical
+ * @param {number} metresPerUnit
+ * @returns {number} seconds
+ */
+function reachTime(p, point, metresPerUnit) {
+  const spot = withinReach(p, point, metresPerUnit);
+  return arrivalTime(p, spot.x, spot.y, metresPerUnit);
+}
+
+/**
+ * How far down a pass of `length` metres the ball is `seconds` after the
+ * kick, stopping at `stopAt`.
+ *
+ * @param {PassType} passType
+ * @param {number} stopAt metres
+ * @param {number} length metres
+ * @param {number} seconds
+ * @returns {number} metres
+ */
+function ballDistanceAt(passType, stopAt, length, seconds) {
+  if (ballTimeAt(passType, stopAt, length) <= seconds) return stopAt;
+  // Time down the pass only grows with distance, so bisect for it
+  let lo = 0;
+  let hi = stopAt;
+  for (let i = 0; i < 40; i++) {
+    const mid = (lo + hi) / 2;
+    if (ballTimeAt(passType, mid, length) <= seconds) lo = mid;
+    else hi = mid;
+  }
+  return lo;
+}
+
+/**
+ * Where a player running for `point` is, and how fast they are going,
+ * `seconds` after the kick: drifting on at their current velocity while
+ * they react, then accelerating straight at the point until they get
+ * there (see timeToIntercept).
+ *
+ * @param {Player} p
+ * @param {{ x: number, y: number }} point logical
+ * @param {number} seconds
+ * @param {number} metresPerUnit
+ * @returns {{ x: number, y: number, vx: number, vy: number }} logical
+ */
+function runnerAt(p, point, seconds, metresPerUnit) {
+  const { maxSpeed, acceleration, reactionTime } = playerAttributes(p);
+  const reaction = reactionTime * PASS_REACTION_SHARE;
+  const vx = p.vx * VELOCITY_SCALE;
+  const vy = p.vy * VELOCITY_SCALE;
+
+  const drift = Math.min(seconds, reaction);
+  const rx = p.x * metresPerUnit + vx * drift;
+  const ry = p.y * metresPerUnit + vy * drift;
+  if (seconds <= reaction) {
+    return { x: rx / metresPerUnit, y: ry / metresPerUnit, vx: p.vx, vy: p.vy };
+  }
+
+  const dx = point.x * metresPerUnit - rx;
+  const dy = point.y * metresPerUnit - ry;
+  const dist = Math.hypot(dx, dy);
+  if (dist < 1e-6) return { x: point.x, y: point.y, vx: 0, vy: 0 };
+  const ux = dx / dist;
+  const uy = dy / dist;
+
+  const running = seconds - reaction;
+  const u0 = clamp((vx * dx + vy * dy) / dist, 0, maxSpeed);
+  const accelTime = (maxSpeed - u0) / acceleration;
+  let covered;
+  let speed;
+  if (running <= accelTime) {
+    covered = u0 * running + (acceleration * running * running) / 2;
+    speed = u0 + acceleration * running;
+  } else {
+    covered = ((u0 + maxSpeed) / 2) * accelTime + maxSpeed * (running - accelTime);
+    speed = maxSpeed;
+  }
+  if (covered >= dist) return { x: point.x, y: point.y, vx: 0, vy: 0 };
+
+  return {
+    x: (rx + ux * covered) / metresPerUnit,
+    y: (ry + uy * covered) / metresPerUnit,
+    vx: (ux * speed) / VELOCITY_SCALE,
+    vy: (uy * speed) / VELOCITY_SCALE,
+  };
+}
@@ -0,0 +1,750 @@
+// Headless pitch control model
+// -----------------------------
+// Player model, control-grid computation, pass safety and nearest-player
+// lookup as a plain ES module with no DOM access, so it can be used by the
+// page (main.js), the control-map worker (controlWorker.js), the Node test
+// suite and analysis notebooks alike.
+
+import { DEFAULT_FORMATION, formationRoles, formationSpots } from "./formations.js";
+import { passArrivalTime } from "./ballFlight.js";
+import { passProbability } from "./passOptions.js";
+
+/** @typedef {import("./ballFlight.js").PassType} PassType */
+
+// Use a logical pitch size with football-like aspect ratio
+// Standard: 105m x 68m ≈ 105:68 ≈ 1.54
+export const LOGICAL_WIDTH = 1050; // logical units for calculations
+export const LOGICAL_HEIGHT = 680;
+
+// Velocity configuration
+export const MAX_SPEED_VIS = 35; // logical speed corresponding to max arrow length
+export const INITIAL_SPEED = 18; // default starting speed magnitude
+
+// Approximate kicked ball speed relative to players (players ≈ 1 unit of speed).
+// Using a modest multiple keeps some passes "reachable" and others not.
+export const BALL_SPEED = 3.5; // logical units per "time" step
+
+// Probabilistic (Spearman-style) pitch control model.
+// Logical units are converted to metres using the 105m pitch length, and a
+// full-length velocity arrow (MAX_SPEED_VIS) is read as a typical player's
+// top speed. Players can be given their own top speed, acceleration and
+// reaction time; these are the defaults.
+export const METRES_PER_UNIT = 105 / LOGICAL_WIDTH;
+const PLAYER_MAX_SPEED = 5; // m/s
+// m/s per logical velocity unit: a full arrow means running flat out
+export const VELOCITY_SCALE = PLAYER_MAX_SPEED / MAX_SPEED_VIS;
+const PLAYER_ACCELERATION = 7; // m/s^2
+const PLAYER_REACTION_TIME = 0.7; // s spent continuing the current run
+// Logical units a typical player covers per second at full size, for
+// turning attribute differences into the biased-distance cost
+const UNITS_PER_SECOND = PLAYER_MAX_SPEED / METRES_PER_UNIT;
+const ARRIVAL_TIME_SIGMA = 0.45; // s, uncertainty in each player's arrival time
+const CONTROL_RATE = 4.3; // 1/s, how quickly an arrived player takes control
+const PROB_BALL_SPEED = 15; // m/s, pass speed used by the probabilistic model
+const INTEGRATION_DT = 0.04; // s
+const INTEGRATION_MAX_TIME = 10; // s
+// Stop integrating once this much of the control probability is assigned
+const CONTROL_CERTAINTY = 0.99;
+// If one team arrives this much earlier than the other, it controls outright
+const CONTROL_CLEAR_MARGIN =
+  3 * Math.log(10) * ((Math.sqrt(3) * ARRIVAL_TIME_SIGMA) / Math.PI + 1 / CONTROL_RATE);
+// A pass counts as safe when it is more likely than this to be completed
+export const SAFE_PASS_PROBABILITY = 0.5;
+
+// Player model
+/**
+ * @typedef {"blue" | "red"} Team
+ * @typedef {"GK" | "DF" | "MF" | "FW"} Role
+ *
+ * @typedef Player
+ * @property {number} id
+ * @property {Team} team
+ * @property {number} number // shirt number
+ * @property {string} name // may be empty
+ * @property {Role} role
+ * @property {number} x // logical coordinate
+ * @property {number} y // logical coordinate
+ * @property {number} vx // logical velocity (delta per frame) in x
+ * @property {number} vy // logical velocity (delta per frame) in y
+ * @property {number} [maxSpeed] // m/s; see DEFAULT_ATTRIBUTES for all three
+ * @property {number} [acceleration] // m/s^2
+ * @property {number} [reactionTime] // s
+ *
+ * @typedef PhysicalAttributes
+ * @property {number} maxSpeed
+ * @property {number} acceleration
+ * @property {number} reactionTime
+ *
+ * @typedef AttributeRange
+ * @property {number} min
+ * @property {number} max
+ * @property {number} step
+ *
+ * @typedef RecordingFrame
+ * @property {number} t // ms since the start of the clip
+ * @property {RecordedPlayer[]} players
+ * @property {{ x: number, y: number }} ball
+ *
+ * @typedef RecordedPlayer
+ * @property {number} id
+ * @property {Team} [team] // missing in clips from older files
+ * @property {number} x
+ * @property {number} y
+ * @property {number} vx
+ * @property {number} vy
+ */
+
+/** @type {Readonly<PhysicalAttributes>} */
+export const DEFAULT_ATTRIBUTES = Object.freeze({
+  maxSpeed: PLAYER_MAX_SPEED,
+  acceleration: PLAYER_ACCELERATION,
+  reactionTime: PLAYER_REACTION_TIME,
+});
+
+// What the player inspector offers, and what links may carry
+/** @type {Readonly<Record<keyof PhysicalAttributes, AttributeRange>>} */
+export const ATTRIBUTE_RANGES = Object.freeze({
+  maxSpeed: { min: 3, max: 10, step: 0.1 },
+  acceleration: { min: 2, max: 12, step: 0.5 },
+  reactionTime: { min: 0.2, max: 1.5, step: 0.05 },
+});
+
+/**
+ * A player's top speed, acceleration and reaction time, with the defaults
+ * filled in for any they haven't been given.
+ *
+ * @param {Partial<PhysicalAttributes>} p
+ * @returns {PhysicalAttributes}
+ */
+export function playerAttributes(p) {
+  return {
+    maxSpeed: p.maxSpeed ?? PLAYER_MAX_SPEED,
+    acceleration: p.acceleration ?? PLAYER_ACCELERATION,
+    reactionTime: p.reactionTime ?? PLAYER_REACTION_TIME,
+  };
+}
+
+/**
+ * Two teams in mirrored starting positions (classic 4-4-2 elevens unless
+ * another formation is given), each moving toward the opposition goal.
+ *
+ * @param {import("./formations.js").Formation} [formation]
+ * @returns {Player[]}
+ */
+export function createInitialPlayers(formation = DEFAULT_FORMATION) {
+  /** @type {Player[]} */
+  const players = [];
+
+  // Both teams start in the same shape, mirrored along the halfway line
+  const blueFormation = formationSpots(formation, "blue");
+  const redFormation = formationSpots(formation, "red");
+  // Shirts numbered 1.. in roster order, goalkeeper first
+  const roles = formationRoles(formation);
+
+  let idCounter = 1;
+  for (const [i, p] of blueFormation.entries()) {
+    players.push({
+      id: idCounter++,
+      team: "blue",
+      number: i + 1,
+      name: "",
+      role: roles[i],
+      x: p.x * LOGICAL_WIDTH,
+      y: p.y * LOGICAL_HEIGHT,
+      // Initial movement: toward opposition goal (to the right)
+      vx: INITIAL_SPEED,
+      vy: 0,
+    });
+  }
+  for (const [i, p] of redFormation.entries()) {
+    players.push({
+      id: idCounter++,
+      team: "red",
+      number: i + 1,
+      name: "",
+      role: roles[i],
+      x: p.x * LOGICAL_WIDTH,
+      y: p.y * LOGICAL_HEIGHT,
+      // Initial movement: toward opposition goal (to the left)
+      vx: -INITIAL_SPEED,
+      vy: 0,
+    });
+  }
+  return players;
+}
+
+// Control map colours as [r, g, b, alpha]
+// Slight transparent control color to blend with pitch lines
+const CONTROL_BLUE_RGBA = [59, 130, 246, 0.28];
+// Make red-controlled regions visually strong, clearly red
+const CONTROL_RED_RGBA = [255, 0, 0, 0.46];
+// Contested areas (both teams reach the point before the ball)
+const CONTROL_CONTESTED_RGBA = [235, 240, 245, 0.7];
+// Softer light tone that contested team colours fade towards
+const CONTROL_FADE_RGBA = [235, 240, 245, 0.55];
+
+/**
+ * @typedef ControlState
+ * @property {({ team: Team, x: number, y: number, vx: number, vy: number } & Partial<PhysicalAttributes>)[]} players
+ * @property {{ x: number, y: number }} ball
+ * @property {boolean} arrowsEnabled
+ * @property {boolean} ballModeEnabled
+ * @property {boolean} probabilisticEnabled
+ * @property {number} [metresPerUnit] pitch scale for the probabilistic
+ *   model and ball flight; full size (METRES_PER_UNIT) if left out
+ * @property {PassType} [passType] how the ball is played to each point in
+ *   ball mode (see ballFlight.js); without it the ball travels at a
+ *   constant speed (BALL_SPEED, or PROB_BALL_SPEED in the probabilistic
+ *   model)
+ */
+
+/**
+ * Compute the control map on a cols x rows grid covering the pitch.
+ *
+ * `control` receives the blue team's share of control per cell (0 = red,
+ * 1 = blue, 0.5 = contested) and `pixels` the matching RGBA colours, laid
+ * out row by row as in ImageData.
+ *
+ * @param {ControlState} state
+ * @param {number} cols
+ * @param {number} rows
+ * @param {Float32Array} control length cols * rows
+ * @param {Uint8ClampedArray} pixels length cols * rows * 4
+ */
+export function computeControlGrid(state, cols, rows, control, pixels) {
+  const { ball, arrowsEnabled, ballModeEnabled, probabilisticEnabled, passType } = state;
+  const metresPerUnit = state.metresPerUnit ?? METRES_PER_UNIT;
+
+  // Pre-compute players by team
+  const bluePlayers = state.players.filter((p) => p.team === "blue");
+  const redPlayers = state.players.filter((p) => p.team === "red");
+
+  control.fill(0.5);
+  pixels.fill(0);
+  if (!bluePlayers.length && !redPlayers.length) return;
+
+  const cellW = LOGICAL_WIDTH / cols;
+  const cellH = LOGICAL_HEIGHT / rows;
+
+  // Per-cell arrival time scratch buffers for the probabilistic model
+  const blueTimes = new Array(bluePlayers.length);
+  const redTimes = new Array(redPlayers.length);
+
+  for (let oy = 0; oy < rows; oy++) {
+    for (let ox = 0; ox < cols; ox++) {
+      // Sample at the centre of each coarse cell in logical coordinates
+      const lx = (ox + 0.5) * cellW;
+      const ly = (oy + 0.5) * cellH;
+      const cell = oy * cols + ox;
+      const offset = cell * 4;
+
+      if (probabilisticEnabled) {
+        // --- Probabilistic model: integrate who reaches the ball first ---
+        for (let i = 0; i < bluePlayers.length; i++) {
+          blueTimes[i] = timeToIntercept(
+            bluePlayers[i],
+            lx,
+            ly,
+            arrowsEnabled,
+            metresPerUnit
+          );
+        }
+        for (let i = 0; i < redPlayers.length; i++) {
+          redTimes[i] = timeToIntercept(
+            redPlayers[i],
+            lx,
+            ly,
+            arrowsEnabled,
+            metresPerUnit
+          );
+        }
+
+        let ballTime = 0;
+        if (ballModeEnabled) {
+          const dbx = lx - ball.x;
+          const dby = ly - ball.y;
+          const distBall = Math.sqrt(dbx * dbx + dby * dby) * metresPerUnit;
+          ballTime = passType
+            ? passArrivalTime(passType, distBall)
+            : distBall / PROB_BALL_SPEED;
+          // Out of the pass's range: nobody can be played in here
+          if (!isFinite(ballTime)) continue;
+        }
+
+        const pBlue = blueControlProbability(blueTimes, redTimes, ballTime);
+        // 0 => decisive control, 1 => evenly contested
+        const t = 1 - Math.abs(pBlue - 0.5) * 2;
+        control[cell] = pBlue;
+        writeBlendColour(pixels, offset, pBlue >= 0.5, t);
+        continue;
+      }
+
+      // Find nearest blue and red players separately using either
+      // pure distance or an arrival "cost" that factors in both
+      // distance and current velocity / movement direction.
+      let minBlueSq = Infinity;
+      for (const p of bluePlayers) {
+        const costSq = arrowsEnabled
+          ? arrivalCostSquared(p, lx, ly)
+          : ((p.x - lx) * (p.x - lx) + (p.y - ly) * (p.y - ly));
+        if (costSq < minBlueSq) minBlueSq = costSq;
+      }
+
+      let minRedSq = Infinity;
+      for (const p of redPlayers) {
+        const costSq = arrowsEnabled
+          ? arrivalCostSquared(p, lx, ly)
+          : ((p.x - lx) * (p.x - lx) + (p.y - ly) * (p.y - ly));
+        if (costSq < minRedSq) minRedSq = costSq;
+      }
+
+      if (!ballModeEnabled) {
+        // --- Standard pitch control (no ball) ---
+        if (!isFinite(minRedSq)) {
+          // Only blue on the pitch
+          control[cell] = 1;
+          writeColour(pixels, offset, CONTROL_BLUE_RGBA);
+        } else if (!isFinite(minBlueSq)) {
+          // Only red on the pitch
+          control[cell] = 0;
+          writeColour(pixels, offset, CONTROL_RED_RGBA);
+        } else {
+          // Both teams present: compute how "contested" the point is.
+          const minSq = Math.min(minBlueSq, minRedSq);
+          const maxSq = Math.max(minBlueSq, minRedSq);
+          const ratioSq = minSq / maxSq; // 0..1
+
+          const blueControls = minBlueSq <= minRedSq;
+
+          // Soften the transition to white so the contested borders look smooth
+          // rather than like hard polygons.
+          const START_FADE_RATIO_SQUARED = 0.45; // start blending towards white
+          const FULL_WHITE_RATIO_SQUARED = 0.9;  // almost equal distance -> very white
+
+          // Determine how much to fade the team colour towards white.
+          let t; // 0 => pure team colour, 1 => very white/contested
+          if (ratioSq <= START_FADE_RATIO_SQUARED) {
+            t = 0;
+          } else if (ratioSq >= FULL_WHITE_RATIO_SQUARED) {
+            t = 1;
+          } else {
+            t =
+              (ratioSq - START_FADE_RATIO_SQUARED) /
+              (FULL_WHITE_RATIO_SQUARED - START_FADE_RATIO_SQUARED);
+          }
+
+          control[cell] = blueControls ? 1 - t / 2 : t / 2;
+          writeBlendColour(pixels, offset, blueControls, t);
+        }
+      } else {
+        // --- Ball pass control mode with simplified rule ---
+        let tBlue = isFinite(minBlueSq) ? Math.sqrt(minBlueSq) : Infinity;
+        let tRed = isFinite(minRedSq) ? Math.sqrt(minRedSq) : Infinity;
+
+        // Time for the ball to arrive if passed directly from its current position
+        const dbx = lx - ball.x;
+        const dby = ly - ball.y;
+        const distBall = Math.sqrt(dbx * dbx + dby * dby);
+        let tBall = distBall / BALL_SPEED;
+        if (passType) {
+          // Compare in seconds, with the ball slowing down or in flight
+          tBall = passArrivalTime(passType, distBall * metresPerUnit);
+          // Out of the pass's range: nobody can be played in here
+          if (!isFinite(tBall)) continue;
+          tBlue = costToSeconds(tBlue, metresPerUnit);
+          tRed = costToSeconds(tRed, metresPerUnit);
+        }
+
+        // If both teams can reach this point before the ball, it's contested -> white.
+        if (tBlue < tBall && tRed < tBall) {
+          writeColour(pixels, offset, CONTROL_CONTESTED_RGBA);
+        } else if (tBlue <= tRed) {
+          // Blue arrives first (or only blue can arrive)
+          if (isFinite(tBlue)) {
+            control[cell] = 1;
+            writeColour(pixels, offset, CONTROL_BLUE_RGBA);
+          } else {
+            writeColour(pixels, offset, CONTROL_CONTESTED_RGBA);
+          }
+        } else {
+          // Red arrives first (or only red can arrive)
+          if (isFinite(tRed)) {
+            control[cell] = 0;
+            writeColour(pixels, offset, CONTROL_RED_RGBA);
+          } else {
+            writeColour(pixels, offset, CONTROL_CONTESTED_RGBA);
+          }
+        }
+      }
+    }
+  }
+}
+
+/**
+ * @param {Uint8ClampedArray} pixels
+ * @param {number} offset index of the red channel
+ * @param {number[]} rgba [r, g, b, alpha (0..1)]
+ */
+function writeColour(pixels, offset, rgba) {
+  pixels[offset] = rgba[0];
+  pixels[offset + 1] = rgba[1];
+  pixels[offset + 2] = rgba[2];
+  pixels[offset + 3] = Math.round(rgba[3] * 255);
+}
+
+/**
+ * Write the colour for a control cell: the controlling team's colour, faded
+ * towards a soft white as the cell becomes more contested.
+ *
+ * @param {Uint8ClampedArray} pixels
+ * @param {number} offset index of the red channel
+ * @param {boolean} blueControls
+ * @param {number} t 0 => pure team colour, 1 => fully contested
+ */
+function writeBlendColour(pixels, offset, blueControls, t) {
+  // Base RGB + alpha for the controlling team
+  const base = blueControls ? CONTROL_BLUE_RGBA : CONTROL_RED_RGBA;
+
+  // Linearly blend the colour towards a softer light tone and a
+  // slightly lower alpha so contested regions "shine" less.
+  const target = CONTROL_FADE_RGBA;
+
+  pixels[offset] = Math.round(base[0] * (1 - t) + target[0] * t);
+  pixels[offset + 1] = Math.round(base[1] * (1 - t) + target[1] * t);
+  pixels[offset + 2] = Math.round(base[2] * (1 - t) + target[2] * t);
+  pixels[offset + 3] = Math.round((base[3] * (1 - t) + target[3] * t) * 255);
+}
+
+/**
+ * Approximate "time to arrive" cost for a player to reach (lx, ly),
+ * taking into account both distance and the player's current velocity
+ * direction. Lower cost means arriving sooner.
+ *
+ * We avoid real units and use a biased distance that is shorter when the
+ * player is already moving toward the point and longer when moving away.
+ * Players faster than the default cover it proportionally sooner, and a
+ * quicker reaction or start counts as a head start.
+ *
+ * @param {Pick<Player, "x" | "y" | "vx" | "vy"> & Partial<PhysicalAttributes>} p
+ * @param {number} lx
+ * @param {number} ly
+ * @returns {number} squared cost (monotonic with time)
+ */
+export function arrivalCostSquared(p, lx, ly) {
+  const dx = lx - p.x;
+  const dy = ly - p.y;
+  const distSq = dx * dx + dy * dy;
+  if (distSq === 0) return 0;
+
+  const dist = Math.sqrt(distSq);
+  const dirX = dx / dist;
+  const dirY = dy / dist;
+
+  // Component of current velocity along the direction to the point.
+  const speedAlong = p.vx * dirX + p.vy * dirY;
+
+  // Limit how strongly velocity can bias arrival, to keep shapes stable.
+  const MAX_V_EFFECT = 25;
+  const clampedSpeed = Math.max(-MAX_V_EFFECT, Math.min(MAX_V_EFFECT, speedAlong));
+
+  // Positive clampedSpeed (moving toward) effectively shortens distance;
+  // negative (moving away) lengthens it slightly.
+  const VELOCITY_INFLUENCE = 0.6;
+  const biasedDist = dist - VELOCITY_INFLUENCE * clampedSpeed;
+
+  // Seconds lost (or gained) against a default player before running at
+  // top speed: reacting, plus the ground lost while accelerating
+  const { maxSpeed, acceleration, reactionTime } = playerAttributes(p);
+  const startDelay =
+    reactionTime -
+    PLAYER_REACTION_TIME +
+    maxSpeed / (2 * acceleration) -
+    PLAYER_MAX_SPEED / (2 * PLAYER_ACCELERATION);
+  const effectiveDist = Math.max(
+    0,
+    (biasedDist * PLAYER_MAX_SPEED) / maxSpeed + startDelay * UNITS_PER_SECOND
+  );
+
+  return effectiveDist * effectiveDist;
+}
+
+/**
+ * Seconds a typical player needs to cover an arrival cost (the square root
+ * of arrivalCostSquared).
+ *
+ * @param {number} cost logical units
+ * @param {number} metresPerUnit
+ * @returns {number}
+ */
+function costToSeconds(cost, metresPerUnit) {
+  return (cost * metresPerUnit) / PLAYER_MAX_SPEED;
+}
+
+/**
+ * Time in seconds for a player to reach (lx, ly). The player keeps running
+ * along their current velocity for their reaction time, then accelerates
+ * towards the point (keeping any speed already carried in that direction)
+ * up to their top speed.
+ *
+ * @param {Pick<Player, "x" | "y" | "vx" | "vy"> & Partial<PhysicalAttributes>} p
+ * @param {number} lx
+ * @param {number} ly
+ * @param {boolean} useVelocity whether the current velocity is taken into account
+ * @param {number} [metresPerUnit] pitch scale, full size by default
+ * @returns {number} seconds
+ */
+export function timeToIntercept(p, lx, ly, useVelocity, metresPerUnit = METRES_PER_UNIT) {
+  const { maxSpeed, acceleration, reactionTime } = playerAttributes(p);
+  const vx = useVelocity ? p.vx * VELOCITY_SCALE : 0;
+  const vy = useVelocity ? p.vy * VELOCITY_SCALE : 0;
+
+  // Position (in metres) once the reaction time has elapsed
+  const rx = p.x * metresPerUnit + vx * reactionTime;
+  const ry = p.y * metresPerUnit + vy * reactionTime;
+
+  const dx = lx * metresPerUnit - rx;
+  const dy = ly * metresPerUnit - ry;
+  const dist = Math.sqrt(dx * dx + dy * dy);
+  if (dist < 1e-6) return reactionTime;
+
+  // Speed already carried toward the point gives a running start.
+  const u0 = clamp((vx * dx + vy * dy) / dist, 0, maxSpeed);
+  const accelTime = (maxSpeed - u0) / acceleration;
+  const accelDist = ((u0 + maxSpeed) / 2) * accelTime;
+
+  if (dist <= accelDist) {
+    // Reaches the point while still accelerating
+    const travel = (-u0 + Math.sqrt(u0 * u0 + 2 * acceleration * dist)) / acceleration;
+    return reactionTime + travel;
+  }
+
+  return reactionTime + accelTime + (dist - accelDist) / maxSpeed;
+}
+
+/**
+ * Probability that the blue team wins control of the ball at a point,
+ * following Spearman's model: each player's arrival is uncertain (logistic
+ * around their time-to-intercept), and once the ball is there, players who
+ * have arrived gain control at CONTROL_RATE until it is decided.
+ *
+ * @param {number[]} blueTimes arrival times (s) of the blue players
+ * @param {number[]} redTimes arrival times (s) of the red players
+ * @param {number} ballTime time (s) for the ball to arrive; 0 without a ball
+ * @returns {number} probability in 0..1 (red control is the complement)
+ */
+export function blueControlProbability(blueTimes, redTimes, ballTime) {
+  let minBlue = Infinity;
+  for (const tau of blueTimes) if (tau < minBlue) minBlue = tau;
+  let minRed = Infinity;
+  for (const tau of redTimes) if (tau < minRed) minRed = tau;
+
+  // If only one team has players, let that team control everything.
+  if (!isFinite(minRed)) return 1;
+  if (!isFinite(minBlue)) return 0;
+
+  // Clear-cut cases: one team is there well before the other could be.
+  if (minRed - Math.max(minBlue, ballTime) >= CONTROL_CLEAR_MARGIN) return 1;
+  if (minBlue - Math.max(minRed, ballTime) >= CONTROL_CLEAR_MARGIN) return 0;
+
+  // Players arriving much later than the first can't affect the outcome,
+  // and nobody realistically arrives before 3 sigma ahead of the first.
+  const first = Math.min(minBlue, minRed);
+  const cutoff = first + CONTROL_CLEAR_MARGIN;
+  const tStart = Math.max(ballTime, first - 3 * ARRIVAL_TIME_SIGMA);
+  const k = Math.PI / (Math.sqrt(3) * ARRIVAL_TIME_SIGMA);
+
+  // Track exp(-k (t - tau)) per player; it shrinks by a constant factor each
+  // step, which avoids an exp() per player per step.
+  const stepDecay = Math.exp(-k * INTEGRATION_DT);
+  const blueExp = [];
+  for (const tau of blueTimes) {
+    if (tau <= cutoff) blueExp.push(Math.exp(-k * (tStart - tau)));
+  }
+  const redExp = [];
+  for (const tau of redTimes) {
+    if (tau <= cutoff) redExp.push(Math.exp(-k * (tStart - tau)));
+  }
+
+  let pBlue = 0;
+  let pRed = 0;
+  const steps = Math.ceil(INTEGRATION_MAX_TIME / INTEGRATION_DT);
+  for (let step = 0; step < steps; step++) {
+    let blueArrived = 0;
+    for (let i = 0; i < blueExp.length; i++) {
+      blueArrived += 1 / (1 + blueExp[i]);
+      blueExp[i] *= stepDecay;
+    }
+    let redArrived = 0;
+    for (let i = 0; i < redExp.length; i++) {
+      redArrived += 1 / (1 + redExp[i]);
+      redExp[i] *= stepDecay;
+    }
+
+    const totalArrived = blueArrived + redArrived;
+    if (totalArrived > 0) {
+      // Exact decay over the step keeps the sum bounded even when many
+      // players have arrived at once.
+      const remaining = 1 - pBlue - pRed;
+      const gained =
+        remaining * (1 - Math.exp(-CONTROL_RATE * totalArrived * INTEGRATION_DT));
+      pBlue += (gained * blueArrived) / totalArrived;
+      pRed += (gained * redArrived) / totalArrived;
+    }
+
+    if (pBlue + pRed >= CONTROL_CERTAINTY) break;
+  }
+
+  const total = pBlue + pRed;
+  return total > 0 ? pBlue / total : 0.5;
+}
+
+/**
+ * Player closest to (lx, ly) by straight-line distance.
+ *
+ * @param {Player[]} players
+ * @param {number} lx
+ * @param {number} ly
+ * @returns {Player | null}
+ */
+export function findNearestPlayer(players, lx, ly) {
+  let best = null;
+  let bestDistSq = Infinity;
+
+  for (const p of players) {
+    const dx = p.x - lx;
+    const dy = p.y - ly;
+    const d2 = dx * dx + dy * dy;
+    if (d2 < bestDistSq) {
+      bestDistSq = d2;
+      best = p;
+    }
+  }
+  return best;
+}
+
+/**
+ * @typedef Area
+ * @property {number} left
+ * @property {number} top
+ * @property {number} right
+ * @property {number} bottom
+ *
+ * @typedef BallControlRules
+ * @property {number} reach // how close a player must be to have the ball at their feet
+ * @property {number} handsReach // how far a goalkeeper can claim it with their hands
+ * @property {{ blue: Area, red: Area }} penaltyAreas // each team's own penalty area
+ */
+
+/**
+ * The player in control of the ball, if anyone. A goalkeeper claims the
+ * ball with their hands when it is inside their own penalty area and
+ * within `handsReach`, ahead of any outfield player. Otherwise the closest
+ * player within `reach` has it, as long as no opponent is within reach
+ * too (a contested ball has no controller).
+ *
+ * @param {Player[]} players
+ * @param {{ x: number, y: number }} ball
+ * @param {BallControlRules} rules
+ * @returns {{ team: Team, player: Player } | null}
+ */
+export function findBallController(players, ball, rules) {
+  let keeper = null;
+  let keeperDist = Infinity;
+  /** @type {Record<Team, { player: Player | null, dist: number }>} */
+  const closest = {
+    blue: { player: null, dist: Infinity },
+    red: { player: null, dist: Infinity },
+  };
+
+  for (const p of players) {
+    const dist = Math.hypot(p.x - ball.x, p.y - ball.y);
+    if (
+      p.role === "GK" &&
+      dist <= rules.handsReach &&
+      dist < keeperDist &&
+      isInside(ball, rules.penaltyAreas[p.team])
+    ) {
+      keeper = p;
+      keeperDist = dist;
+    }
+    if (dist <= rules.reach && dist < closest[p.team].dist) {
+      closest[p.team] = { player: p, dist };
+    }
+  }
+
+  if (keeper) return { team: keeper.team, player: keeper };
+  const blue = closest.blue.player;
+  const red = closest.red.player;
+  if (blue && !red) return { team: "blue", player: blue };
+  if (red && !blue) return { team: "red", player: red };
+  return null;
+}
+
+/**
+ * @param {{ x: number, y: number }} point
+ * @param {Area} area
+ */
+function isInside(point, area) {
+  return (
+    point.x >= area.left &&
+    point.x <= area.right &&
+    point.y >= area.top &&
+    point.y <= area.bottom
+  );
+}
+
+/**
+ * Whether a straight ground pass from (fromX, fromY) to `target` is more
+ * likely than not to get there, by passProbability: opponents race the
+ * ball to its path with their own speed, acceleration, reaction time and
+ * current movement.
+ *
+ * @param {number} fromX
+ * @param {number} fromY
+ * @param {Player} target
+ * @param {Player[]} opponents
+ * @returns {boolean}
+ */
+export function canPassOnGround(fromX, fromY, target, opponents) {
+  return canCompletePass(fromX, fromY, target, opponents, "ground");
+}
+
+/**
+ * Whether a pass of `passType` from (fromX, fromY) to `target` is more
+ * likely than not to be completed. The ball slows down or flies as
+ * modelled in ballFlight.js, so a pass that runs out of pace before the
+ * target fails, and a lofted pass can only be cut out near where it comes
+ * down.
+ *
+ * @param {number} fromX
+ * @param {number} fromY
+ * @param {Player} target
+ * @param {Player[]} opponents
+ * @param {PassType} passType
+ * @param {number} [metresPerUnit] pitch scale, full size by default
+ * @returns {boolean}
+ */
+export function canCompletePass(
+  fromX,
+  fromY,
+  target,
+  opponents,
+  passType,
+  metresPerUnit = METRES_PER_UNIT
+) {
+  const from = { x: fromX, y: fromY };
+  const context = { passType, metresPerUnit };
+  return passProbability(from, target, target, opponents, false, context) > SAFE_PASS_PROBABILITY;
+}
+
+/**
+ * Limits a value to the range [min, max].
+ *
+ * @param {number} v
+ * @param {number} min
+ * @param {number} max
+ * @returns {number}
+ */
+export function clamp(v, min, max) {
+  return v < min ? min : v > max ? max : v;
+}
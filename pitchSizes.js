@@ -0,0 +1,120 @@
+// Pitch sizes
+// -----------
+// Full-size and small-sided pitches. The board always spans the same
+// logical area (LOGICAL_WIDTH x LOGICAL_HEIGHT), so a smaller pitch only
+// changes how many metres a logical unit stands for, which the
+// probabilistic model and the pitch markings use. Every size keeps the
+// 105:68 proportions of the full pitch.
+
+import { LOGICAL_HEIGHT, LOGICAL_WIDTH } from "./pitchModel.js";
+
+/**
+ * Pitch markings in metres; 0 leaves a marking out.
+ *
+ * @typedef PitchMarkings
+ * @property {number} penaltyAreaDepth
+ * @property {number} penaltyAreaWidth
+ * @property {number} goalAreaDepth
+ * @property {number} goalAreaWidth
+ * @property {number} penaltySpot distance from the goal line
+ * @property {number} centreCircle radius, also used for the penalty arcs
+ *
+ * @typedef PitchSize
+ * @property {string} key short id used in links and recordings, e.g. "7v7"
+ * @property {string} name
+ * @property {number} length metres, goal line to goal line
+ * @property {number} teamSize players per side in the preset
+ * @property {string} formation preset formation both teams start in
+ * @property {PitchMarkings} markings
+ */
+
+/** @type {PitchSize[]} */
+export const PITCH_SIZES = [
+  {
+    key: "11v11",
+    name: "11 v 11",
+    length: 105,
+    teamSize: 11,
+    formation: "4-4-2",
+    markings: {
+      penaltyAreaDepth: 16.5,
+      penaltyAreaWidth: 40.32,
+      goalAreaDepth: 5.5,
+      goalAreaWidth: 18.32,
+      penaltySpot: 11,
+      centreCircle: 9.15,
+    },
+  },
+  {
+    key: "9v9",
+    name: "9 v 9",
+    length: 73,
+    teamSize: 9,
+    formation: "3-3-2",
+    markings: {
+      penaltyAreaDepth: 13,
+      penaltyAreaWidth: 32,
+      goalAreaDepth: 4,
+      goalAreaWidth: 14,
+      penaltySpot: 9,
+      centreCircle: 7,
+    },
+  },
+  {
+    key: "7v7",
+    name: "7 v 7",
+    length: 55,
+    teamSize: 7,
+    formation: "2-3-1",
+    markings: {
+      penaltyAreaDepth: 9,
+      penaltyAreaWidth: 18,
+      goalAreaDepth: 0,
+      goalAreaWidth: 0,
+      penaltySpot: 8,
+      centreCircle: 6,
+    },
+  },
+  {
+    key: "5v5",
+    name: "5 v 5",
+    length: 40,
+    teamSize: 5,
+    formation: "1-2-1",
+    markings: {
+      penaltyAreaDepth: 6,
+      penaltyAreaWidth: 12,
+      goalAreaDepth: 0,
+      goalAreaWidth: 0,
+      penaltySpot: 6,
+      centreCircle: 4,
+    },
+  },
+];
+
+export const DEFAULT_PITCH_SIZE = PITCH_SIZES[0];
+
+/**
+ * @param {string} key
+ * @returns {PitchSize | undefined}
+ */
+export function findPitchSize(key) {
+  return PITCH_SIZES.find((s) => s.key === key);
+}
+
+/**
+ * Width (touchline to touchline) in metres.
+ *
+ * @param {PitchSize} size
+ */
+export function pitchWidthMetres(size) {
+  return (size.length * LOGICAL_HEIGHT) / LOGICAL_WIDTH;
+}
+
+/**
+ * @param {PitchSize} size
+ * @returns {number} metres per logical unit
+ */
+export function metresPerUnit(size) {
+  return size.length / LOGICAL_WIDTH;
+}
@@ -0,0 +1,91 @@
+// Possession
+// ----------
+// Who has the ball, frame by frame. A player has it when they have close
+// control (see findBallController); with players of both teams within
+// reach and neither in control the ball is contested, and otherwise it is
+// loose. Over a clip a team keeps possession through contested and loose
+// spells until a player of the other team gains control, as in match
+// statistics.
+
+import { findBallController } from "./pitchModel.js";
+
+/** @typedef {import("./pitchModel.js").Player} Player */
+/** @typedef {import("./pitchModel.js").Team} Team */
+/** @typedef {import("./pitchModel.js").BallControlRules} BallControlRules */
+/** @typedef {import("./pitchModel.js").RecordingFrame} RecordingFrame */
+
+/**
+ * @typedef Possession
+ * @property {Player | null} carrier the player in control of the ball
+ * @property {boolean} contested both teams within reach and nobody in control
+ *
+ * @typedef PossessionEvent
+ * @property {number} t ms since the start of the clip
+ * @property {Team} team gaining possession
+ * @property {number} playerId who gained it
+ */
+
+/**
+ * @param {Player[]} players
+ * @param {{ x: number, y: number }} ball
+ * @param {BallControlRules} rules
+ * @returns {Possession}
+ */
+export function ballPossession(players, ball, rules) {
+  const control = findBallController(players, ball, rules);
+  if (control) return { carrier: control.player, contested: false };
+
+  const near = new Set(
+    players
+      .filter((p) => Math.hypot(p.x - ball.x, p.y - ball.y) <= rules.reach)
+      .map((p) => p.team)
+  );
+  return { carrier: null, contested: near.size > 1 };
+}
+
+/**
+ * Changes of possession over a clip: the first team to gain control, then
+ * every time the other team gains it.
+ *
+ * @param {RecordingFrame[]} frames
+ * @param {BallControlRules} rules
+ * @param {Map<number, Player["role"]>} roles by player id, as frames don't
+ *   record them (goalkeepers claim the ball with their hands)
+ * @returns {PossessionEvent[]}
+ */
+export function possessionEvents(frames, rules, roles) {
+  /** @type {PossessionEvent[]} */
+  const events = [];
+  for (const frame of frames) {
+    // Older clips leave out teams; those players can't be told apart
+    const players = /** @type {Player[]} */ (
+      frame.players.filter((p) => p.team).map((p) => ({ ...p, role: roles.get(p.id) }))
+    );
+    const { carrier } = ballPossession(players, frame.ball, rules);
+    const last = events[events.length - 1];
+    if (carrier && carrier.team !== last?.team) {
+      events.push({ t: frame.t, team: carrier.team, playerId: carrier.id });
+    }
+  }
+  return events;
+}
+
+/**
+ * Each team's share of the time either team had the ball, from the first
+ * gain of possession up to `until`.
+ *
+ * @param {PossessionEvent[]} events as from possessionEvents
+ * @param {number} until ms
+ * @returns {{ blue: number, red: number } | null} null before anyone has
+ *   had the ball
+ */
+export function possessionShares(events, until) {
+  const held = { blue: 0, red: 0 };
+  events.forEach((event, i) => {
+    const end = Math.min(until, events[i + 1]?.t ?? until);
+    held[event.team] += Math.max(0, end - event.t);
+  });
+  const total = held.blue + held.red;
+  if (!(total > 0)) return null;
+  return { blue: held.blue / total, red: held.red / total };
+}
@@ -0,0 +1,122 @@
+// Reception map
+// -------------
+// Where a pass from the ball would be won by the team in possession. In
+// ball mode the control grid already races the ball's travel time against
+// every player's arrival, so the cells the team controls are the ones it
+// would receive a pass in; each is worth the Expected Threat there, and
+// the most valuable are picked out spread across the pitch. The page draws
+// the overlay.
+
+import { threatAt } from "./threat.js";
+
+/** @typedef {import("./pitchModel.js").Team} Team */
+/** @typedef {import("./threat.js").ThreatGrid} ThreatGrid */
+
+/**
+ * @typedef ReceptionSpot
+ * @property {number} fx pitch fraction along the length, 0 = left goal line
+ * @property {number} fy pitch fraction across, 0 = top touchline
+ * @property {number} value threat held there
+ */
+
+// Cells passed over by the team in possession: [r, g, b, alpha (0..1)]
+const LOST_VEIL_RGBA = [2, 6, 23, 0.6];
+
+/**
+ * @param {Float32Array} control blue share per cell, row by row
+ * @param {number} cell
+ * @param {Team} team
+ */
+function teamShare(control, cell, team) {
+  return team === "blue" ? control[cell] : 1 - control[cell];
+}
+
+/**
+ * Threat `team` would hold by receiving a pass in each cell of a control
+ * grid: its share of control times the zone value seen from its attacking
+ * direction, or 0 where the other team would win the ball.
+ *
+ * @param {Float32Array} control blue share per cell, row by row
+ * @param {number} cols
+ * @param {number} rows
+ * @param {Team} team in possession
+ * @param {ThreatGrid} grid
+ * @param {boolean} blueAttacksRight
+ * @returns {Float32Array} one value per cell
+ */
+export function receptionValues(control, cols, rows, team, grid, blueAttacksRight) {
+  const attacksRight = (team === "blue") === blueAttacksRight;
+  const values = new Float32Array(cols * rows);
+  for (let oy = 0; oy < rows; oy++) {
+    const fy = (oy + 0.5) / rows;
+    for (let ox = 0; ox < cols; ox++) {
+      const cell = oy * cols + ox;
+      const share = teamShare(control, cell, team);
+      if (share > 0.5) {
+        values[cell] = share * threatAt(grid, (ox + 0.5) / cols, fy, attacksRight);
+      }
+    }
+  }
+  return values;
+}
+
+/**
+ * The most valuable cells, best first, each at least `spacing` cells from
+ * those picked before it so they point at different spaces.
+ *
+ * @param {Float32Array} values as from receptionValues
+ * @param {number} cols
+ * @param {number} rows
+ * @param {number} count
+ * @param {number} spacing cells
+ * @returns {ReceptionSpot[]}
+ */
+export function bestReceptionSpots(values, cols, rows, count, spacing) {
+  /** @type {{ ox: number, oy: number, value: number }[]} */
+  const picked = [];
+  while (picked.length < count) {
+    let best = -1;
+    let bestValue = 0;
+    for (let cell = 0; cell < values.length; cell++) {
+      if (values[cell] <= bestValue) continue;
+      const ox = cell % cols;
+      const oy = Math.floor(cell / cols);
+      const crowded = picked.some(
+        (s) => Math.hypot(s.ox - ox, s.oy - oy) < Math.max(spacing, 1)
+      );
+      if (!crowded) {
+        best = cell;
+        bestValue = values[cell];
+      }
+    }
+    if (best < 0) break;
+    picked.push({ ox: best % cols, oy: Math.floor(best / cols), value: bestValue });
+  }
+  return picked.map(({ ox, oy, value }) => ({
+    fx: (ox + 0.5) / cols,
+    fy: (oy + 0.5) / rows,
+    value,
+  }));
+}
+
+/**
+ * Overlay veiling the cells where `team` would lose a pass.
+ *
+ * @param {Float32Array} control blue share per cell, row by row
+ * @param {number} cols
+ * @param {number} rows
+ * @param {Team} team in possession
+ * @returns {Uint8ClampedArray} RGBA per cell, as in ImageData
+ */
+export function receptionPixels(control, cols, rows, team) {
+  const pixels = new Uint8ClampedArray(cols * rows * 4);
+  for (let cell = 0; cell < cols * rows; cell++) {
+    if (teamShare(control, cell, team) > 0.5) continue;
+    const offset = cell * 4;
+    pixels[offset] = LOST_VEIL_RGBA[0];
+    pixels[offset + 1] = LOST_VEIL_RGBA[1];
+    pixels[offset + 2] = LOST_VEIL_RGBA[2];
+    pixels[offset + 3] = Math.round(LOST_VEIL_RGBA[3] * 255);
+  }
+  return pixels;
+}
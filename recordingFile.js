@@ -0,0 +1,249 @@
+// Recording files
+// ---------------
+// Versioned JSON documents for sharing recorded clips: the frames plus the
+// pitch dimensions, feature flags and team names needed to replay them the
+// way they were recorded. The page handles the download and file picking.
+
+import { LOGICAL_WIDTH, LOGICAL_HEIGHT } from "./pitchModel.js";
+import { PITCH_SIZES, findPitchSize } from "./pitchSizes.js";
+import { PASS_TYPES, isPassType } from "./ballFlight.js";
+
+/** @typedef {import("./pitchModel.js").RecordingFrame} RecordingFrame */
+/** @typedef {import("./pitchModel.js").RecordedPlayer} RecordedPlayer */
+/** @typedef {import("./ballFlight.js").PassType} PassType */
+
+/**
+ * @typedef FeatureFlags
+ * @property {boolean} arrowsEnabled
+ * @property {boolean} ballModeEnabled
+ * @property {boolean} passLinesEnabled
+ * @property {boolean} probabilisticEnabled
+ *
+ * @typedef TeamNames
+ * @property {string} blue
+ * @property {string} red
+ *
+ * @typedef Recording
+ * @property {RecordingFrame[]} frames
+ * @property {FeatureFlags} flags
+ * @property {TeamNames} teamNames
+ * @property {string} [pitchSize] PitchSize key the clip was recorded on;
+ *   older files leave it out
+ * @property {boolean} [blueAttacksRight] whether blue attacked the
+ *   right-hand goal; older files leave it out (they always did)
+ * @property {PassType} [passType] how the ball was played in ball mode;
+ *   older files leave it out
+ */
+
+export const RECORDING_FORMAT = "pitch-control-recording";
+export const RECORDING_VERSION = 1;
+
+const FLAG_NAMES = [
+  "arrowsEnabled",
+  "ballModeEnabled",
+  "passLinesEnabled",
+  "probabilisticEnabled",
+];
+
+export class RecordingFileError extends Error {
+  /**
+   * @param {string} message
+   */
+  constructor(message) {
+    super(message);
+    this.name = "RecordingFileError";
+  }
+}
+
+/**
+ * @param {Recording} recording
+ * @returns {string} JSON document
+ */
+export function serializeRecording({
+  frames,
+  flags,
+  teamNames,
+  pitchSize,
+  blueAttacksRight,
+  passType,
+}) {
+  return JSON.stringify({
+    format: RECORDING_FORMAT,
+    version: RECORDING_VERSION,
+    pitch: { width: LOGICAL_WIDTH, height: LOGICAL_HEIGHT, size: pitchSize, blueAttacksRight },
+    flags: Object.fromEntries(FLAG_NAMES.map((name) => [name, flags[name]])),
+    passType,
+    teamNames: { blue: teamNames.blue, red: teamNames.red },
+    frames: frames.map((frame) => ({
+      t: frame.t,
+      players: frame.players.map(({ id, team, x, y, vx, vy }) => ({
+        id,
+        team,
+        x,
+        y,
+        vx,
+        vy,
+      })),
+      ball: { x: frame.ball.x, y: frame.ball.y },
+    })),
+  });
+}
+
+/**
+ * Parse and validate a recording document. Clips recorded on a pitch of a
+ * different logical size are rescaled to this one.
+ *
+ * @param {string} text
+ * @returns {Recording}
+ * @throws {RecordingFileError} naming the first invalid field
+ */
+export function parseRecording(text) {
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch (err) {
+    throw new RecordingFileError("The file is not valid JSON.");
+  }
+
+  if (!isObject(doc) || doc.format !== RECORDING_FORMAT) {
+    throw new RecordingFileError("The file is not a pitch-control recording.");
+  }
+  if (!Number.isInteger(doc.version) || doc.version < 1) {
+    throw new RecordingFileError("version must be a positive integer.");
+  }
+  if (doc.version > RECORDING_VERSION) {
+    throw new RecordingFileError(
+      `The recording uses format version ${doc.version}, but this page only ` +
+        `understands up to version ${RECORDING_VERSION}.`
+    );
+  }
+
+  expectObject(doc.pitch, "pitch");
+  const pitchWidth = expectNumber(doc.pitch.width, "pitch.width");
+  const pitchHeight = expectNumber(doc.pitch.height, "pitch.height");
+  if (pitchWidth <= 0 || pitchHeight <= 0) {
+    throw new RecordingFileError("pitch dimensions must be positive.");
+  }
+  const sx = LOGICAL_WIDTH / pitchWidth;
+  const sy = LOGICAL_HEIGHT / pitchHeight;
+  const pitchSize = doc.pitch.size;
+  if (pitchSize !== undefined && !findPitchSize(pitchSize)) {
+    const keys = PITCH_SIZES.map((size) => size.key).join(", ");
+    throw new RecordingFileError(`pitch.size must be one of ${keys}.`);
+  }
+  const blueAttacksRight = doc.pitch.blueAttacksRight;
+  if (blueAttacksRight !== undefined && typeof blueAttacksRight !== "boolean") {
+    throw new RecordingFileError("pitch.blueAttacksRight must be true or false.");
+  }
+
+  expectObject(doc.flags, "flags");
+  const flags = /** @type {FeatureFlags} */ ({});
+  for (const name of FLAG_NAMES) {
+    if (typeof doc.flags[name] !== "boolean") {
+      throw new RecordingFileError(`flags.${name} must be true or false.`);
+    }
+    flags[name] = doc.flags[name];
+  }
+  if (doc.passType !== undefined && !isPassType(doc.passType)) {
+    throw new RecordingFileError(`passType must be one of ${PASS_TYPES.join(", ")}.`);
+  }
+
+  expectObject(doc.teamNames, "teamNames");
+  const teamNames = {
+    blue: expectString(doc.teamNames.blue, "teamNames.blue"),
+    red: expectString(doc.teamNames.red, "teamNames.red"),
+  };
+
+  if (!Array.isArray(doc.frames) || doc.frames.length === 0) {
+    throw new RecordingFileError("frames must be a non-empty list.");
+  }
+
+  let lastT = -Infinity;
+  const frames = doc.frames.map((frame, i) => {
+    const path = `frames[${i}]`;
+    expectObject(frame, path);
+
+    const t = expectNumber(frame.t, `${path}.t`);
+    if (t < lastT) {
+      throw new RecordingFileError(`${path}.t goes back in time.`);
+    }
+    lastT = t;
+
+    if (!Array.isArray(frame.players)) {
+      throw new RecordingFileError(`${path}.players must be a list.`);
+    }
+    const players = frame.players.map((p, j) => {
+      const playerPath = `${path}.players[${j}]`;
+      expectObject(p, playerPath);
+      if (!Number.isInteger(p.id)) {
+        throw new RecordingFileError(`${playerPath}.id must be an integer.`);
+      }
+      if (p.team !== undefined && p.team !== "blue" && p.team !== "red") {
+        throw new RecordingFileError(`${playerPath}.team must be "blue" or "red".`);
+      }
+      /** @type {RecordedPlayer} */
+      const player = {
+        id: p.id,
+        x: expectNumber(p.x, `${playerPath}.x`) * sx,
+        y: expectNumber(p.y, `${playerPath}.y`) * sy,
+        vx: expectNumber(p.vx, `${playerPath}.vx`) * sx,
+        vy: expectNumber(p.vy, `${playerPath}.vy`) * sy,
+      };
+      if (p.team !== undefined) player.team = p.team;
+      return player;
+    });
+
+    expectObject(frame.ball, `${path}.ball`);
+    const ball = {
+      x: expectNumber(frame.ball.x, `${path}.ball.x`) * sx,
+      y: expectNumber(frame.ball.y, `${path}.ball.y`) * sy,
+    };
+
+    return { t, players, ball };
+  });
+
+  /** @type {Recording} */
+  const recording = { frames, flags, teamNames };
+  if (pitchSize !== undefined) recording.pitchSize = pitchSize;
+  if (blueAttacksRight !== undefined) recording.blueAttacksRight = blueAttacksRight;
+  if (doc.passType !== undefined) recording.passType = doc.passType;
+  return recording;
+}
+
+function isObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+/**
+ * @param {unknown} value
+ * @param {string} path
+ */
+function expectObject(value, path) {
+  if (!isObject(value)) {
+    throw new RecordingFileError(`${path} must be an object.`);
+  }
+}
+
+/**
+ * @param {unknown} value
+ * @param {string} path
+ * @returns {number}
+ */
+function expectNumber(value, path) {
+  if (typeof value !== "number" || !Number.isFinite(value)) {
+    throw new RecordingFileError(`${path} must be a number.`);
+  }
+  return value;
+}
+
+/**
+ * @param {unknown} value
+ * @param {string} path
+ * @returns {string}
+ */
+function expectString(value, path) {
+  if (typeof value !== "string") {
+    throw new RecordingFileError(`${path} must be a string.`);
+  }
+  return value;
+}
@@ -0,0 +1,132 @@
+// Replay helpers
+// --------------
+// Time-based lookup into recorded clips, shared by playback and the
+// replay timeline.
+
+/** @typedef {import("./pitchModel.js").RecordingFrame} RecordingFrame */
+/** @typedef {import("./pitchModel.js").Team} Team */
+
+/**
+ * A recorded clip indexed for playback. Every player id seen in the clip gets
+ * a fixed slot, and per-frame state is stored in one flat array so sampling a
+ * time costs the same at the end of a long clip as at the start.
+ *
+ * @typedef ReplayClip
+ * @property {RecordingFrame[]} frames
+ * @property {number[]} ids player id for each slot
+ * @property {(Team | null)[]} teams team for each slot, null if the clip
+ *   doesn't say (older recordings)
+ * @property {Float64Array} states [x, y, vx, vy] per slot per frame; NaN
+ *   where the player is absent from that frame
+ * @property {Float64Array} ball [x, y] per frame
+ *
+ * @typedef ClipSample
+ * @property {Float64Array} states [x, y, vx, vy] per slot, NaN if absent
+ * @property {{ x: number, y: number }} ball
+ */
+
+const SLOT_STRIDE = 4;
+
+/**
+ * Index of the last frame with `t <= time` (0 if `time` is before the clip).
+ *
+ * @param {RecordingFrame[]} frames
+ * @param {number} time ms
+ * @returns {number}
+ */
+export function frameIndexAt(frames, time) {
+  let lo = 0;
+  let hi = frames.length - 1;
+  if (hi < 0 || time <= frames[0].t) return 0;
+  if (time >= frames[hi].t) return hi;
+
+  // Invariant: frames[lo].t <= time < frames[hi].t
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (frames[mid].t <= time) lo = mid;
+    else hi = mid;
+  }
+  return lo;
+}
+
+/**
+ * @param {RecordingFrame[]} frames
+ * @returns {ReplayClip}
+ */
+export function createReplayClip(frames) {
+  /** @type {number[]} */
+  const ids = [];
+  /** @type {(Team | null)[]} */
+  const teams = [];
+  /** @type {Map<number, number>} */
+  const slotById = new Map();
+  for (const frame of frames) {
+    for (const p of frame.players) {
+      let slot = slotById.get(p.id);
+      if (slot === undefined) {
+        slot = ids.length;
+        slotById.set(p.id, slot);
+        ids.push(p.id);
+        teams.push(null);
+      }
+      if (p.team) teams[slot] = p.team;
+    }
+  }
+
+  const frameStride = ids.length * SLOT_STRIDE;
+  const states = new Float64Array(frames.length * frameStride).fill(NaN);
+  const ball = new Float64Array(frames.length * 2);
+
+  frames.forEach((frame, f) => {
+    for (const p of frame.players) {
+      const o = f * frameStride + /** @type {number} */ (slotById.get(p.id)) * SLOT_STRIDE;
+      states[o] = p.x;
+      states[o + 1] = p.y;
+      states[o + 2] = p.vx;
+      states[o + 3] = p.vy;
+    }
+    ball[f * 2] = frame.ball.x;
+    ball[f * 2 + 1] = frame.ball.y;
+  });
+
+  return { frames, ids, teams, states, ball };
+}
+
+/**
+ * Clip state at an arbitrary time, linearly interpolated between the two
+ * bracketing frames. Players missing from either frame keep the earlier
+ * frame's values.
+ *
+ * @param {ReplayClip} clip non-empty
+ * @param {number} time ms
+ * @returns {ClipSample}
+ */
+export function sampleClip(clip, time) {
+  const { frames, ids, states, ball } = clip;
+  const frameStride = ids.length * SLOT_STRIDE;
+  const i = frameIndexAt(frames, time);
+  const j = Math.min(i + 1, frames.length - 1);
+  const span = frames[j].t - frames[i].t;
+  const alpha = span > 0 ? Math.min(1, Math.max(0, (time - frames[i].t) / span)) : 0;
+
+  const a = i * frameStride;
+  const b = j * frameStride;
+  const out = states.slice(a, a + frameStride);
+  if (alpha > 0) {
+    for (let s = 0; s < frameStride; s += SLOT_STRIDE) {
+      // Absent in the next frame: hold the earlier values
+      if (Number.isNaN(states[b + s])) continue;
+      for (let k = s; k < s + SLOT_STRIDE; k++) {
+        out[k] += (states[b + k] - out[k]) * alpha;
+      }
+    }
+  }
+
+  return {
+    states: out,
+    ball: {
+      x: ball[i * 2] + (ball[j * 2] - ball[i * 2]) * alpha,
+      y: ball[i * 2 + 1] + (ball[j * 2 + 1] - ball[i * 2 + 1]) * alpha,
+    },
+  };
+}
@@ -0,0 +1,109 @@
+// Rosters
+// -------
+// Player identities (shirt number, name and role) and rosters saved per
+// team. A saved roster is the list of identities in roster order,
+// goalkeeper usually first, applied to a team's players in the same order.
+// The page persists saved rosters.
+
+/** @typedef {import("./pitchModel.js").Player} Player */
+/** @typedef {import("./pitchModel.js").Role} Role */
+
+/**
+ * @typedef Identity
+ * @property {number} number shirt number, 1..99
+ * @property {string} name may be empty
+ * @property {Role} role
+ *
+ * @typedef SavedRoster
+ * @property {string} name
+ * @property {Identity[]} entries in roster order
+ */
+
+/** @type {Role[]} */
+export const ROLES = ["GK", "DF", "MF", "FW"];
+
+export const MAX_SHIRT_NUMBER = 99;
+
+/**
+ * @param {unknown} value
+ * @returns {value is Role}
+ */
+export function isRole(value) {
+  return ROLES.includes(/** @type {Role} */ (value));
+}
+
+/**
+ * @param {unknown} value
+ * @returns {value is number}
+ */
+export function isShirtNumber(value) {
+  return Number.isInteger(value) && value >= 1 && value <= MAX_SHIRT_NUMBER;
+}
+
+/**
+ * Lowest shirt number nobody in `teamPlayers` wears yet.
+ *
+ * @param {{ number: number }[]} teamPlayers
+ * @returns {number}
+ */
+export function nextShirtNumber(teamPlayers) {
+  const taken = new Set(teamPlayers.map((p) => p.number));
+  for (let n = 1; n <= MAX_SHIRT_NUMBER; n++) {
+    if (!taken.has(n)) return n;
+  }
+  return MAX_SHIRT_NUMBER;
+}
+
+/**
+ * Outfield role for a player standing `depth` of the way from their own
+ * goal line to the opposition's (0..1): defensive, middle or attacking
+ * third.
+ *
+ * @param {number} depth
+ * @returns {Role}
+ */
+export function roleForDepth(depth) {
+  if (depth < 1 / 3) return "DF";
+  if (depth < 2 / 3) return "MF";
+  return "FW";
+}
+
+/**
+ * @param {string} name
+ * @param {Player[]} teamPlayers in roster order
+ * @returns {SavedRoster}
+ */
+export function captureRoster(name, teamPlayers) {
+  return {
+    name,
+    entries: teamPlayers.map((p) => ({ number: p.number, name: p.name, role: p.role })),
+  };
+}
+
+/**
+ * Validate saved rosters read back from storage, dropping malformed
+ * entries rather than failing.
+ *
+ * @param {unknown} value
+ * @returns {SavedRoster[]}
+ */
+export function parseSavedRosters(value) {
+  if (!Array.isArray(value)) return [];
+  return value.filter(
+    (r) =>
+      typeof r === "object" &&
+      r !== null &&
+      typeof r.name === "string" &&
+      r.name.trim() !== "" &&
+      Array.isArray(r.entries) &&
+      r.entries.length > 0 &&
+      r.entries.every(
+        (e) =>
+          typeof e === "object" &&
+          e !== null &&
+          isShirtNumber(e.number) &&
+          typeof e.name === "string" &&
+          isRole(e.role)
+      )
+  );
+}
@@ -0,0 +1,300 @@
+// Scenario URLs
+// -------------
+// Encodes the board (players, ball and feature flags) into a compact URL
+// hash such as
+//
+//   #v=1&f=1010&b=525,340&p=1,b,84,340,18,0;2,b,231,122,18,0;…
+//
+// so a situation can be shared as a link. Small-sided pitches add their
+// size (`s=7v7`) after the flags, boards where the teams have switched
+// ends, so blue attacks the left-hand goal, add `d=l`, and driven or lofted
+// passes in ball mode add `t=d` or `t=l`. Each player is id, team, position and
+// velocity, followed by shirt number, role and (URI-encoded, if set) name
+// unless those are what a reader would assume anyway: numbered in roster
+// order, the first player in goal and the rest by the third of the pitch
+// they stand in. Players given their own top speed, acceleration and
+// reaction time are listed after the players (`a=7,6.5,8,0.5;…`).
+// Positions are rounded to whole logical units and velocities to a tenth.
+// The page reads and writes location.hash.
+
+import { ATTRIBUTE_RANGES, LOGICAL_WIDTH, playerAttributes } from "./pitchModel.js";
+import { DEFAULT_PITCH_SIZE, findPitchSize } from "./pitchSizes.js";
+import { attackingSign } from "./direction.js";
+import { DEFAULT_PASS_TYPE, PASS_TYPES } from "./ballFlight.js";
+import { isRole, isShirtNumber, roleForDepth } from "./roster.js";
+
+/** @typedef {import("./pitchModel.js").Player} Player */
+/** @typedef {import("./pitchModel.js").Role} Role */
+/** @typedef {import("./pitchModel.js").PhysicalAttributes} PhysicalAttributes */
+/** @typedef {import("./recordingFile.js").FeatureFlags} FeatureFlags */
+/** @typedef {import("./ballFlight.js").PassType} PassType */
+
+/**
+ * @typedef Scenario
+ * @property {Player[]} players
+ * @property {{ x: number, y: number }} ball
+ * @property {FeatureFlags} flags
+ * @property {string} pitchSize key of a PitchSize (see pitchSizes.js)
+ * @property {boolean} blueAttacksRight
+ * @property {PassType} passType
+ */
+
+export const SCENARIO_VERSION = 1;
+
+// Order of the flag bits in `f`
+const FLAG_NAMES = /** @type {const} */ ([
+  "arrowsEnabled",
+  "ballModeEnabled",
+  "passLinesEnabled",
+  "probabilisticEnabled",
+]);
+
+const TEAM_CODES = { blue: "b", red: "r" };
+/** @type {Record<PassType, string>} */
+const PASS_TYPE_CODES = { ground: "g", driven: "d", lofted: "l" };
+
+// Order of the values in an `a` record, after the player id
+const ATTRIBUTE_NAMES = /** @type {const} */ (["maxSpeed", "acceleration", "reactionTime"]);
+
+/**
+ * @param {Scenario} scenario
+ * @returns {string} hash contents, without the leading "#"
+ */
+export function encodeScenario({
+  players,
+  ball,
+  flags,
+  pitchSize,
+  blueAttacksRight = true,
+  passType = DEFAULT_PASS_TYPE,
+}) {
+  const bits = FLAG_NAMES.map((name) => (flags[name] ? "1" : "0")).join("");
+  const teamIndex = { blue: 0, red: 0 };
+  const playerList = players
+    .map((p) => {
+      const x = Math.round(p.x);
+      return [
+        p.id,
+        TEAM_CODES[p.team],
+        x,
+        Math.round(p.y),
+        roundVelocity(p.vx),
+        roundVelocity(p.vy),
+        ...identityFields(
+          p,
+          impliedIdentity(p.team, teamIndex[p.team]++, x, blueAttacksRight)
+        ),
+      ].join(",");
+    })
+    .join(";");
+
+  const size = pitchSize === DEFAULT_PITCH_SIZE.key ? "" : `&s=${pitchSize}`;
+  const direction = blueAttacksRight ? "" : "&d=l";
+  const pass = passType === DEFAULT_PASS_TYPE ? "" : `&t=${PASS_TYPE_CODES[passType]}`;
+
+  const attributeList = players
+    .filter((p) => ATTRIBUTE_NAMES.some((name) => p[name] !== undefined))
+    .map((p) => {
+      const attributes = playerAttributes(p);
+      return [p.id, ...ATTRIBUTE_NAMES.map((name) => roundAttribute(attributes[name]))].join(",");
+    })
+    .join(";");
+
+  return (
+    `v=${SCENARIO_VERSION}&f=${bits}${size}${direction}${pass}` +
+    `&b=${Math.round(ball.x)},${Math.round(ball.y)}&p=${playerList}` +
+    (attributeList ? `&a=${attributeList}` : "")
+  );
+}
+
+/**
+ * @param {string} hash location.hash, with or without the leading "#"
+ * @param {{ width: number, height: number }} pitch positions are clamped to it
+ * @returns {Scenario | null} null if the hash isn't a valid scenario
+ */
+export function decodeScenario(hash, { width, height }) {
+  const params = readParams(hash.replace(/^#/, ""));
+  if (params.get("v") !== String(SCENARIO_VERSION)) return null;
+
+  const bits = params.get("f") ?? "";
+  if (!new RegExp(`^[01]{${FLAG_NAMES.length}}$`).test(bits)) return null;
+  const flags = /** @type {FeatureFlags} */ (
+    Object.fromEntries(FLAG_NAMES.map((name, i) => [name, bits[i] === "1"]))
+  );
+
+  const pitchSize = params.get("s") ?? DEFAULT_PITCH_SIZE.key;
+  if (!findPitchSize(pitchSize)) return null;
+
+  const direction = params.get("d");
+  if (direction !== undefined && direction !== "l") return null;
+  const blueAttacksRight = direction === undefined;
+
+  const passCode = params.get("t") ?? PASS_TYPE_CODES[DEFAULT_PASS_TYPE];
+  const passType = PASS_TYPES.find((type) => PASS_TYPE_CODES[type] === passCode);
+  if (!passType) return null;
+
+  const ballValues = parseNumbers(params.get("b") ?? "");
+  if (!ballValues || ballValues.length !== 2) return null;
+  const ball = {
+    x: clampTo(ballValues[0], width),
+    y: clampTo(ballValues[1], height),
+  };
+
+  /** @type {Player[]} */
+  const players = [];
+  const seenIds = new Set();
+  for (const record of (params.get("p") ?? "").split(";")) {
+    const [idText, teamCode, ...rest] = record.split(",");
+    const id = Number(idText);
+    const team = teamCode === "b" ? "blue" : teamCode === "r" ? "red" : null;
+    const values = parseNumbers(rest.slice(0, 4).join(","));
+    if (!Number.isInteger(id) || id <= 0 || seenIds.has(id) || !team) return null;
+    if (!values || values.length !== 4) return null;
+    seenIds.add(id);
+
+    const [x, y, vx, vy] = values;
+    const identity =
+      parseIdentity(rest.slice(4)) ??
+      impliedIdentity(
+        team,
+        players.filter((p) => p.team === team).length,
+        x,
+        blueAttacksRight
+      );
+    if (!identity) return null;
+
+    players.push({
+      id,
+      team,
+      ...identity,
+      x: clampTo(x, width),
+      y: clampTo(y, height),
+      vx,
+      vy,
+    });
+  }
+
+  const attributes = params.get("a");
+  if (attributes !== undefined) {
+    for (const record of attributes.split(";")) {
+      const [id, ...values] = parseNumbers(record) ?? [];
+      const player = players.find((p) => p.id === id);
+      if (!player || values.length !== ATTRIBUTE_NAMES.length) return null;
+      const outOfRange = ATTRIBUTE_NAMES.some(
+        (name, i) =>
+          values[i] < ATTRIBUTE_RANGES[name].min || values[i] > ATTRIBUTE_RANGES[name].max
+      );
+      if (outOfRange) return null;
+      ATTRIBUTE_NAMES.forEach((name, i) => {
+        player[name] = values[i];
+      });
+    }
+  }
+
+  return { players, ball, flags, pitchSize, blueAttacksRight, passType };
+}
+
+/**
+ * Identity assumed for a player record that doesn't spell one out.
+ *
+ * @param {"blue" | "red"} team
+ * @param {number} index position in the team's roster
+ * @param {number} x logical, as written in the record
+ * @param {boolean} blueAttacksRight
+ * @returns {{ number: number, role: Role, name: string }}
+ */
+function impliedIdentity(team, index, x, blueAttacksRight) {
+  // Thirds are counted from each team's own goal
+  const depth =
+    attackingSign(team, blueAttacksRight) > 0 ? x / LOGICAL_WIDTH : 1 - x / LOGICAL_WIDTH;
+  return {
+    number: index + 1,
+    role: index === 0 ? "GK" : roleForDepth(depth),
+    name: "",
+  };
+}
+
+/**
+ * Shirt number, role and name fields for a player record; none if they
+ * match the implied identity.
+ *
+ * @param {Player} p
+ * @param {{ number: number, role: Role, name: string }} implied
+ * @returns {string[]}
+ */
+function identityFields(p, implied) {
+  // Boards built outside the page may not carry identities
+  if (p.number === undefined) return [];
+  if (p.number === implied.number && p.role === implied.role && !p.name) return [];
+
+  const fields = [String(p.number), p.role];
+  if (p.name) fields.push(encodeURIComponent(p.name));
+  return fields;
+}
+
+/**
+ * @param {string[]} fields what follows the velocity in a player record
+ * @returns {{ number: number, role: Role, name: string } | undefined | false}
+ *   undefined if the record leaves the identity implied, false if malformed
+ */
+function parseIdentity(fields) {
+  if (fields.length === 0) return undefined;
+  if (fields.length === 1 || fields.length > 3) return false;
+
+  const [numberText, role, encodedName = ""] = fields;
+  const number = Number(numberText);
+  if (!isShirtNumber(number) || !isRole(role)) return false;
+  try {
+    return { number, role, name: decodeURIComponent(encodedName) };
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Split a hash into its parameters without percent-decoding them, so
+ * encoded commas and semicolons in names can't break up player records.
+ *
+ * @param {string} query
+ * @returns {Map<string, string>}
+ */
+function readParams(query) {
+  /** @type {Map<string, string>} */
+  const params = new Map();
+  for (const part of query.split("&")) {
+    const eq = part.indexOf("=");
+    if (eq > 0 && !params.has(part.slice(0, eq))) {
+      params.set(part.slice(0, eq), part.slice(eq + 1));
+    }
+  }
+  return params;
+}
+
+/**
+ * @param {string} text comma-separated numbers
+ * @returns {number[] | null}
+ */
+function parseNumbers(text) {
+  if (text === "") return null;
+  const values = text.split(",").map(Number);
+  return values.every(Number.isFinite) ? values : null;
+}
+
+/** @param {number} v */
+function roundAttribute(v) {
+  return Math.round(v * 100) / 100;
+}
+
+/** @param {number} v */
+function roundVelocity(v) {
+  // Avoid "-0" in the URL
+  return Math.round(v * 10) / 10 || 0;
+}
+
+/**
+ * @param {number} v
+ * @param {number} max
+ */
+function clampTo(v, max) {
+  return Math.max(0, Math.min(max, v));
+}
@@ -0,0 +1,92 @@
+// Player selection
+// ----------------
+// Geometry for selecting several players at once: rubber-band hit tests
+// and moving a group without pushing anyone off the pitch. Works in
+// logical pitch units.
+
+/**
+ * @typedef Rect
+ * @property {number} left
+ * @property {number} top
+ * @property {number} right
+ * @property {number} bottom
+ *
+ * @typedef Point
+ * @property {number} x
+ * @property {number} y
+ */
+
+/**
+ * Rectangle spanned by two corners, in either order.
+ *
+ * @param {Point} a
+ * @param {Point} b
+ * @returns {Rect}
+ */
+export function rectFromCorners(a, b) {
+  return {
+    left: Math.min(a.x, b.x),
+    top: Math.min(a.y, b.y),
+    right: Math.max(a.x, b.x),
+    bottom: Math.max(a.y, b.y),
+  };
+}
+
+/**
+ * Ids of the players whose centres lie inside `rect` (edges included).
+ *
+ * @template {Point & { id: number }} P
+ * @param {P[]} players
+ * @param {Rect} rect
+ * @returns {number[]}
+ */
+export function playersInRect(players, rect) {
+  return players
+    .filter(
+      (p) =>
+        p.x >= rect.left && p.x <= rect.right && p.y >= rect.top && p.y <= rect.bottom
+    )
+    .map((p) => p.id);
+}
+
+/**
+ * Shrink a group move so that every point stays inside `bounds`. The
+ * group keeps its shape: it stops as a block when its outermost member
+ * reaches the edge rather than being squashed against it.
+ *
+ * @param {Point[]} starts positions before the move
+ * @param {number} dx
+ * @param {number} dy
+ * @param {Rect} bounds
+ * @returns {{ dx: number, dy: number }}
+ */
+export function clampGroupOffset(starts, dx, dy, bounds) {
+  if (starts.length === 0) return { dx, dy };
+
+  let minX = Infinity;
+  let maxX = -Infinity;
+  let minY = Infinity;
+  let maxY = -Infinity;
+  for (const p of starts) {
+    minX = Math.min(minX, p.x);
+    maxX = Math.max(maxX, p.x);
+    minY = Math.min(minY, p.y);
+    maxY = Math.max(maxY, p.y);
+  }
+
+  return {
+    dx: clampOffset(dx, bounds.left - minX, bounds.right - maxX),
+    dy: clampOffset(dy, bounds.top - minY, bounds.bottom - maxY),
+  };
+}
+
+/**
+ * @param {number} d
+ * @param {number} low
+ * @param {number} high
+ */
+function clampOffset(d, low, high) {
+  // A group already wider than the bounds can't move outwards at all
+  if (low > high) return 0;
+  return Math.max(low, Math.min(high, d));
+}
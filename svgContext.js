@@ -0,0 +1,554 @@
+// SVG drawing context
+// -------------------
+// A stand-in for CanvasRenderingContext2D that records drawing calls as SVG
+// elements, so the page's canvas drawing code can produce vector snapshots
+// without a second set of draw functions. Covers the subset of the 2D API
+// the page uses: paths, arcs, rects, fills and strokes with colours or
+// gradients, text, images, line dashes, global alpha and affine transforms.
+// Images are turned into hrefs by the caller.
+
+/**
+ * @typedef SvgContextOptions
+ * @property {(source: unknown) => string | null} [resolveImage] href (usually
+ *   a data URL) for an image passed to drawImage; null skips the image
+ * @property {(text: string, font: string) => number} [measureText] text
+ *   width in CSS pixels; defaults to an estimate from the font size
+ *
+ * @typedef {[number, number, number, number, number, number]} Matrix
+ */
+
+const IDENTITY = /** @type {Matrix} */ ([1, 0, 0, 1, 0, 0]);
+const TAU = Math.PI * 2;
+
+// Drawing state saved and restored by save() / restore()
+const STATE_KEYS = /** @type {const} */ ([
+  "fillStyle",
+  "strokeStyle",
+  "lineWidth",
+  "lineCap",
+  "lineJoin",
+  "miterLimit",
+  "globalAlpha",
+  "globalCompositeOperation",
+  "imageSmoothingEnabled",
+  "font",
+  "textAlign",
+  "textBaseline",
+  "lineDashOffset",
+]);
+
+export class SvgGradient {
+  /**
+   * @param {"linear" | "radial"} type
+   * @param {number[]} coords x0, y0, x1, y1 (linear) or x0, y0, r0, x1, y1, r1
+   */
+  constructor(type, coords) {
+    this.type = type;
+    this.coords = coords;
+    /** @type {{ offset: number, colour: string }[]} */
+    this.stops = [];
+  }
+
+  /**
+   * @param {number} offset
+   * @param {string} colour
+   */
+  addColorStop(offset, colour) {
+    this.stops.push({ offset, colour });
+  }
+}
+
+export class SvgContext {
+  /**
+   * @param {number} width
+   * @param {number} height
+   * @param {SvgContextOptions} [options]
+   */
+  constructor(width, height, { resolveImage = () => null, measureText } = {}) {
+    // Mirrors ctx.canvas, which the page reads for the drawing size
+    this.canvas = { width, height };
+    this.resolveImage = resolveImage;
+    this.measureTextWidth = measureText ?? estimateTextWidth;
+
+    /** @type {string | SvgGradient} */
+    this.fillStyle = "#000000";
+    /** @type {string | SvgGradient} */
+    this.strokeStyle = "#000000";
+    this.lineWidth = 1;
+    this.lineCap = "butt";
+    this.lineJoin = "miter";
+    this.miterLimit = 10;
+    this.globalAlpha = 1;
+    this.globalCompositeOperation = "source-over";
+    this.imageSmoothingEnabled = true;
+    this.font = "10px sans-serif";
+    this.textAlign = "start";
+    this.textBaseline = "alphabetic";
+    this.lineDashOffset = 0;
+
+    /** @type {number[]} */
+    this.lineDash = [];
+    /** @type {Matrix} */
+    this.matrix = [...IDENTITY];
+    /** @type {object[]} */
+    this.stack = [];
+
+    /** @type {string[]} */
+    this.path = [];
+    this.hasCurrentPoint = false;
+
+    /** @type {string[]} */
+    this.defs = [];
+    /** @type {string[]} */
+    this.elements = [];
+  }
+
+  // ---- State ----
+
+  save() {
+    const state = Object.fromEntries(STATE_KEYS.map((key) => [key, this[key]]));
+    this.stack.push({ ...state, lineDash: this.lineDash, matrix: this.matrix });
+  }
+
+  restore() {
+    const state = this.stack.pop();
+    if (state) Object.assign(this, state);
+  }
+
+  /** @param {number[]} segments */
+  setLineDash(segments) {
+    this.lineDash = segments.length % 2 ? [...segments, ...segments] : [...segments];
+  }
+
+  getLineDash() {
+    return [...this.lineDash];
+  }
+
+  // ---- Transforms ----
+
+  setTransform(a, b, c, d, e, f) {
+    this.matrix = [a, b, c, d, e, f];
+  }
+
+  resetTransform() {
+    this.matrix = [...IDENTITY];
+  }
+
+  transform(a, b, c, d, e, f) {
+    const [m0, m1, m2, m3, m4, m5] = this.matrix;
+    this.matrix = [
+      m0 * a + m2 * b,
+      m1 * a + m3 * b,
+      m0 * c + m2 * d,
+      m1 * c + m3 * d,
+      m0 * e + m2 * f + m4,
+      m1 * e + m3 * f + m5,
+    ];
+  }
+
+  translate(x, y) {
+    this.transform(1, 0, 0, 1, x, y);
+  }
+
+  scale(x, y) {
+    this.transform(x, 0, 0, y, 0, 0);
+  }
+
+  rotate(angle) {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    this.transform(cos, sin, -sin, cos, 0, 0);
+  }
+
+  // ---- Paths ----
+  // Points are transformed as they are added, like the canvas does, so the
+  // emitted path data is in SVG user space.
+
+  beginPath() {
+    this.path = [];
+    this.hasCurrentPoint = false;
+  }
+
+  closePath() {
+    if (this.path.length) this.path.push("Z");
+  }
+
+  moveTo(x, y) {
+    this.path.push(`M${this.point(x, y)}`);
+    this.hasCurrentPoint = true;
+  }
+
+  lineTo(x, y) {
+    if (!this.hasCurrentPoint) {
+      this.moveTo(x, y);
+      return;
+    }
+    this.path.push(`L${this.point(x, y)}`);
+  }
+
+  quadraticCurveTo(cpx, cpy, x, y) {
+    if (!this.hasCurrentPoint) this.moveTo(cpx, cpy);
+    this.path.push(`Q${this.point(cpx, cpy)} ${this.point(x, y)}`);
+  }
+
+  bezierCurveTo(cp1x, cp1y, cp2x, cp2y, x, y) {
+    if (!this.hasCurrentPoint) this.moveTo(cp1x, cp1y);
+    this.path.push(
+      `C${this.point(cp1x, cp1y)} ${this.point(cp2x, cp2y)} ${this.point(x, y)}`
+    );
+  }
+
+  rect(x, y, w, h) {
+    this.moveTo(x, y);
+    this.lineTo(x + w, y);
+    this.lineTo(x + w, y + h);
+    this.lineTo(x, y + h);
+    this.closePath();
+  }
+
+  arc(x, y, radius, startAngle, endAngle, counterclockwise = false) {
+    let sweep = counterclockwise ? startAngle - endAngle : endAngle - startAngle;
+    const full = sweep >= TAU;
+    sweep = full ? TAU : ((sweep % TAU) + TAU) % TAU;
+
+    const at = (angle) =>
+      this.point(x + radius * Math.cos(angle), y + radius * Math.sin(angle));
+    const direction = counterclockwise ? -1 : 1;
+    const [a, b, c, d] = this.matrix;
+    const det = a * d - b * c;
+    const r = fmt(radius * Math.sqrt(Math.abs(det)));
+    // A mirrored transform flips the winding on screen
+    const sweepFlag = (direction > 0) === (det >= 0) ? 1 : 0;
+
+    this.path.push(`${this.hasCurrentPoint ? "L" : "M"}${at(startAngle)}`);
+    this.hasCurrentPoint = true;
+    if (sweep === 0) return;
+
+    if (full) {
+      // SVG can't draw a closed circle with one arc command
+      const mid = startAngle + direction * Math.PI;
+      this.path.push(`A${r} ${r} 0 0 ${sweepFlag} ${at(mid)}`);
+      this.path.push(`A${r} ${r} 0 0 ${sweepFlag} ${at(startAngle)}`);
+    } else {
+      const end = startAngle + direction * sweep;
+      const large = sweep > Math.PI ? 1 : 0;
+      this.path.push(`A${r} ${r} 0 ${large} ${sweepFlag} ${at(end)}`);
+    }
+  }
+
+  fill() {
+    if (!this.path.length) return;
+    this.emit("path", { d: this.path.join(" "), ...this.paintAttrs("fill") });
+  }
+
+  stroke() {
+    if (!this.path.length) return;
+    this.emit("path", {
+      d: this.path.join(" "),
+      fill: "none",
+      ...this.paintAttrs("stroke"),
+    });
+  }
+
+  fillRect(x, y, w, h) {
+    this.withPath(() => this.rect(x, y, w, h), () => this.fill());
+  }
+
+  strokeRect(x, y, w, h) {
+    this.withPath(() => this.rect(x, y, w, h), () => this.stroke());
+  }
+
+  /**
+   * SVG has no erase; clearing the whole drawing starts over, partial
+   * clears are ignored.
+   */
+  clearRect(x, y, w, h) {
+    const [x0, y0] = this.apply(x, y);
+    const [x1, y1] = this.apply(x + w, y + h);
+    const { width, height } = this.canvas;
+    if (
+      Math.min(x0, x1) <= 0 &&
+      Math.min(y0, y1) <= 0 &&
+      Math.max(x0, x1) >= width &&
+      Math.max(y0, y1) >= height
+    ) {
+      this.defs = [];
+      this.elements = [];
+    }
+  }
+
+  // ---- Paint ----
+
+  createLinearGradient(x0, y0, x1, y1) {
+    return new SvgGradient("linear", [x0, y0, x1, y1]);
+  }
+
+  createRadialGradient(x0, y0, r0, x1, y1, r1) {
+    return new SvgGradient("radial", [x0, y0, r0, x1, y1, r1]);
+  }
+
+  // ---- Text ----
+
+  fillText(text, x, y) {
+    this.emitText(text, x, y, "fill");
+  }
+
+  strokeText(text, x, y) {
+    this.emitText(text, x, y, "stroke");
+  }
+
+  /** @param {string} text */
+  measureText(text) {
+    return { width: this.measureTextWidth(text, this.font) };
+  }
+
+  // ---- Images ----
+
+  /**
+   * drawImage(image, dx, dy) or drawImage(image, dx, dy, dw, dh). Source
+   * rectangles aren't supported.
+   */
+  drawImage(image, dx, dy, dw, dh) {
+    const href = this.resolveImage(image);
+    if (!href) return;
+    const width = dw ?? /** @type {any} */ (image).width ?? 0;
+    const height = dh ?? /** @type {any} */ (image).height ?? 0;
+    this.emit("image", {
+      href,
+      x: fmt(dx),
+      y: fmt(dy),
+      width: fmt(width),
+      height: fmt(height),
+      preserveAspectRatio: "none",
+      transform: this.matrixAttr(),
+      opacity: this.globalAlpha < 1 ? fmt(this.globalAlpha) : undefined,
+    });
+  }
+
+  // ---- Output ----
+
+  /**
+   * @returns {string} standalone SVG document
+   */
+  toSvg() {
+    const { width, height } = this.canvas;
+    return [
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+      this.defs.length ? `<defs>\n${this.defs.join("\n")}\n</defs>` : "",
+      ...this.elements,
+      "</svg>",
+      "",
+    ]
+      .filter(Boolean)
+      .join("\n");
+  }
+
+  // ---- Internals ----
+
+  /**
+   * @param {number} x
+   * @param {number} y
+   * @returns {[number, number]}
+   */
+  apply(x, y) {
+    const [a, b, c, d, e, f] = this.matrix;
+    return [a * x + c * y + e, b * x + d * y + f];
+  }
+
+  point(x, y) {
+    const [px, py] = this.apply(x, y);
+    return `${fmt(px)} ${fmt(py)}`;
+  }
+
+  matrixAttr() {
+    const m = this.matrix;
+    if (m.every((v, i) => v === IDENTITY[i])) return undefined;
+    return `matrix(${m.map(fmt).join(" ")})`;
+  }
+
+  /**
+   * Run a one-off path without disturbing the path being built.
+   *
+   * @param {() => void} build
+   * @param {() => void} paint
+   */
+  withPath(build, paint) {
+    const { path, hasCurrentPoint } = this;
+    this.beginPath();
+    build();
+    paint();
+    this.path = path;
+    this.hasCurrentPoint = hasCurrentPoint;
+  }
+
+  /**
+   * @param {"fill" | "stroke"} kind
+   * @returns {Record<string, string | undefined>}
+   */
+  paintAttrs(kind) {
+    const style = kind === "fill" ? this.fillStyle : this.strokeStyle;
+    /** @type {Record<string, string | undefined>} */
+    const attrs = {};
+
+    if (style instanceof SvgGradient) {
+      attrs[kind] = `url(#${this.addGradient(style)})`;
+    } else {
+      const { colour, alpha } = parseColour(String(style));
+      attrs[kind] = colour;
+      if (alpha < 1) attrs[`${kind}-opacity`] = fmt(alpha);
+    }
+
+    if (kind === "stroke") {
+      const [a, b, c, d] = this.matrix;
+      attrs["stroke-width"] = fmt(this.lineWidth * Math.sqrt(Math.abs(a * d - b * c)));
+      if (this.lineCap !== "butt") attrs["stroke-linecap"] = this.lineCap;
+      if (this.lineJoin !== "miter") attrs["stroke-linejoin"] = this.lineJoin;
+      if (this.lineDash.length) {
+        attrs["stroke-dasharray"] = this.lineDash.map(fmt).join(" ");
+        if (this.lineDashOffset) attrs["stroke-dashoffset"] = fmt(this.lineDashOffset);
+      }
+    }
+    if (this.globalAlpha < 1) attrs.opacity = fmt(this.globalAlpha);
+    return attrs;
+  }
+
+  /**
+   * Gradients are defined in the user space current when they're used.
+   *
+   * @param {SvgGradient} gradient
+   * @returns {string} id
+   */
+  addGradient(gradient) {
+    const id = `g${this.defs.length + 1}`;
+    const attrs = {
+      id,
+      gradientUnits: "userSpaceOnUse",
+      gradientTransform: this.matrixAttr(),
+    };
+    const [x0, y0, p2, p3, p4, p5] = gradient.coords.map(fmt);
+    if (gradient.type === "linear") {
+      Object.assign(attrs, { x1: x0, y1: y0, x2: p2, y2: p3 });
+    } else {
+      Object.assign(attrs, { fx: x0, fy: y0, fr: p2, cx: p3, cy: p4, r: p5 });
+    }
+
+    const stops = gradient.stops.map(({ offset, colour }) => {
+      const { colour: stopColour, alpha } = parseColour(colour);
+      return element("stop", {
+        offset: fmt(offset),
+        "stop-color": stopColour,
+        "stop-opacity": alpha < 1 ? fmt(alpha) : undefined,
+      });
+    });
+    const tag = gradient.type === "linear" ? "linearGradient" : "radialGradient";
+    this.defs.push(`${element(tag, attrs, false)}\n${stops.join("\n")}\n</${tag}>`);
+    return id;
+  }
+
+  /**
+   * @param {string} text
+   * @param {number} x
+   * @param {number} y
+   * @param {"fill" | "stroke"} kind
+   */
+  emitText(text, x, y, kind) {
+    const anchor = { center: "middle", right: "end", end: "end" }[this.textAlign] ?? "start";
+    const baseline = {
+      top: "text-before-edge",
+      hanging: "hanging",
+      middle: "central",
+      bottom: "text-after-edge",
+      ideographic: "ideographic",
+    }[this.textBaseline];
+    const paint = this.paintAttrs(kind);
+    if (kind === "stroke") paint.fill = "none";
+
+    this.emit(
+      "text",
+      {
+        x: fmt(x),
+        y: fmt(y),
+        style: `font: ${this.font}`,
+        "text-anchor": anchor === "start" ? undefined : anchor,
+        "dominant-baseline": baseline,
+        transform: this.matrixAttr(),
+        ...paint,
+      },
+      escapeXml(String(text))
+    );
+  }
+
+  /**
+   * @param {string} tag
+   * @param {Record<string, string | undefined>} attrs
+   * @param {string} [content]
+   */
+  emit(tag, attrs, content) {
+    this.elements.push(
+      content === undefined
+        ? element(tag, attrs)
+        : `${element(tag, attrs, false)}${content}</${tag}>`
+    );
+  }
+}
+
+/**
+ * Split a CSS colour into an SVG paint colour and its alpha, since
+ * rgba() paints aren't understood by every SVG editor.
+ *
+ * @param {string} css
+ * @returns {{ colour: string, alpha: number }}
+ */
+export function parseColour(css) {
+  const rgba = css.match(/^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)(?:[\s,/]+([\d.]+%?))?\s*\)$/i);
+  if (rgba) {
+    const [, r, g, b, a] = rgba;
+    const alpha =
+      a === undefined ? 1 : a.endsWith("%") ? parseFloat(a) / 100 : parseFloat(a);
+    return { colour: `rgb(${r}, ${g}, ${b})`, alpha };
+  }
+  const hex = css.match(/^#([0-9a-f]{8})$/i);
+  if (hex) {
+    return {
+      colour: `#${hex[1].slice(0, 6)}`,
+      alpha: parseInt(hex[1].slice(6), 16) / 255,
+    };
+  }
+  if (css === "transparent") return { colour: "none", alpha: 1 };
+  return { colour: css, alpha: 1 };
+}
+
+/**
+ * @param {string} tag
+ * @param {Record<string, string | undefined>} attrs
+ * @param {boolean} [selfClosing]
+ */
+function element(tag, attrs, selfClosing = true) {
+  const parts = Object.entries(attrs)
+    .filter(([, value]) => value !== undefined)
+    .map(([name, value]) => ` ${name}="${escapeXml(String(value))}"`);
+  return `<${tag}${parts.join("")}${selfClosing ? "/>" : ">"}`;
+}
+
+/** @param {string} text */
+function escapeXml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/** @param {number} value */
+function fmt(value) {
+  return String(Math.round(value * 100) / 100);
+}
+
+/**
+ * @param {string} text
+ * @param {string} font CSS font shorthand
+ */
+function estimateTextWidth(text, font) {
+  const size = Number(font.match(/([\d.]+)px/)?.[1] ?? 10);
+  return text.length * size * 0.6;
+}
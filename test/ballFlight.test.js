@@ -0,0 +1,51 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  PASS_TYPES,
+  REACH_HEIGHT,
+  ballTimeAt,
+  isPassType,
+  passArrivalTime,
+  passRange,
+  playableFrom,
+} from "../ballFlight.js";
+
+test("rolling passes slow down and stop", () => {
+  // Each extra 10 m takes longer than the last
+  const times = [10, 20, 30, 40].map((d) => passArrivalTime("ground", d));
+  for (let i = 1; i < times.length; i++) {
+    assert.ok(times[i] - times[i - 1] > (i > 1 ? times[i - 1] - times[i - 2] : times[0]));
+  }
+  // A 30 m ground pass takes a couple of seconds; driven ones are quicker
+  assert.ok(times[2] > 2 && times[2] < 3, String(times[2]));
+  assert.ok(passArrivalTime("driven", 30) < times[2]);
+
+  const range = passRange("ground");
+  assert.ok(range > 45 && range < 65, String(range));
+  assert.ok(Number.isFinite(passArrivalTime("ground", range - 0.5)));
+  assert.equal(passArrivalTime("ground", range + 0.5), Infinity);
+  assert.ok(passRange("driven") > range);
+});
+
+test("lofted passes fly at an even pace and come down near the target", () => {
+  const length = 40;
+  const flight = passArrivalTime("lofted", length);
+  assert.ok(Math.abs(ballTimeAt("lofted", length / 2, length) - flight / 2) < 1e-9);
+
+  // Playable only over the last few metres, once below reach height
+  const from = playableFrom("lofted", length);
+  assert.ok(from > length * 0.85 && from < length, String(from));
+  // Short chips never get above reach
+  assert.equal(playableFrom("lofted", 4), 0);
+  assert.equal(playableFrom("ground", length), 0);
+  assert.ok(REACH_HEIGHT > 2);
+
+  assert.equal(passArrivalTime("lofted", passRange("lofted") + 1), Infinity);
+  assert.equal(ballTimeAt("lofted", 0, 0), 0);
+});
+
+test("recognises pass types", () => {
+  assert.deepEqual(PASS_TYPES.filter(isPassType), PASS_TYPES);
+  assert.equal(isPassType("chip"), false);
+});
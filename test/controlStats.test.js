@@ -0,0 +1,72 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { ZONE_COLUMNS, computeControlStats, playerAreas } from "../controlStats.js";
+import { LOGICAL_HEIGHT, LOGICAL_WIDTH, METRES_PER_UNIT } from "../pitchModel.js";
+
+const COLS = 60;
+const ROWS = 36;
+
+const PENALTY_AREAS = {
+  blue: { left: 0, top: 138, right: 165, bottom: 542 },
+  red: { left: 885, top: 138, right: 1050, bottom: 542 },
+};
+
+/** Blue controls the left `fraction` of the pitch outright, red the rest. */
+function splitGrid(fraction) {
+  const control = new Float32Array(COLS * ROWS);
+  for (let oy = 0; oy < ROWS; oy++) {
+    for (let ox = 0; ox < COLS; ox++) {
+      control[oy * COLS + ox] = (ox + 0.5) / COLS < fraction ? 1 : 0;
+    }
+  }
+  return control;
+}
+
+test("splits control by third, lane, zone and penalty area", () => {
+  const stats = computeControlStats(splitGrid(0.5), COLS, ROWS, PENALTY_AREAS);
+
+  assert.equal(stats.blue, 0.5);
+  assert.deepEqual(stats.thirds, [1, 0.5, 0]);
+  assert.deepEqual(stats.lanes, [0.5, 0.5, 0.5, 0.5, 0.5]);
+  assert.equal(stats.zones.length, 18);
+  assert.deepEqual(stats.zones.slice(0, ZONE_COLUMNS), [1, 1, 1, 0, 0, 0]);
+  assert.deepEqual(stats.penaltyAreas, { blue: 1, red: 0 });
+});
+
+test("contested cells count half to each team", () => {
+  const control = new Float32Array(COLS * ROWS).fill(0.5);
+  const stats = computeControlStats(control, COLS, ROWS, PENALTY_AREAS);
+  assert.equal(stats.blue, 0.5);
+  assert.ok(stats.zones.every((share) => share === 0.5));
+});
+
+test("each player's area is the part of the pitch they reach first", () => {
+  const spot = (id, team, fx, fy) => ({
+    id,
+    team,
+    x: LOGICAL_WIDTH * fx,
+    y: LOGICAL_HEIGHT * fy,
+    vx: 0,
+    vy: 0,
+  });
+  const players = [
+    spot(1, "blue", 0.25, 0.25),
+    spot(2, "blue", 0.25, 0.75),
+    spot(3, "red", 0.75, 0.25),
+    spot(4, "red", 0.75, 0.75),
+  ];
+  const areas = playerAreas(players, COLS, ROWS, false, METRES_PER_UNIT);
+
+  // The whole 105 x 68 m pitch is shared out, a quarter each
+  const total = [...areas.values()].reduce((sum, a) => sum + a, 0);
+  assert.ok(Math.abs(total - 105 * 68) < 1e-6);
+  for (const area of areas.values()) {
+    assert.ok(Math.abs(area - (105 * 68) / 4) < 1e-6);
+  }
+
+  // Running players reach further ahead of them when velocity counts
+  const running = players.map((p) => (p.id === 1 ? { ...p, vx: 30 } : p));
+  const withRun = playerAreas(running, COLS, ROWS, true, METRES_PER_UNIT);
+  assert.ok((withRun.get(1) ?? 0) > (areas.get(1) ?? 0));
+});
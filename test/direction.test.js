@@ -0,0 +1,37 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { LOGICAL_WIDTH } from "../pitchModel.js";
+import { attackingSign, passGain, switchEnds } from "../direction.js";
+
+test("teams attack opposite goals, swapped after switching ends", () => {
+  assert.equal(attackingSign("blue", true), 1);
+  assert.equal(attackingSign("red", true), -1);
+  assert.equal(attackingSign("blue", false), -1);
+  assert.equal(attackingSign("red", false), 1);
+});
+
+test("measures pass gain towards the goal being attacked", () => {
+  assert.equal(passGain(300, 450, 1), 150);
+  assert.equal(passGain(300, 450, -1), -150);
+  assert.equal(passGain(600, 560, -1), 40);
+});
+
+test("switching ends mirrors players, velocities and the ball", () => {
+  const players = [
+    { id: 1, team: "blue", number: 1, name: "", role: "GK", x: 84, y: 300, vx: 18, vy: -4 },
+    { id: 2, team: "red", number: 9, name: "Kane", role: "FW", x: 600, y: 100, vx: -10, vy: 2 },
+  ];
+  const ball = { x: 500, y: 340 };
+  const switched = switchEnds(players, ball);
+
+  assert.deepEqual(switched.players[0], { ...players[0], x: LOGICAL_WIDTH - 84, vx: -18 });
+  assert.deepEqual(switched.players[1], { ...players[1], x: LOGICAL_WIDTH - 600, vx: 10 });
+  assert.deepEqual(switched.ball, { x: LOGICAL_WIDTH - 500, y: 340 });
+  // The originals are left alone
+  assert.equal(players[0].x, 84);
+
+  const back = switchEnds(switched.players, switched.ball);
+  assert.deepEqual(back.players, players);
+  assert.deepEqual(back.ball, ball);
+});
@@ -0,0 +1,86 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  DEFAULT_FORMATION,
+  FORMATIONS,
+  captureFormation,
+  findFormation,
+  formationRoles,
+  formationSpots,
+  formationsForTeamSize,
+  parseCustomFormations,
+} from "../formations.js";
+
+test("presets have the goalkeeper first and are named after their lines", () => {
+  const names = FORMATIONS.map((f) => f.name);
+  assert.equal(new Set(names).size, names.length);
+  for (const name of ["4-4-2", "4-3-3", "4-2-3-1", "3-5-2", "5-3-2", "4-1-4-1"]) {
+    assert.ok(findFormation(name), name);
+  }
+
+  for (const f of FORMATIONS) {
+    const [gk, ...outfield] = f.positions;
+    assert.ok(outfield.every((p) => p.x > gk.x), `${f.name} keeper is deepest`);
+    assert.ok(f.positions.every((p) => p.x >= 0 && p.x <= 1 && p.y >= 0 && p.y <= 1));
+
+    // The name describes the outfield lines back to front
+    const lines = new Map();
+    for (const p of outfield) lines.set(p.x, (lines.get(p.x) ?? 0) + 1);
+    const counts = [...lines.entries()].sort((a, b) => a[0] - b[0]).map(([, n]) => n);
+    assert.equal(counts.join("-"), f.name);
+  }
+  assert.equal(DEFAULT_FORMATION.name, "4-4-2");
+  assert.equal(DEFAULT_FORMATION.positions.length, 11);
+});
+
+test("offers the presets that fit a team's size", () => {
+  const sizes = (count) => new Set(formationsForTeamSize(count).map((f) => f.positions.length));
+
+  assert.deepEqual(sizes(11), new Set([11]));
+  // Down to ten men: still the eleven-a-side shapes
+  assert.deepEqual(sizes(10), new Set([11]));
+  assert.deepEqual(sizes(7), new Set([7]));
+  assert.deepEqual(sizes(6), new Set([7]));
+  assert.deepEqual(sizes(5), new Set([5]));
+  // An overload bigger than any preset gets the largest
+  assert.deepEqual(sizes(13), new Set([11]));
+  assert.ok(formationsForTeamSize(11).some((f) => f.name === "4-3-3"));
+});
+
+test("gives the back line defenders, the front line forwards and the rest midfield", () => {
+  const roles = (name) => {
+    const formation = findFormation(name);
+    assert.ok(formation);
+    return formationRoles(formation).join(" ");
+  };
+
+  assert.equal(roles("4-2-3-1"), "GK DF DF DF DF MF MF MF MF MF FW");
+  assert.equal(roles("1-2-1"), "GK DF MF MF FW");
+});
+
+test("mirrors red and captures shapes the blue way round", () => {
+  const formation = findFormation("4-3-3");
+  assert.ok(formation);
+  const red = formationSpots(formation, "red");
+  assert.equal(red[0].x, 1 - formation.positions[0].x);
+  assert.equal(red[0].y, formation.positions[0].y);
+
+  const captured = captureFormation("Mine", "red", red);
+  assert.deepEqual(captured, { name: "Mine", positions: formation.positions });
+});
+
+test("drops malformed saved formations", () => {
+  const good = { name: "Low block", positions: [{ x: 0.1, y: 0.5 }] };
+  assert.deepEqual(
+    parseCustomFormations([
+      good,
+      { name: "", positions: [{ x: 0.1, y: 0.5 }] },
+      { name: "Off pitch", positions: [{ x: 1.4, y: 0.5 }] },
+      { name: "Empty", positions: [] },
+      null,
+    ]),
+    [good]
+  );
+  assert.deepEqual(parseCustomFormations({ not: "a list" }), []);
+});
@@ -0,0 +1,180 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { createGifEncoder, quantize } from "../gifEncoder.js";
+
+/**
+ * Minimal GIF reader for the files the encoder writes: returns the frames'
+ * delays and decoded palette indices.
+ *
+ * @param {Uint8Array} bytes
+ */
+function readGif(bytes) {
+  let pos = 0;
+  const u8 = () => bytes[pos++];
+  const u16 = () => bytes[pos++] | (bytes[pos++] << 8);
+  const ascii = (n) => String.fromCharCode(...bytes.subarray(pos, (pos += n)));
+
+  assert.equal(ascii(6), "GIF89a");
+  const width = u16();
+  const height = u16();
+  pos += 3;
+
+  const frames = [];
+  let loops = false;
+  let delay = 0;
+  for (;;) {
+    const marker = u8();
+    if (marker === 0x3b) break;
+    if (marker === 0x21) {
+      const label = u8();
+      if (label === 0xf9) {
+        pos += 2;
+        delay = u16();
+        pos += 1;
+      } else {
+        pos += 1;
+        loops ||= ascii(11) === "NETSCAPE2.0";
+        while (u8()) pos = skipBlock(bytes, pos - 1);
+        continue;
+      }
+      assert.equal(u8(), 0);
+      continue;
+    }
+    assert.equal(marker, 0x2c);
+    pos += 8;
+    const packed = u8();
+    const palette = bytes.subarray(pos, (pos += 3 << ((packed & 7) + 1)));
+    const minCodeSize = u8();
+    const data = [];
+    for (let size = u8(); size; size = u8()) {
+      data.push(...bytes.subarray(pos, (pos += size)));
+    }
+    frames.push({ delay, palette, indices: lzwDecode(data, minCodeSize, width * height) });
+  }
+  return { width, height, loops, frames };
+}
+
+function skipBlock(bytes, pos) {
+  return pos + 1 + bytes[pos];
+}
+
+function lzwDecode(data, minCodeSize, pixelCount) {
+  const clear = 1 << minCodeSize;
+  const end = clear + 1;
+  let codeSize = minCodeSize + 1;
+  let dict = [];
+  const reset = () => {
+    dict = Array.from({ length: clear + 2 }, (_, i) => [i]);
+    codeSize = minCodeSize + 1;
+  };
+  reset();
+
+  const out = [];
+  let bit = 0;
+  let prev = null;
+  while (bit + codeSize <= data.length * 8) {
+    let code = 0;
+    for (let i = 0; i < codeSize; i++, bit++) {
+      code |= ((data[bit >> 3] >> (bit & 7)) & 1) << i;
+    }
+    if (code === clear) {
+      reset();
+      prev = null;
+      continue;
+    }
+    if (code === end) break;
+
+    let entry;
+    if (prev === null) {
+      entry = dict[code];
+    } else if (code < dict.length) {
+      entry = dict[code];
+      dict.push([...dict[prev], entry[0]]);
+    } else {
+      entry = [...dict[prev], dict[prev][0]];
+      dict.push(entry);
+    }
+    out.push(...entry);
+    prev = code;
+    if (dict.length === 1 << codeSize && codeSize < 12) codeSize++;
+  }
+  assert.equal(out.length, pixelCount);
+  return out;
+}
+
+function solid(width, height, [r, g, b]) {
+  const rgba = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < rgba.length; i += 4) {
+    rgba.set([r, g, b, 255], i);
+  }
+  return rgba;
+}
+
+test("writes a looping GIF whose frames decode back to their colours", () => {
+  const width = 5;
+  const height = 3;
+  const encoder = createGifEncoder(width, height);
+  encoder.addFrame(solid(width, height, [59, 130, 246]), 100);
+  const stripes = solid(width, height, [255, 0, 0]);
+  for (let x = 0; x < width; x += 2) stripes.set([255, 255, 255, 255], x * 4);
+  encoder.addFrame(stripes, 100);
+
+  const gif = readGif(encoder.finish());
+  assert.equal(gif.width, width);
+  assert.equal(gif.height, height);
+  assert.ok(gif.loops);
+  assert.equal(gif.frames.length, 2);
+
+  const colourAt = (frame, p) =>
+    Array.from(frame.palette.subarray(frame.indices[p] * 3, frame.indices[p] * 3 + 3));
+  assert.deepEqual(colourAt(gif.frames[0], 7), [60, 132, 244]);
+  assert.deepEqual(colourAt(gif.frames[1], 0), [252, 252, 252]);
+  assert.deepEqual(colourAt(gif.frames[1], 1), [252, 4, 4]);
+});
+
+test("carries delay rounding so the clip keeps its length", () => {
+  const encoder = createGifEncoder(1, 1, { loop: false });
+  for (let i = 0; i < 3; i++) encoder.addFrame(solid(1, 1, [0, 0, 0]), 1000 / 15);
+  const gif = readGif(encoder.finish());
+  assert.ok(!gif.loops);
+  assert.deepEqual(
+    gif.frames.map((f) => f.delay),
+    [7, 6, 7]
+  );
+});
+
+test("LZW survives dictionary resets on busy frames", () => {
+  const width = 160;
+  const height = 120;
+  const rgba = new Uint8ClampedArray(width * height * 4);
+  let seed = 1;
+  for (let i = 0; i < rgba.length; i++) {
+    seed = (seed * 1103515245 + 12345) >>> 0;
+    rgba[i] = seed >>> 24;
+  }
+  const { indices } = quantize(rgba);
+  const encoder = createGifEncoder(width, height);
+  encoder.addFrame(rgba, 40);
+  const [frame] = readGif(encoder.finish()).frames;
+  assert.deepEqual(frame.indices, Array.from(indices));
+});
+
+test("quantizes to at most 256 colours", () => {
+  const rgba = new Uint8ClampedArray(64 * 64 * 4);
+  for (let p = 0; p < 64 * 64; p++) {
+    rgba.set([(p % 64) * 4, Math.floor(p / 64) * 4, 128, 255], p * 4);
+  }
+  const { palette, indices } = quantize(rgba);
+  assert.equal(palette.length, 256 * 3);
+  assert.ok(Math.max(...indices) <= 255);
+
+  // Palette colours stay close to the pixels they replace
+  let worst = 0;
+  for (let p = 0; p < indices.length; p++) {
+    for (let c = 0; c < 3; c++) {
+      worst = Math.max(worst, Math.abs(palette[indices[p] * 3 + c] - rgba[p * 4 + c]));
+    }
+  }
+  assert.ok(worst <= 24, `worst channel error ${worst}`);
+});
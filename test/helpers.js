@@ -0,0 +1,23 @@
+// Fixtures shared by the tests.
+
+/**
+ * An outfield player standing on the board, numbered after its id.
+ *
+ * @param {number} id
+ * @param {"blue" | "red"} team
+ * @param {number} x
+ * @param {number} [y]
+ * @param {number} [vx]
+ * @param {number} [vy]
+ */
+export const player = (id, team, x, y = 340, vx = 0, vy = 0) => ({
+  id,
+  team,
+  number: id,
+  name: "",
+  role: /** @type {"GK" | "DF" | "MF" | "FW"} */ ("MF"),
+  x,
+  y,
+  vx,
+  vy,
+});
@@ -0,0 +1,56 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { LOGICAL_WIDTH } from "../pitchModel.js";
+import { offsideLimitX, offsideLineX, offsidePlayerIds } from "../offside.js";
+import { player } from "./helpers.js";
+
+// Blue defends the left-hand goal with a keeper at 50 and one defender at
+// 300, red the right-hand goal with a keeper at 1000 and a back two
+const board = [
+  player(8, "blue", 50),
+  player(1, "blue", 300),
+  player(2, "blue", 810),
+  player(3, "blue", 850),
+  player(4, "red", 1000),
+  player(5, "red", 820),
+  player(6, "red", 800),
+  player(7, "red", 400),
+];
+
+test("holds the line at the second-last defender", () => {
+  assert.equal(offsideLineX(board, "red", true), 820);
+  assert.equal(offsideLineX(board, "blue", true), 300);
+  // After switching ends red defends the left goal
+  assert.equal(offsideLineX(board, "red", false), 800);
+  // A lone defender leaves the goal line as the line
+  assert.equal(offsideLineX([player(1, "red", 900)], "red", true), LOGICAL_WIDTH);
+  assert.equal(offsideLineX([], "blue", true), 0);
+});
+
+test("never puts the limit in the attackers' own half", () => {
+  assert.equal(offsideLimitX(board, "red", true), 820);
+  assert.equal(offsideLimitX(board, "blue", true), 300);
+  // Red's back line at 800 is in blue's own half once ends are switched
+  assert.equal(offsideLimitX(board, "red", false), LOGICAL_WIDTH / 2);
+});
+
+test("flags attackers beyond both the ball and the line in the opposition half", () => {
+  const ball = { x: 500, y: 340 };
+  // Only blue 3 is beyond red's line at 820; red 7 is in its own half
+  assert.deepEqual([...offsidePlayerIds(board, ball, true)], [3]);
+
+  // Nobody is offside behind the ball
+  assert.deepEqual([...offsidePlayerIds(board, { x: 900, y: 340 }, true)], []);
+
+  // Level with the second-last defender is onside
+  const level = board.map((p) => (p.id === 3 ? { ...p, x: 820 } : p));
+  assert.deepEqual([...offsidePlayerIds(level, ball, true)], []);
+});
+
+test("follows the attacking direction", () => {
+  // With ends switched red attacks the right-hand goal, where blue's line
+  // is 2 at 810, and blue the left one, where red's is 6 at 800
+  const ids = offsidePlayerIds(board, { x: 500, y: 340 }, false);
+  assert.deepEqual([...ids], [8, 1, 4, 5]);
+});
@@ -0,0 +1,86 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { LOGICAL_WIDTH, METRES_PER_UNIT } from "../pitchModel.js";
+import { findPassOptions, passProbability, rankPassOptions } from "../passOptions.js";
+import { player } from "./helpers.js";
+
+const context = { passType: /** @type {const} */ ("ground"), metresPerUnit: METRES_PER_UNIT };
+const ball = { x: 400, y: 340 };
+const receiver = player(1, "blue", 600, 340);
+
+test("loses completion chance to opponents near the path and to distance", () => {
+  const open = passProbability(ball, receiver, receiver, [], false, context);
+  const marked = passProbability(ball, receiver, receiver, [player(9, "red", 500, 360)], false, context);
+  const far = player(2, "blue", 800, 340);
+  const long = passProbability(ball, far, far, [], false, context);
+
+  assert.ok(open > 0.9);
+  assert.ok(marked < open * 0.8);
+  assert.ok(long < open);
+  // Out of range along the ground
+  const distant = player(3, "blue", 1000, 340);
+  assert.equal(passProbability(ball, distant, distant, [], false, context), 0);
+});
+
+test("a lofted pass clears an opponent the ground pass runs into", () => {
+  const blocker = [player(9, "red", 480, 340)];
+  const ground = passProbability(ball, receiver, receiver, blocker, false, context);
+  const lofted = passProbability(ball, receiver, receiver, blocker, false, {
+    ...context,
+    passType: "lofted",
+  });
+  assert.ok(lofted > ground + 0.3);
+});
+
+test("passes slow down, drive past defenders and come down where they land", () => {
+  const target = player(2, "blue", 700, 340);
+  const chance = (passType, opponents, to = target, from = ball, metresPerUnit = METRES_PER_UNIT) =>
+    passProbability(from, to, to, opponents, false, { passType, metresPerUnit });
+
+  // A defender 5 m off the line has longer to get across to a ground pass
+  const nearLine = [player(3, "red", 550, 390)];
+  assert.ok(chance("driven", nearLine) > chance("ground", nearLine));
+  // One standing where a lofted pass comes down wins it
+  const underIt = [player(5, "red", 680, 350)];
+  assert.ok(chance("lofted", underIt) < chance("lofted", []) * 0.5);
+
+  // 70 m: out of range on the ground, not driven; on a 55 m pitch it is
+  // only 37 m long
+  const far = player(6, "blue", 1000, 340);
+  const from = { x: 300, y: 340 };
+  assert.equal(chance("ground", [], far, from), 0);
+  assert.ok(chance("driven", [], far, from) > 0);
+  assert.ok(chance("ground", [], far, from, 55 / LOGICAL_WIDTH) > 0);
+});
+
+test("a pass into space waits for the receiver unless an opponent gets there first", () => {
+  const runner = player(1, "blue", 600, 500);
+  const space = { x: 700, y: 400 };
+  const open = passProbability(ball, space, runner, [], true, context);
+  const chased = passProbability(ball, space, runner, [player(9, "red", 650, 340)], true, context);
+
+  assert.ok(open > 0.8);
+  assert.ok(chased < 0.05);
+});
+
+test("offers passes into space to whoever gets there first and ranks by value", () => {
+  const near = player(1, "blue", 600, 200);
+  const options = findPassOptions(ball, [near, receiver], [], context);
+  const intoSpace = options.filter((o) => o.intoSpace);
+
+  assert.equal(options.filter((o) => !o.intoSpace).length, 2);
+  assert.ok(intoSpace.length > 0);
+  for (const o of intoSpace) {
+    const expected = Math.abs(o.y - near.y) < Math.abs(o.y - receiver.y) ? near : receiver;
+    assert.equal(o.receiver, expected);
+  }
+
+  // Valuing distance upfield above all: the best passes go into space ahead,
+  // one per receiver
+  const ranked = rankPassOptions(options, (o) => o.probability * (o.x - ball.x) ** 2, 3);
+  assert.equal(ranked.length, 3);
+  assert.ok(ranked[0].intoSpace && ranked[0].x > 600);
+  const spaceIds = ranked.filter((o) => o.intoSpace).map((o) => o.receiver.id);
+  assert.equal(new Set(spaceIds).size, spaceIds.length);
+});
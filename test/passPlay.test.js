@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { METRES_PER_UNIT } from "../pitchModel.js";
+import { passRange } from "../ballFlight.js";
+import { PASS_FRAME_INTERVAL, playPass } from "../passPlay.js";
+import { player } from "./helpers.js";
+
+const ball = { x: 500, y: 340 };
+const passer = player(1, "blue", 490, 340);
+const receiver = player(2, "blue", 700, 340);
+const marker = player(3, "red", 600, 520);
+
+test("the receiver meets the pass and the frames run from the kick", () => {
+  const play = playPass([passer, receiver, marker], ball, passer, receiver, "ground", METRES_PER_UNIT);
+
+  assert.equal(play.winner, receiver);
+  assert.equal(play.intercepted, false);
+  assert.equal(play.frames[0].t, 0);
+  assert.deepEqual(play.frames[0].ball, ball);
+  assert.ok(play.frames.every((f, i) => i === 0 || f.t - play.frames[i - 1].t <= PASS_FRAME_INTERVAL + 1e-9));
+
+  // The receiver ends up within a stride of the ball; the marker is too
+  // far away to bother running
+  const last = play.frames[play.frames.length - 1];
+  assert.deepEqual(last.ball, play.point);
+  const end = last.players.find((p) => p.id === receiver.id);
+  const gap = Math.hypot((end?.x ?? 0) - play.point.x, (end?.y ?? 0) - play.point.y);
+  assert.ok(gap * METRES_PER_UNIT <= 1 + 1e-9);
+  assert.deepEqual(last.players.find((p) => p.id === marker.id), {
+    id: 3,
+    team: "red",
+    x: 600,
+    y: 520,
+    vx: 0,
+    vy: 0,
+  });
+});
+
+test("an opponent in the lane intercepts a ground pass but not a lofted one", () => {
+  const blocker = player(4, "red", 580, 345);
+  const board = [passer, receiver, blocker];
+
+  const ground = playPass(board, ball, passer, receiver, "ground", METRES_PER_UNIT);
+  assert.equal(ground.winner, blocker);
+  assert.equal(ground.intercepted, true);
+  assert.ok(ground.point.x < 600);
+
+  const lofted = playPass(board, ball, passer, receiver, "lofted", METRES_PER_UNIT);
+  assert.equal(lofted.winner, receiver);
+  assert.equal(lofted.intercepted, false);
+});
+
+test("a pass out of range falls short", () => {
+  const runner = player(2, "blue", 1000, 340);
+  const play = playPass([passer, runner], ball, passer, { x: 1100, y: 340 }, "ground", METRES_PER_UNIT);
+  const travelled = (play.point.x - ball.x) * METRES_PER_UNIT;
+  assert.ok(travelled < passRange("ground"));
+  assert.equal(play.winner, runner);
+});
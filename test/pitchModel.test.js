@@ -0,0 +1,263 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  LOGICAL_WIDTH,
+  LOGICAL_HEIGHT,
+  DEFAULT_ATTRIBUTES,
+  arrivalCostSquared,
+  blueControlProbability,
+  canCompletePass,
+  canPassOnGround,
+  computeControlGrid,
+  createInitialPlayers,
+  findBallController,
+  findNearestPlayer,
+  timeToIntercept,
+} from "../pitchModel.js";
+import { player } from "./helpers.js";
+
+const COLS = 42;
+const ROWS = 28;
+
+function grid(state) {
+  const control = new Float32Array(COLS * ROWS);
+  const pixels = new Uint8ClampedArray(COLS * ROWS * 4);
+  computeControlGrid(state, COLS, ROWS, control, pixels);
+  return { control, pixels };
+}
+
+function baseState(players, overrides = {}) {
+  return {
+    players,
+    ball: { x: LOGICAL_WIDTH / 2, y: LOGICAL_HEIGHT / 2 },
+    arrowsEnabled: true,
+    ballModeEnabled: false,
+    probabilisticEnabled: false,
+    ...overrides,
+  };
+}
+
+function blueShare(control) {
+  let blue = 0;
+  for (const v of control) if (v > 0.5) blue++;
+  return blue / control.length;
+}
+
+function redShare(control) {
+  let red = 0;
+  for (const v of control) if (v < 0.5) red++;
+  return red / control.length;
+}
+
+test("initial formations are mirrored 11 vs 11", () => {
+  const players = createInitialPlayers();
+  const blue = players.filter((p) => p.team === "blue");
+  const red = players.filter((p) => p.team === "red");
+
+  assert.equal(blue.length, 11);
+  assert.equal(red.length, 11);
+  assert.equal(new Set(players.map((p) => p.id)).size, 22);
+
+  blue.forEach((b, i) => {
+    assert.ok(Math.abs(b.x - (LOGICAL_WIDTH - red[i].x)) < 1e-9);
+    assert.equal(b.y, red[i].y);
+    assert.equal(b.vx, -red[i].vx);
+  });
+});
+
+for (const probabilisticEnabled of [false, true]) {
+  const model = probabilisticEnabled ? "probabilistic" : "distance";
+
+  test(`symmetric formations split the pitch evenly (${model} model)`, () => {
+    const state = baseState(createInitialPlayers(), { probabilisticEnabled });
+    const { control } = grid(state);
+
+    for (let oy = 0; oy < ROWS; oy++) {
+      for (let ox = 0; ox < COLS; ox++) {
+        const v = control[oy * COLS + ox];
+        const mirrored = control[oy * COLS + (COLS - 1 - ox)];
+        assert.ok(Math.abs(v - (1 - mirrored)) < 1e-4, `cell ${ox},${oy}`);
+      }
+    }
+    assert.equal(blueShare(control), redShare(control));
+  });
+}
+
+test("control grid writes one RGBA pixel per cell", () => {
+  const { pixels } = grid(baseState(createInitialPlayers()));
+  // Left edge is blue's half, right edge red's.
+  assert.deepEqual(Array.from(pixels.slice(0, 3)), [59, 130, 246]);
+  assert.deepEqual(Array.from(pixels.slice(-4, -1)), [255, 0, 0]);
+  assert.ok(pixels[3] > 0);
+});
+
+test("a lone team controls the whole pitch", () => {
+  const { control } = grid(baseState([player(1, "red", 100, 100)]));
+  assert.ok(control.every((v) => v === 0));
+});
+
+test("moving toward a point lowers arrival cost and time", () => {
+  const still = player(1, "blue", 500, 340);
+  const toward = player(1, "blue", 500, 340, 30, 0);
+  const away = player(1, "blue", 500, 340, -30, 0);
+
+  assert.ok(arrivalCostSquared(toward, 700, 340) < arrivalCostSquared(still, 700, 340));
+  assert.ok(arrivalCostSquared(away, 700, 340) > arrivalCostSquared(still, 700, 340));
+
+  assert.ok(timeToIntercept(toward, 700, 340, true) < timeToIntercept(still, 700, 340, true));
+  assert.ok(timeToIntercept(away, 700, 340, true) > timeToIntercept(still, 700, 340, true));
+  // Velocity is ignored when the model is told not to use it
+  assert.equal(
+    timeToIntercept(toward, 700, 340, false),
+    timeToIntercept(still, 700, 340, false)
+  );
+});
+
+test("velocity shifts the control boundary in the direction of the run", () => {
+  const players = [
+    player(1, "blue", 400, 340, 30, 0),
+    player(2, "red", 650, 340, 0, 0),
+  ];
+  for (const probabilisticEnabled of [false, true]) {
+    const running = blueShare(grid(baseState(players, { probabilisticEnabled })).control);
+    const standing = blueShare(
+      grid(baseState(players, { probabilisticEnabled, arrowsEnabled: false })).control
+    );
+    assert.ok(running > standing, `probabilistic=${probabilisticEnabled}`);
+  }
+});
+
+test("quicker players control more space in both models", () => {
+  const winger = { ...player(1, "blue", 400, 340), maxSpeed: 8, acceleration: 9, reactionTime: 0.4 };
+  const centreBack = { ...player(2, "red", 650, 340), maxSpeed: 4, reactionTime: 0.9 };
+  const typical = [player(1, "blue", 400, 340), player(2, "red", 650, 340)];
+
+  for (const probabilisticEnabled of [false, true]) {
+    const even = blueShare(grid(baseState(typical, { probabilisticEnabled })).control);
+    const mismatch = blueShare(
+      grid(baseState([winger, centreBack], { probabilisticEnabled })).control
+    );
+    assert.ok(mismatch > even + 0.05, `probabilistic=${probabilisticEnabled}`);
+  }
+
+  // Spelling out the defaults changes nothing
+  const explicit = { ...player(1, "blue", 400, 340), ...DEFAULT_ATTRIBUTES };
+  assert.equal(arrivalCostSquared(explicit, 700, 340), arrivalCostSquared(typical[0], 700, 340));
+  assert.equal(timeToIntercept(explicit, 700, 340, true), timeToIntercept(typical[0], 700, 340, true));
+});
+
+test("control probability favours the earlier team", () => {
+  assert.equal(blueControlProbability([2], [2], 0), 0.5);
+  assert.ok(blueControlProbability([2], [2.5], 0) > 0.5);
+  assert.equal(blueControlProbability([1], [8], 0), 1);
+  assert.equal(blueControlProbability([], [3], 0), 0);
+  // When both arrive well before the ball, numbers decide it
+  assert.ok(blueControlProbability([1, 1, 1], [1], 5) > 0.7);
+});
+
+test("ground passes are intercepted by opponents near the line", () => {
+  const target = player(2, "blue", 700, 340);
+
+  const onLine = player(3, "red", 550, 345);
+  assert.equal(canPassOnGround(400, 340, target, [onLine]), false);
+
+  const farAway = player(4, "red", 550, 650);
+  assert.equal(canPassOnGround(400, 340, target, [farAway]), true);
+
+  // Running toward the line makes the same opponent a threat
+  const closingIn = player(5, "red", 550, 390, 0, -35);
+  const drifting = player(5, "red", 550, 390, 0, 35);
+  assert.equal(canPassOnGround(400, 340, target, [drifting]), true);
+  assert.equal(canPassOnGround(400, 340, target, [closingIn]), false);
+
+  // A quicker opponent standing 4 m off the line gets there in time
+  const quick = { ...player(6, "red", 550, 380), maxSpeed: 6, acceleration: 8, reactionTime: 0.5 };
+  assert.equal(canPassOnGround(400, 340, target, [{ ...quick, ...DEFAULT_ATTRIBUTES }]), true);
+  assert.equal(canPassOnGround(400, 340, target, [quick]), false);
+
+  assert.equal(canPassOnGround(400, 340, target, []), true);
+  assert.equal(canPassOnGround(700, 340, target, []), false);
+});
+
+test("passes slow down, and lofted ones fly over opponents", () => {
+  // 30 m square pass along the halfway line
+  const target = player(2, "blue", 700, 340);
+  assert.equal(canCompletePass(400, 340, target, [], "ground"), true);
+
+  // A defender 2 m off the line cuts out a ground pass but not a driven one
+  const nearLine = player(3, "red", 550, 360);
+  assert.equal(canCompletePass(400, 340, target, [nearLine], "ground"), false);
+  assert.equal(canCompletePass(400, 340, target, [nearLine], "driven"), true);
+
+  // Standing right in the way only stops passes along the ground
+  const inTheWay = player(4, "red", 550, 340);
+  assert.equal(canCompletePass(400, 340, target, [inTheWay], "driven"), false);
+  assert.equal(canCompletePass(400, 340, target, [inTheWay], "lofted"), true);
+  // ...unless they stand where a lofted pass comes down
+  const underIt = player(5, "red", 680, 350);
+  assert.equal(canCompletePass(400, 340, target, [underIt], "lofted"), false);
+
+  // 57 m: out of range on the ground, within range in the air or driven
+  const far = player(6, "blue", 870, 340);
+  assert.equal(canCompletePass(300, 340, far, [], "ground"), false);
+  assert.equal(canCompletePass(300, 340, far, [], "driven"), true);
+  assert.equal(canCompletePass(300, 340, far, [], "lofted"), true);
+  // The same pass on a 55 m pitch is only 30 m long
+  assert.equal(canCompletePass(300, 340, far, [], "ground", 55 / LOGICAL_WIDTH), true);
+});
+
+test("pass types limit and shape the ball-mode control map", () => {
+  const players = [player(1, "blue", 300, 340), player(2, "red", 750, 340)];
+  const ballState = (passType) =>
+    baseState(players, { ballModeEnabled: true, ball: { x: 80, y: 340 }, passType });
+
+  // Cells beyond a ground pass's range are left uncoloured and even
+  const ground = grid(ballState("ground"));
+  // 76 m from the ball, near the red player
+  const farCell = Math.floor(ROWS / 2) * COLS + 33;
+  assert.equal(ground.control[farCell], 0.5);
+  assert.equal(ground.pixels[farCell * 4 + 3], 0);
+  const nearCell = Math.floor(ROWS / 2) * COLS + 12;
+  assert.equal(ground.control[nearCell], 1);
+
+  // A driven pass reaches the far end, where red gets there first
+  assert.equal(grid(ballState("driven")).control[farCell], 0);
+
+  // The probabilistic model leaves the same cells out
+  const prob = grid({ ...ballState("ground"), probabilisticEnabled: true });
+  assert.equal(prob.pixels[farCell * 4 + 3], 0);
+  assert.ok(prob.control[nearCell] > 0.5);
+});
+
+test("nearest player lookup", () => {
+  const players = createInitialPlayers();
+  const gk = findNearestPlayer(players, 0, LOGICAL_HEIGHT / 2);
+  assert.equal(gk?.team, "blue");
+  assert.equal(gk?.id, 1);
+  assert.equal(findNearestPlayer([], 10, 10), null);
+});
+
+test("ball control goes to the only team in reach, or a keeper using their hands", () => {
+  const rules = {
+    reach: 20,
+    handsReach: 50,
+    penaltyAreas: {
+      blue: { left: 0, top: 140, right: 165, bottom: 540 },
+      red: { left: 885, top: 140, right: 1050, bottom: 540 },
+    },
+  };
+  const keeper = { ...player(1, "blue", 40, 340), role: "GK" };
+  const striker = { ...player(2, "red", 100, 340), role: "FW" };
+  const defender = { ...player(3, "blue", 110, 350), role: "DF" };
+
+  assert.equal(findBallController([keeper, striker], { x: 85, y: 340 }, rules)?.player, keeper);
+  assert.equal(findBallController([keeper, striker], { x: 200, y: 340 }, rules), null);
+  assert.equal(findBallController([striker], { x: 105, y: 340 }, rules)?.team, "red");
+  assert.equal(findBallController([striker, defender], { x: 105, y: 345 }, rules), null);
+
+  // Outside their own box a keeper is just another player
+  const sweeper = { ...keeper, x: 200 };
+  const runner = { ...striker, x: 235 };
+  assert.equal(findBallController([sweeper, runner], { x: 218, y: 340 }, rules), null);
+});
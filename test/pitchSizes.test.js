@@ -0,0 +1,41 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { findFormation } from "../formations.js";
+import { METRES_PER_UNIT, timeToIntercept } from "../pitchModel.js";
+import {
+  DEFAULT_PITCH_SIZE,
+  PITCH_SIZES,
+  findPitchSize,
+  metresPerUnit,
+  pitchWidthMetres,
+} from "../pitchSizes.js";
+
+test("sizes shrink with the team size and keep full-size proportions", () => {
+  assert.equal(DEFAULT_PITCH_SIZE.key, "11v11");
+  assert.equal(metresPerUnit(DEFAULT_PITCH_SIZE), METRES_PER_UNIT);
+  assert.ok(Math.abs(pitchWidthMetres(DEFAULT_PITCH_SIZE) - 68) < 1e-9);
+
+  for (let i = 1; i < PITCH_SIZES.length; i++) {
+    assert.ok(PITCH_SIZES[i].length < PITCH_SIZES[i - 1].length);
+    assert.ok(PITCH_SIZES[i].teamSize < PITCH_SIZES[i - 1].teamSize);
+  }
+  for (const size of PITCH_SIZES) {
+    assert.equal(findPitchSize(size.key), size);
+    // Every preset starts in a formation with one spot per player
+    assert.equal(findFormation(size.formation)?.positions.length, size.teamSize, size.key);
+    // Markings fit on the pitch
+    const { penaltyAreaDepth, penaltyAreaWidth, centreCircle } = size.markings;
+    assert.ok(penaltyAreaWidth < pitchWidthMetres(size), size.key);
+    assert.ok(penaltyAreaDepth + centreCircle < size.length / 2, size.key);
+  }
+  assert.equal(findPitchSize("3v3"), undefined);
+});
+
+test("the same board distances take less time to cover on a smaller pitch", () => {
+  const still = { id: 1, team: "blue", x: 300, y: 340, vx: 0, vy: 0 };
+  const fiveASide = findPitchSize("5v5");
+  assert.ok(fiveASide);
+  const small = metresPerUnit(fiveASide);
+  assert.ok(timeToIntercept(still, 700, 340, false, small) < timeToIntercept(still, 700, 340, false));
+});
@@ -0,0 +1,71 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { ballPossession, possessionEvents, possessionShares } from "../possession.js";
+import { player } from "./helpers.js";
+
+const farArea = { left: -100, top: -100, right: -50, bottom: -50 };
+const rules = { reach: 30, handsReach: 50, penaltyAreas: { blue: farArea, red: farArea } };
+
+const blue = player(1, "blue", 400);
+const red = player(2, "red", 460);
+
+test("tells a carrier from a contested and a loose ball", () => {
+  assert.deepEqual(ballPossession([blue, red], { x: 405, y: 340 }, rules), {
+    carrier: blue,
+    contested: false,
+  });
+  assert.deepEqual(ballPossession([blue, red], { x: 430, y: 340 }, rules), {
+    carrier: null,
+    contested: true,
+  });
+  assert.deepEqual(ballPossession([blue, red], { x: 600, y: 340 }, rules), {
+    carrier: null,
+    contested: false,
+  });
+});
+
+test("logs changes of possession over a clip and shares the time", () => {
+  const frame = (/** @type {number} */ t, /** @type {number} */ ballX) => ({
+    t,
+    players: [blue, red].map(({ id, team, x, y, vx, vy }) => ({ id, team, x, y, vx, vy })),
+    ball: { x: ballX, y: 340 },
+  });
+  // Loose, then blue, a contested and a loose spell, red, and blue again
+  const frames = [
+    frame(0, 600),
+    frame(1000, 400),
+    frame(2000, 430),
+    frame(3000, 600),
+    frame(4000, 460),
+    frame(6000, 400),
+    frame(7000, 400),
+  ];
+  const events = possessionEvents(frames, rules, new Map());
+  assert.deepEqual(events, [
+    { t: 1000, team: "blue", playerId: 1 },
+    { t: 4000, team: "red", playerId: 2 },
+    { t: 6000, team: "blue", playerId: 1 },
+  ]);
+
+  assert.deepEqual(possessionShares(events, 7000), { blue: 4 / 6, red: 2 / 6 });
+  // Part way through: blue had it for 3 s, red for 1 s
+  assert.deepEqual(possessionShares(events, 5000), { blue: 0.75, red: 0.25 });
+  assert.equal(possessionShares(events, 500), null);
+});
+
+test("a goalkeeper claims the ball with their hands, named by role", () => {
+  const box = { left: 350, top: 300, right: 500, bottom: 380 };
+  const keeperRules = { ...rules, penaltyAreas: { blue: farArea, red: box } };
+  // Out of reach of the ball at their feet, but not of their hands
+  const keeper = player(3, "red", 450);
+  const frames = [
+    {
+      t: 0,
+      players: [blue, keeper].map(({ id, team, x, y, vx, vy }) => ({ id, team, x, y, vx, vy })),
+      ball: { x: 410, y: 340 },
+    },
+  ];
+  assert.equal(possessionEvents(frames, keeperRules, new Map())[0].team, "blue");
+  assert.equal(possessionEvents(frames, keeperRules, new Map([[3, "GK"]]))[0].team, "red");
+});
@@ -0,0 +1,39 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { bestReceptionSpots, receptionPixels, receptionValues } from "../reception.js";
+
+// A 4 x 2 control grid: blue wins the left half, red the right half, and
+// the bottom-right cell is split evenly
+const control = Float32Array.from([0.9, 0.8, 0.2, 0.1, 0.9, 0.8, 0.3, 0.5]);
+// One row of zone values, rising towards the right-hand goal
+const grid = { name: "Test", values: [[1, 2, 3, 4]] };
+
+test("values the cells the team in possession would win", () => {
+  const blue = Array.from(receptionValues(control, 4, 2, "blue", grid, true));
+  assert.deepEqual(blue.map((v) => Math.round(v * 100) / 100), [0.9, 1.6, 0, 0, 0.9, 1.6, 0, 0]);
+
+  // Red attacks left, so the zone values are mirrored for it, and an
+  // even split is not a win
+  const red = Array.from(receptionValues(control, 4, 2, "red", grid, true));
+  assert.deepEqual(red.map((v) => Math.round(v * 100) / 100), [0, 0, 1.6, 0.9, 0, 0, 1.4, 0]);
+});
+
+test("picks the most valuable spaces apart from each other", () => {
+  const values = Float32Array.from([5, 4, 0, 1, 0, 0, 0, 3]);
+  assert.deepEqual(
+    bestReceptionSpots(values, 4, 2, 3, 0).map((s) => s.value),
+    [5, 4, 3]
+  );
+  // The 4 is within two cells of the 5 and the 1 next to the 3
+  assert.deepEqual(bestReceptionSpots(values, 4, 2, 3, 2), [
+    { fx: 0.125, fy: 0.25, value: 5 },
+    { fx: 0.875, fy: 0.75, value: 3 },
+  ]);
+});
+
+test("veils the cells where the pass would be lost", () => {
+  const pixels = receptionPixels(control, 4, 2, "blue");
+  const alphas = Array.from({ length: 8 }, (_, cell) => pixels[cell * 4 + 3]);
+  assert.deepEqual(alphas.map((a) => a > 0), [false, false, true, true, false, false, true, true]);
+});
@@ -0,0 +1,107 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { LOGICAL_WIDTH } from "../pitchModel.js";
+import {
+  RECORDING_FORMAT,
+  RecordingFileError,
+  parseRecording,
+  serializeRecording,
+} from "../recordingFile.js";
+
+const flags = {
+  arrowsEnabled: true,
+  ballModeEnabled: true,
+  passLinesEnabled: false,
+  probabilisticEnabled: true,
+};
+
+const recording = {
+  frames: [
+    {
+      t: 0,
+      players: [{ id: 1, x: 100, y: 200, vx: 10, vy: 0 }],
+      ball: { x: 525, y: 340 },
+    },
+    {
+      t: 16.7,
+      players: [{ id: 1, x: 101, y: 200, vx: 10, vy: -2 }],
+      ball: { x: 530, y: 340 },
+    },
+  ],
+  flags,
+  teamNames: { blue: "Home", red: "Away" },
+};
+
+test("round-trips frames, flags and team names", () => {
+  const text = serializeRecording(recording);
+  const doc = JSON.parse(text);
+  assert.equal(doc.format, RECORDING_FORMAT);
+  assert.equal(doc.version, 1);
+  assert.deepEqual(parseRecording(text), recording);
+});
+
+test("keeps player teams, small-sided pitch sizes, direction and pass type", () => {
+  const smallSided = {
+    ...recording,
+    frames: recording.frames.map((frame) => ({
+      ...frame,
+      players: frame.players.map((p) => ({ ...p, team: "red" })),
+    })),
+    pitchSize: "5v5",
+    blueAttacksRight: false,
+    passType: "lofted",
+  };
+  assert.deepEqual(parseRecording(serializeRecording(smallSided)), smallSided);
+
+  const doc = JSON.parse(serializeRecording(smallSided));
+  doc.frames[0].players[0].team = "green";
+  assert.throws(() => parseRecording(JSON.stringify(doc)), /players\[0\]\.team/);
+  doc.frames[0].players[0].team = "red";
+  doc.pitch.size = "3v3";
+  assert.throws(() => parseRecording(JSON.stringify(doc)), /pitch\.size must be one of 11v11/);
+  doc.pitch.size = "5v5";
+  doc.pitch.blueAttacksRight = "left";
+  assert.throws(() => parseRecording(JSON.stringify(doc)), /pitch\.blueAttacksRight/);
+  doc.pitch.blueAttacksRight = false;
+  doc.passType = "chip";
+  assert.throws(() => parseRecording(JSON.stringify(doc)), /passType must be one of ground/);
+});
+
+test("rescales clips recorded on a different pitch size", () => {
+  const doc = JSON.parse(serializeRecording(recording));
+  doc.pitch.width = LOGICAL_WIDTH / 2;
+  const { frames } = parseRecording(JSON.stringify(doc));
+  assert.equal(frames[0].players[0].x, 200);
+  assert.equal(frames[0].players[0].vx, 20);
+  assert.equal(frames[0].ball.x, 1050);
+});
+
+test("rejects documents that fail validation", () => {
+  const valid = JSON.parse(serializeRecording(recording));
+  const cases = [
+    ["{", /not valid JSON/],
+    [JSON.stringify({ format: "something-else" }), /not a pitch-control recording/],
+    [JSON.stringify({ ...valid, version: 99 }), /version 99/],
+    [JSON.stringify({ ...valid, frames: [] }), /frames must be a non-empty list/],
+    [
+      JSON.stringify({ ...valid, flags: { ...valid.flags, ballModeEnabled: "yes" } }),
+      /flags\.ballModeEnabled/,
+    ],
+  ];
+
+  const badPlayer = structuredClone(valid);
+  badPlayer.frames[1].players[0].x = "left wing";
+  cases.push([JSON.stringify(badPlayer), /frames\[1\]\.players\[0\]\.x must be a number/]);
+
+  const backwards = structuredClone(valid);
+  backwards.frames[1].t = -1;
+  cases.push([JSON.stringify(backwards), /frames\[1\]\.t goes back in time/]);
+
+  for (const [text, message] of cases) {
+    assert.throws(
+      () => parseRecording(text),
+      (err) => err instanceof RecordingFileError && message.test(err.message)
+    );
+  }
+});
@@ -0,0 +1,67 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { createReplayClip, frameIndexAt, sampleClip } from "../replay.js";
+
+function frame(t, x, ballX = x) {
+  return {
+    t,
+    players: [
+      { id: 1, x, y: 100, vx: x / 10, vy: 0 },
+      { id: 2, x: 500, y: 200, vx: 0, vy: 0 },
+    ],
+    ball: { x: ballX, y: 340 },
+  };
+}
+
+const frames = [frame(0, 0), frame(100, 100), frame(300, 500), frame(400, 500)];
+
+test("finds the last frame at or before a time", () => {
+  assert.equal(frameIndexAt(frames, -5), 0);
+  assert.equal(frameIndexAt(frames, 0), 0);
+  assert.equal(frameIndexAt(frames, 99), 0);
+  assert.equal(frameIndexAt(frames, 100), 1);
+  assert.equal(frameIndexAt(frames, 299.9), 1);
+  assert.equal(frameIndexAt(frames, 1000), 3);
+  assert.equal(frameIndexAt([], 10), 0);
+});
+
+test("indexes players into fixed slots", () => {
+  const clip = createReplayClip(frames);
+  assert.deepEqual(clip.ids, [1, 2]);
+  assert.equal(clip.states.length, frames.length * 2 * 4);
+  assert.deepEqual([...clip.states.slice(8, 12)], [100, 100, 10, 0]);
+  assert.deepEqual([...clip.ball.slice(4, 6)], [500, 340]);
+});
+
+test("interpolates between the bracketing frames", () => {
+  const clip = createReplayClip(frames);
+  const mid = sampleClip(clip, 200);
+  assert.deepEqual([...mid.states.slice(0, 4)], [300, 100, 30, 0]);
+  assert.equal(mid.states[4], 500);
+  assert.equal(mid.ball.x, 300);
+
+  // Exact frame times and times outside the clip give the recorded values
+  assert.equal(sampleClip(clip, 100).states[0], 100);
+  assert.equal(sampleClip(clip, -20).states[0], 0);
+  assert.equal(sampleClip(clip, 900).ball.x, 500);
+});
+
+test("players missing from a frame are held or absent", () => {
+  const late = { id: 3, team: "red", x: 700, y: 300, vx: 0, vy: 0 };
+  const clip = createReplayClip([
+    frame(0, 0),
+    { ...frame(100, 100), players: [frame(100, 100).players[0], late] },
+  ]);
+  assert.deepEqual(clip.ids, [1, 2, 3]);
+  // Older clips don't record teams
+  assert.deepEqual(clip.teams, [null, null, "red"]);
+
+  const mid = sampleClip(clip, 50);
+  assert.equal(mid.states[0], 50);
+  // Player 2 left: keeps the earlier frame's values
+  assert.deepEqual([...mid.states.slice(4, 8)], [500, 200, 0, 0]);
+  // Player 3 only appears in the later frame
+  assert.ok(Number.isNaN(mid.states[8]));
+  assert.equal(sampleClip(clip, 100).states[8], 700);
+});
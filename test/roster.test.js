@@ -0,0 +1,46 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  captureRoster,
+  nextShirtNumber,
+  parseSavedRosters,
+  roleForDepth,
+} from "../roster.js";
+
+test("hands out the lowest free shirt number", () => {
+  assert.equal(nextShirtNumber([]), 1);
+  assert.equal(nextShirtNumber([{ number: 1 }, { number: 3 }, { number: 2 }]), 4);
+  assert.equal(nextShirtNumber([{ number: 1 }, { number: 9 }]), 2);
+});
+
+test("outfield roles follow the third a player stands in", () => {
+  assert.deepEqual([0.1, 0.4, 0.7].map(roleForDepth), ["DF", "MF", "FW"]);
+});
+
+test("captures rosters and drops malformed saved ones", () => {
+  const roster = captureRoster("Saturday", [
+    { id: 1, team: "blue", x: 0, y: 0, vx: 0, vy: 0, number: 1, name: "Kim", role: "GK" },
+    { id: 2, team: "blue", x: 0, y: 0, vx: 0, vy: 0, number: 10, name: "", role: "MF" },
+  ]);
+  assert.deepEqual(roster, {
+    name: "Saturday",
+    entries: [
+      { number: 1, name: "Kim", role: "GK" },
+      { number: 10, name: "", role: "MF" },
+    ],
+  });
+
+  assert.deepEqual(
+    parseSavedRosters([
+      roster,
+      { name: "", entries: roster.entries },
+      { name: "No players", entries: [] },
+      { name: "Bad number", entries: [{ number: 100, name: "", role: "DF" }] },
+      { name: "Bad role", entries: [{ number: 4, name: "", role: "SW" }] },
+      null,
+    ]),
+    [roster]
+  );
+  assert.deepEqual(parseSavedRosters("nope"), []);
+});
@@ -0,0 +1,171 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { LOGICAL_WIDTH, LOGICAL_HEIGHT, createInitialPlayers } from "../pitchModel.js";
+import { decodeScenario, encodeScenario } from "../scenarioUrl.js";
+import { switchEnds } from "../direction.js";
+
+const pitch = { width: LOGICAL_WIDTH, height: LOGICAL_HEIGHT };
+const flags = {
+  arrowsEnabled: true,
+  ballModeEnabled: true,
+  passLinesEnabled: false,
+  probabilisticEnabled: true,
+};
+
+test("round-trips the board through the hash", () => {
+  const players = createInitialPlayers();
+  const ball = { x: 525, y: 340 };
+  const hash = encodeScenario({ players, ball, flags, pitchSize: "11v11" });
+
+  assert.match(hash, /^v=1&f=1101&b=525,340&p=1,b,84,340,18,0;2,b,/);
+  assert.ok(hash.length < 500, `hash is ${hash.length} characters`);
+
+  const decoded = decodeScenario(`#${hash}`, pitch);
+  assert.ok(decoded);
+  assert.deepEqual(decoded.flags, flags);
+  assert.deepEqual(decoded.ball, ball);
+  assert.equal(decoded.pitchSize, "11v11");
+  assert.deepEqual(
+    decoded.players.map((p) => [p.id, p.team, p.vx, p.vy]),
+    players.map((p) => [p.id, p.team, p.vx, p.vy])
+  );
+  decoded.players.forEach((p, i) => {
+    assert.ok(Math.abs(p.x - players[i].x) <= 0.5 && Math.abs(p.y - players[i].y) <= 0.5);
+  });
+
+  // Decoded boards encode to the same hash, so restoring adds no history
+  assert.equal(encodeScenario(decoded), hash);
+});
+
+test("rounds positions and velocities", () => {
+  const hash = encodeScenario({
+    players: [{ id: 7, team: "red", x: 100.46, y: 200.5, vx: -0.04, vy: 12.345 }],
+    ball: { x: 1.2, y: 3.9 },
+    flags,
+    pitchSize: "11v11",
+  });
+  assert.match(hash, /&b=1,4&p=7,r,100,201,0,12\.3$/);
+});
+
+test("rejects malformed hashes and clamps positions onto the pitch", () => {
+  const valid = "v=1&f=1000&b=525,340&p=1,b,84,340,18,0";
+  assert.ok(decodeScenario(valid, pitch));
+
+  for (const hash of [
+    "",
+    "#something-else",
+    valid.replace("v=1", "v=2"),
+    valid.replace("f=1000", "f=10"),
+    valid.replace("b=525,340", "b=525"),
+    valid.replace(",b,", ",g,"),
+    valid.replace("18,0", "fast,0"),
+    `${valid};1,r,900,340,0,0`,
+    valid.replace("&p=1,b,84,340,18,0", "&p="),
+    valid.replace("&b=", "&s=3v3&b="),
+  ]) {
+    assert.equal(decodeScenario(hash, pitch), null, hash);
+  }
+
+  const offPitch = decodeScenario("v=1&f=0000&b=-5,9999&p=3,r,2000,-1,0,0", pitch);
+  assert.deepEqual(offPitch?.ball, { x: 0, y: LOGICAL_HEIGHT });
+  assert.equal(offPitch?.players[0].x, LOGICAL_WIDTH);
+  assert.equal(offPitch?.players[0].y, 0);
+});
+
+test("keeps small-sided pitch sizes in the link", () => {
+  const hash = encodeScenario({
+    players: [{ id: 1, team: "blue", x: 100, y: 340, vx: 18, vy: 0 }],
+    ball: { x: 525, y: 340 },
+    flags,
+    pitchSize: "7v7",
+  });
+  assert.match(hash, /&f=1101&s=7v7&b=/);
+  assert.equal(decodeScenario(hash, pitch)?.pitchSize, "7v7");
+});
+
+test("keeps boards where the teams have switched ends", () => {
+  const ball = { x: 525, y: 340 };
+  const board = switchEnds(createInitialPlayers(), ball);
+  const hash = encodeScenario({ ...board, flags, pitchSize: "11v11", blueAttacksRight: false });
+  assert.match(hash, /&f=1101&d=l&b=525,340&p=1,b,966,340,-18,0;2,b,/);
+
+  // Thirds are counted from each team's own goal, so the same roles are
+  // implied as before the switch
+  const unswitched = encodeScenario({ players: createInitialPlayers(), ball, flags, pitchSize: "11v11" });
+  const roleFields = (text) => text.match(/,(GK|DF|MF|FW)\b/g);
+  assert.deepEqual(roleFields(hash), roleFields(unswitched));
+
+  const decoded = decodeScenario(hash, pitch);
+  assert.equal(decoded?.blueAttacksRight, false);
+  assert.deepEqual(
+    decoded?.players.map((p) => p.role),
+    board.players.map((p) => p.role)
+  );
+  assert.equal(decodeScenario(hash.replace("d=l", "d=x"), pitch), null);
+  assert.equal(decodeScenario(hash.replace("&d=l", ""), pitch)?.blueAttacksRight, true);
+});
+
+test("keeps driven and lofted passes in the link", () => {
+  const players = [{ id: 1, team: "blue", x: 100, y: 340, vx: 18, vy: 0 }];
+  const ball = { x: 525, y: 340 };
+  const lofted = encodeScenario({ players, ball, flags, pitchSize: "11v11", passType: "lofted" });
+  assert.match(lofted, /&f=1101&t=l&b=/);
+  assert.equal(decodeScenario(lofted, pitch)?.passType, "lofted");
+
+  const ground = encodeScenario({ players, ball, flags, pitchSize: "11v11", passType: "ground" });
+  assert.doesNotMatch(ground, /&t=/);
+  assert.equal(decodeScenario(ground, pitch)?.passType, "ground");
+  assert.equal(decodeScenario(lofted.replace("t=l", "t=x"), pitch), null);
+});
+
+test("carries shirt numbers, roles and names unless they are the defaults", () => {
+  const players = createInitialPlayers();
+  const ball = { x: 525, y: 340 };
+  players[1] = { ...players[1], number: 23, name: "Ana Díaz, jr." };
+  const hash = encodeScenario({ players, ball, flags, pitchSize: "11v11" });
+
+  // The keeper and the back line are numbered in order, so say nothing
+  assert.match(hash, /&p=1,b,84,340,18,0;2,b,231,122,18,0,23,DF,Ana%20D%C3%ADaz%2C%20jr\.;3,b,/);
+
+  const decoded = decodeScenario(hash, pitch);
+  assert.deepEqual(
+    decoded?.players.map((p) => [p.number, p.name, p.role]),
+    players.map((p) => [p.number, p.name, p.role])
+  );
+
+  // Links without identities number each team in order by thirds
+  const old = decodeScenario("v=1&f=0000&b=525,340&p=1,b,84,340,0,0;2,b,800,340,0,0;3,r,500,340,0,0", pitch);
+  assert.deepEqual(
+    old?.players.map((p) => [p.number, p.role]),
+    [
+      [1, "GK"],
+      [2, "FW"],
+      [1, "GK"],
+    ]
+  );
+
+  for (const bad of ["0,DF", "7,XX", "7", "7,DF,name,extra", "7,DF,%E0"]) {
+    assert.equal(decodeScenario(`v=1&f=0000&b=525,340&p=1,b,84,340,0,0,${bad}`, pitch), null, bad);
+  }
+});
+
+test("carries players' own physical attributes", () => {
+  const players = [
+    { id: 1, team: "blue", x: 100, y: 340, vx: 18, vy: 0 },
+    { id: 2, team: "red", x: 900, y: 340, vx: -18, vy: 0, maxSpeed: 6.54321, reactionTime: 0.5 },
+  ];
+  const hash = encodeScenario({ players, ball: { x: 525, y: 340 }, flags, pitchSize: "11v11" });
+  assert.match(hash, /&a=2,6\.54,7,0\.5$/);
+
+  const decoded = decodeScenario(hash, pitch);
+  assert.equal(decoded?.players[0].maxSpeed, undefined);
+  assert.deepEqual(
+    decoded && [decoded.players[1].maxSpeed, decoded.players[1].acceleration, decoded.players[1].reactionTime],
+    [6.54, 7, 0.5]
+  );
+
+  for (const bad of ["3,6,7,0.5", "2,6,7", "2,60,7,0.5", "2,6,7,fast"]) {
+    assert.equal(decodeScenario(hash.replace(/&a=.*/, `&a=${bad}`), pitch), null, bad);
+  }
+});
@@ -0,0 +1,35 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { clampGroupOffset, playersInRect, rectFromCorners } from "../selection.js";
+
+const BOUNDS = { left: 15, top: 15, right: 1035, bottom: 665 };
+
+test("rubber band selects players inside the rectangle whichever way it is drawn", () => {
+  const players = [
+    { id: 1, x: 100, y: 100 },
+    { id: 2, x: 200, y: 150 },
+    { id: 3, x: 400, y: 100 },
+  ];
+  const rect = rectFromCorners({ x: 250, y: 200 }, { x: 100, y: 50 });
+
+  assert.deepEqual(rect, { left: 100, top: 50, right: 250, bottom: 200 });
+  assert.deepEqual(playersInRect(players, rect), [1, 2]);
+});
+
+test("group moves inside the pitch are left alone", () => {
+  const starts = [
+    { x: 200, y: 200 },
+    { x: 300, y: 400 },
+  ];
+  assert.deepEqual(clampGroupOffset(starts, 50, -100, BOUNDS), { dx: 50, dy: -100 });
+});
+
+test("group moves stop as a block at the edge of the pitch", () => {
+  const starts = [
+    { x: 900, y: 100 },
+    { x: 1000, y: 300 },
+  ];
+  // The right-most player reaches the touchline first; the other keeps its gap
+  assert.deepEqual(clampGroupOffset(starts, 100, -200, BOUNDS), { dx: 35, dy: -85 });
+});
@@ -0,0 +1,110 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { SvgContext, parseColour } from "../svgContext.js";
+
+test("records fills and strokes as SVG paths", () => {
+  const ctx = new SvgContext(200, 100);
+  ctx.fillStyle = "rgba(59, 130, 246, 0.5)";
+  ctx.fillRect(0, 0, 200, 100);
+
+  ctx.strokeStyle = "#ffffff";
+  ctx.lineWidth = 2;
+  ctx.lineCap = "round";
+  ctx.beginPath();
+  ctx.moveTo(10, 10);
+  ctx.lineTo(50, 10);
+  ctx.stroke();
+
+  const svg = ctx.toSvg();
+  assert.match(svg, /^<svg xmlns="http:\/\/www\.w3\.org\/2000\/svg" width="200" height="100" viewBox="0 0 200 100">/);
+  assert.match(
+    svg,
+    /<path d="M0 0 L200 0 L200 100 L0 100 Z" fill="rgb\(59, 130, 246\)" fill-opacity="0\.5"\/>/
+  );
+  assert.match(
+    svg,
+    /<path d="M10 10 L50 10" fill="none" stroke="#ffffff" stroke-width="2" stroke-linecap="round"\/>/
+  );
+});
+
+test("draws full circles and partial arcs", () => {
+  const ctx = new SvgContext(100, 100);
+  ctx.beginPath();
+  ctx.arc(50, 50, 10, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.beginPath();
+  ctx.arc(50, 50, 10, 0.7 * Math.PI, 1.3 * Math.PI, false);
+  ctx.stroke();
+
+  const [circle, arc] = ctx.elements;
+  assert.match(circle, /d="M60 50 A10 10 0 0 1 40 50 A10 10 0 0 1 60 50"/);
+  assert.match(arc, /d="M44.12 58.09 A10 10 0 0 1 44.12 41.91"/);
+});
+
+test("applies transforms, alpha and save / restore", () => {
+  const ctx = new SvgContext(100, 100);
+  ctx.save();
+  ctx.setTransform(2, 0, 0, 2, 0, 0);
+  ctx.globalAlpha = 0.25;
+  ctx.lineWidth = 1.5;
+  ctx.strokeRect(1, 1, 10, 10);
+  ctx.restore();
+  ctx.fillRect(0, 0, 1, 1);
+
+  const [scaled, plain] = ctx.elements;
+  assert.match(scaled, /d="M2 2 L22 2 L22 22 L2 22 Z"/);
+  assert.match(scaled, /stroke-width="3"/);
+  assert.match(scaled, /opacity="0\.25"/);
+  assert.doesNotMatch(plain, /opacity/);
+});
+
+test("writes gradients, text, images and dashes", () => {
+  const ctx = new SvgContext(100, 100, {
+    resolveImage: (source) => (source === "ball" ? "data:image/svg+xml,<svg/>" : null),
+  });
+  const glow = ctx.createRadialGradient(10, 10, 1, 10, 10, 5);
+  glow.addColorStop(0, "rgba(15, 23, 42, 0.3)");
+  glow.addColorStop(1, "rgba(15, 23, 42, 0)");
+  ctx.fillStyle = glow;
+  ctx.beginPath();
+  ctx.arc(10, 10, 5, 0, Math.PI * 2);
+  ctx.fill();
+
+  ctx.drawImage("ball", 5, 5, 10, 10);
+  ctx.drawImage("unknown", 0, 0, 1, 1);
+
+  ctx.font = "600 11px system-ui";
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.fillStyle = "#020617";
+  ctx.fillText("<10>", 20, 30);
+
+  ctx.setLineDash([6, 4]);
+  ctx.strokeRect(0, 0, 5, 5);
+
+  const svg = ctx.toSvg();
+  assert.match(svg, /<radialGradient id="g1" gradientUnits="userSpaceOnUse" fx="10" fy="10" fr="1" cx="10" cy="10" r="5">/);
+  assert.match(svg, /<stop offset="1" stop-color="rgb\(15, 23, 42\)" stop-opacity="0"\/>/);
+  assert.match(svg, /fill="url\(#g1\)"/);
+  assert.match(svg, /<image href="data:image\/svg\+xml,&lt;svg\/&gt;" x="5" y="5" width="10" height="10" preserveAspectRatio="none"\/>/);
+  assert.equal(svg.match(/<image/g)?.length, 1);
+  assert.match(svg, /<text x="20" y="30" style="font: 600 11px system-ui" text-anchor="middle" dominant-baseline="central" fill="#020617">&lt;10&gt;<\/text>/);
+  assert.match(svg, /stroke-dasharray="6 4"/);
+});
+
+test("clearing the whole drawing starts over", () => {
+  const ctx = new SvgContext(50, 50);
+  ctx.fillRect(0, 0, 10, 10);
+  ctx.clearRect(0, 0, 50, 50);
+  assert.equal(ctx.elements.length, 0);
+});
+
+test("splits CSS colours into paint and opacity", () => {
+  assert.deepEqual(parseColour("rgba(226, 232, 240, 0.85)"), {
+    colour: "rgb(226, 232, 240)",
+    alpha: 0.85,
+  });
+  assert.deepEqual(parseColour("#3b82f6"), { colour: "#3b82f6", alpha: 1 });
+  assert.deepEqual(parseColour("#3b82f680"), { colour: "#3b82f6", alpha: 128 / 255 });
+});
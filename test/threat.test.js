@@ -0,0 +1,68 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  DEFAULT_THREAT_GRID,
+  ThreatGridError,
+  controlledThreat,
+  parseThreatGrid,
+  threatAt,
+  threatPixels,
+} from "../threat.js";
+
+test("the default grid is 12 x 8 and most valuable in front of goal", () => {
+  const { values } = DEFAULT_THREAT_GRID;
+  assert.equal(values.length, 8);
+  assert.ok(values.every((row) => row.length === 12));
+
+  const best = Math.max(...values.flat());
+  assert.equal(threatAt(DEFAULT_THREAT_GRID, 0.99, 0.5, true), best);
+  // The same zone seen by the team attacking the other way
+  assert.equal(threatAt(DEFAULT_THREAT_GRID, 0.01, 0.5, false), best);
+  assert.ok(threatAt(DEFAULT_THREAT_GRID, 0.01, 0.5, true) < best / 10);
+});
+
+test("reads custom grids and explains what is wrong with bad ones", () => {
+  assert.deepEqual(parseThreatGrid("[[1, 2], [3, 4]]", "mine.json"), {
+    name: "mine.json",
+    values: [
+      [1, 2],
+      [3, 4],
+    ],
+  });
+  assert.equal(parseThreatGrid('{ "name": "Ours", "grid": [[0.1]] }').name, "Ours");
+
+  for (const [text, message] of [
+    ["not json", /JSON/],
+    ["{}", /array of rows/],
+    ["[[]]", /non-empty/],
+    ["[[1, 2], [3]]", /Row 2 must have 2 values/],
+    ['[[1, "x"]]', /Row 1 must contain only numbers/],
+    ["[[1, -1]]", /Row 1 must contain only numbers/],
+  ]) {
+    assert.throws(() => parseThreatGrid(text), (err) => {
+      assert.ok(err instanceof ThreatGridError);
+      assert.match(err.message, message);
+      return true;
+    });
+  }
+});
+
+test("controlled threat weights control by the zones each team attacks", () => {
+  const grid = { name: "halves", values: [[0, 1]] };
+  // Blue controls the left half of a 4 x 2 control grid
+  const control = new Float32Array([1, 1, 0, 0, 1, 1, 0, 0]);
+
+  // Attacking right, blue holds none of the threat on offer and red all of it
+  assert.deepEqual(controlledThreat(control, 4, 2, grid, true), { blue: 0, red: 0 });
+  assert.deepEqual(controlledThreat(control, 4, 2, grid, false), { blue: 1, red: 1 });
+
+  // Each side then holds its own valuable half, in its own colour
+  const pixels = threatPixels(control, 4, 2, grid, false);
+  assert.ok(pixels[3] > 0 && pixels[2] > pixels[0]);
+  assert.ok(pixels[2 * 4 + 3] > 0 && pixels[2 * 4] > pixels[2 * 4 + 2]);
+
+  // Nothing held where nothing is on offer
+  const leftOnly = threatPixels(control, 4, 2, grid, true);
+  assert.equal(leftOnly[3], 0);
+});
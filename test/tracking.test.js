@@ -0,0 +1,157 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { LOGICAL_WIDTH, LOGICAL_HEIGHT, createInitialPlayers } from "../pitchModel.js";
+import {
+  TrackingImportError,
+  parseTracking,
+  trackingToFrames,
+} from "../tracking.js";
+
+// Metrica-style export: 25Hz, two home players (the second subbed on late)
+function metricaHome(frames = 26) {
+  const lines = [
+    ",,,Home,,Home,,Home,,,",
+    ",,,11,,1,,12,,,",
+    "Period,Frame,Time [s],Player11,,Player1,,Player12,,Ball,",
+  ];
+  for (let f = 1; f <= frames; f++) {
+    const t = (f * 0.04).toFixed(2);
+    const x11 = (0.1 + f * 0.004).toFixed(4);
+    const sub = f > 20 ? "0.5,0.5" : "NaN,NaN";
+    const gk = f > 20 ? "NaN,NaN" : "0.05,0.5";
+    lines.push(`1,${f},${t},${x11},0.5,${gk},${sub},0.5,0.5`);
+  }
+  return { name: "Home.csv", text: lines.join("\n") + "\n" };
+}
+
+function metricaAway(frames = 26) {
+  const lines = [",,,Away,", ",,,25,", "Period,Frame,Time [s],Player25,,Ball,"];
+  for (let f = 1; f <= frames; f++) {
+    lines.push(`1,${f},${(f * 0.04).toFixed(2)},0.9,0.25,0.5,0.5`);
+  }
+  return { name: "Away.csv", text: lines.join("\r\n") };
+}
+
+test("parses and joins Metrica home and away files", () => {
+  const data = parseTracking([metricaHome(), metricaAway()]);
+
+  assert.equal(data.frames.length, 26);
+  assert.deepEqual(
+    data.tracks.map((t) => `${t.team}#${t.jersey}`),
+    ["blue#11", "blue#1", "blue#12", "red#25"]
+  );
+  assert.ok(Math.abs(data.tracks[3].x[0] - 0.9 * LOGICAL_WIDTH) < 1e-9);
+  assert.ok(Number.isNaN(data.tracks[2].x[0]));
+  assert.equal(data.ball?.x[0], 0.5 * LOGICAL_WIDTH);
+});
+
+test("parses the generic single-file layout", () => {
+  const text = [
+    "frame,time,blue_7_x,blue_7_y,red_9_x,red_9_y,ball_x,ball_y",
+    "0,0,0.2,0.5,0.8,0.5,0.5,0.5",
+    "1,0.1,0.21,0.5,0.79,0.5,,",
+  ].join("\n");
+  const data = parseTracking([{ name: "clip.csv", text }]);
+
+  assert.deepEqual(data.times, [0, 0.1]);
+  assert.equal(data.tracks[1].team, "red");
+  assert.ok(Number.isNaN(data.ball?.x[1]));
+});
+
+test("reports every malformed row", () => {
+  const text = [
+    "frame,time,blue_7_x,blue_7_y",
+    "0,0,0.2,0.5",
+    "1,abc,0.2,0.5",
+    "2,0.2,0.2",
+    "3,0.3,oops,0.5",
+    "4,0.1,0.2,0.5",
+  ].join("\n");
+
+  assert.throws(
+    () => parseTracking([{ name: "bad.csv", text }]),
+    (err) => {
+      assert.ok(err instanceof TrackingImportError);
+      assert.deepEqual(
+        err.badRows.map((r) => r.line),
+        [3, 4, 5]
+      );
+      assert.match(err.message, /3 bad rows/);
+      assert.match(err.message, /bad\.csv line 4: expected 4 columns, found 3/);
+      return true;
+    }
+  );
+});
+
+test("reports frames missing from a partner file and unknown formats", () => {
+  assert.throws(
+    () => parseTracking([metricaHome(26), metricaAway(24)]),
+    /frame 25 is missing from Away\.csv/
+  );
+  assert.throws(
+    () => parseTracking([{ name: "notes.txt", text: "hello,world" }]),
+    TrackingImportError
+  );
+});
+
+test("maps tracks onto board players and derives velocities", () => {
+  const players = createInitialPlayers();
+  const data = parseTracking([metricaHome(), metricaAway()]);
+  const { frames, assignments } = trackingToFrames(data, players);
+
+  // 25Hz source resampled to roughly 10Hz, keeping the last frame
+  assert.equal(frames.length, 10);
+  assert.equal(frames[0].t, 0);
+  assert.ok(Math.abs(frames[frames.length - 1].t - 1000) < 1e-6);
+
+  // Shirt numbers find the board player wearing them; red's #25 and the
+  // substitute #12 have no match, so #25 takes red's first slot and #12
+  // takes over the keeper's once the keeper has left.
+  assert.deepEqual(
+    assignments.map((a) => [a.jersey, a.playerId]),
+    [
+      [1, 1],
+      [11, 11],
+      [25, 12],
+      [12, 1],
+    ]
+  );
+
+  const last = frames[frames.length - 1];
+  const slot1 = last.players.find((p) => p.id === 1);
+  assert.equal(slot1?.x, 0.5 * LOGICAL_WIDTH);
+
+  // Player 11 runs right at 0.1 pitch widths per second (10.5 m/s, capped)
+  const runner = frames[5].players.find((p) => p.id === 11);
+  assert.ok((runner?.vx ?? 0) > 0);
+  assert.equal(runner?.vy, 0);
+
+  // Untracked board players hold their starting position
+  const untracked = players.find((p) => p.id === 3);
+  assert.equal(frames[3].players.find((p) => p.id === 3)?.x, untracked?.x);
+  assert.equal(frames[3].ball.y, 0.5 * LOGICAL_HEIGHT);
+});
+
+test("puts a tracked shirt number on the board player wearing it", () => {
+  const text = [
+    "frame,time,blue_30_x,blue_30_y,blue_9_x,blue_9_y",
+    "0,0,0.2,0.5,,",
+    "1,0.1,0.2,0.5,0.6,0.4",
+  ].join("\n");
+  const data = parseTracking([{ name: "clip.csv", text }]);
+  const players = createInitialPlayers()
+    .filter((p) => p.team === "blue")
+    .slice(0, 2)
+    .map((p, i) => ({ ...p, number: i === 0 ? 9 : 4 }));
+
+  // #30 appears first but the board's #9 is kept for the file's #9
+  const { assignments } = trackingToFrames(data, players);
+  assert.deepEqual(
+    assignments.map((a) => [a.jersey, a.playerId]),
+    [
+      [30, players[1].id],
+      [9, players[0].id],
+    ]
+  );
+});
@@ -0,0 +1,61 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { createUndoHistory } from "../undoHistory.js";
+
+/**
+ * A command that sets `state.value` from `from` to `to`.
+ */
+function setValue(state, from, to) {
+  state.value = to;
+  return {
+    label: `set ${to}`,
+    undo: () => {
+      state.value = from;
+    },
+    redo: () => {
+      state.value = to;
+    },
+  };
+}
+
+test("undoes and redoes commands in order", () => {
+  const state = { value: 0 };
+  const history = createUndoHistory(10);
+  history.push(setValue(state, 0, 1));
+  history.push(setValue(state, 1, 2));
+
+  assert.equal(history.undo()?.label, "set 2");
+  assert.equal(state.value, 1);
+  assert.equal(history.undo()?.label, "set 1");
+  assert.equal(state.value, 0);
+  assert.equal(history.undo(), null);
+
+  assert.equal(history.redo()?.label, "set 1");
+  assert.equal(state.value, 1);
+  assert.equal(history.peekRedo()?.label, "set 2");
+});
+
+test("a new command clears the redo stack", () => {
+  const state = { value: 0 };
+  const history = createUndoHistory(10);
+  history.push(setValue(state, 0, 1));
+  history.undo();
+  history.push(setValue(state, 0, 5));
+
+  assert.equal(history.redo(), null);
+  assert.equal(history.peekUndo()?.label, "set 5");
+});
+
+test("drops the oldest commands beyond the limit", () => {
+  const state = { value: 0 };
+  const history = createUndoHistory(3);
+  for (let i = 1; i <= 5; i++) history.push(setValue(state, i - 1, i));
+
+  while (history.undo());
+  assert.equal(state.value, 2);
+
+  history.clear();
+  assert.equal(history.peekUndo(), null);
+  assert.equal(history.peekRedo(), null);
+});
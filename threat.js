@@ -0,0 +1,197 @@
+// Expected Threat
+// ---------------
+// Zone value grids for weighting pitch control by how dangerous each area
+// is. A grid holds one value per zone for a team attacking left to right,
+// rows from the top touchline down, as in the Expected Threat (xT) model;
+// the team attacking the other way sees it mirrored. Custom grids are read
+// from JSON: either a bare array of rows or { "name", "grid" }. The page
+// picks the file and paints the overlay.
+
+/**
+ * @typedef ThreatGrid
+ * @property {string} name
+ * @property {number[][]} values rows x columns, all rows the same length
+ */
+
+export class ThreatGridError extends Error {
+  /**
+   * @param {string} message
+   */
+  constructor(message) {
+    super(message);
+    this.name = "ThreatGridError";
+  }
+}
+
+// The widely used open 12 x 8 xT grid (after Karun Singh's Expected Threat
+// model): the chance that possession in a zone ends in a goal
+const XT_ROW_WIDE = [
+  0.00638303, 0.00779616, 0.00844854, 0.00977659, 0.01126267, 0.01248344,
+  0.01473596, 0.0174506, 0.02122129, 0.02756312, 0.03485072, 0.0379259,
+];
+const XT_ROW_OUTER = [
+  0.00750072, 0.00878589, 0.00942382, 0.0105949, 0.01214719, 0.0138454,
+  0.01611813, 0.01870347, 0.02401521, 0.02953272, 0.04066992, 0.04647721,
+];
+const XT_ROW_INNER = [
+  0.0088799, 0.00977745, 0.01001304, 0.01110462, 0.01269174, 0.01429128,
+  0.01685596, 0.01935132, 0.0241224, 0.02855202, 0.05491138, 0.06442595,
+];
+const XT_ROW_CENTRE = [
+  0.00941056, 0.01082722, 0.01016549, 0.01132376, 0.01262646, 0.01484598,
+  0.01689528, 0.0199707, 0.02385149, 0.03511326, 0.10805102, 0.25745362,
+];
+
+/** @type {ThreatGrid} */
+export const DEFAULT_THREAT_GRID = {
+  name: "Expected Threat (12 × 8)",
+  values: [
+    XT_ROW_WIDE,
+    XT_ROW_OUTER,
+    XT_ROW_INNER,
+    XT_ROW_CENTRE,
+    XT_ROW_CENTRE,
+    XT_ROW_INNER,
+    XT_ROW_OUTER,
+    XT_ROW_WIDE,
+  ],
+};
+
+// Colours for the value-weighted overlay: [r, g, b, max alpha (0..1)]
+const THREAT_BLUE_RGBA = [37, 99, 235, 0.8];
+const THREAT_RED_RGBA = [220, 38, 38, 0.8];
+
+/**
+ * Parse and validate a grid from a JSON document.
+ *
+ * @param {string} text
+ * @param {string} [fallbackName] name for bare arrays, e.g. the file name
+ * @returns {ThreatGrid}
+ * @throws {ThreatGridError}
+ */
+export function parseThreatGrid(text, fallbackName = "Custom grid") {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new ThreatGridError("Not a JSON file.");
+  }
+
+  const named = typeof data === "object" && data !== null && !Array.isArray(data);
+  const values = named ? data.grid : data;
+  const name =
+    named && typeof data.name === "string" && data.name.trim() ? data.name.trim() : fallbackName;
+
+  if (!Array.isArray(values) || values.length === 0) {
+    throw new ThreatGridError("Expected an array of rows, or an object with a grid array.");
+  }
+  const columns = Array.isArray(values[0]) ? values[0].length : 0;
+  if (columns === 0) {
+    throw new ThreatGridError("Rows must be non-empty arrays of numbers.");
+  }
+  values.forEach((row, i) => {
+    if (!Array.isArray(row) || row.length !== columns) {
+      throw new ThreatGridError(`Row ${i + 1} must have ${columns} values like the first.`);
+    }
+    if (!row.every((v) => typeof v === "number" && Number.isFinite(v) && v >= 0)) {
+      throw new ThreatGridError(`Row ${i + 1} must contain only numbers of 0 or more.`);
+    }
+  });
+
+  return { name, values };
+}
+
+/**
+ * Value of the zone containing a point, for a team attacking right (or
+ * left, in which case the grid is mirrored).
+ *
+ * @param {ThreatGrid} grid
+ * @param {number} fx pitch fraction along the length, 0 = left goal line
+ * @param {number} fy pitch fraction across, 0 = top touchline
+ * @param {boolean} attacksRight
+ * @returns {number}
+ */
+export function threatAt(grid, fx, fy, attacksRight) {
+  const rows = grid.values.length;
+  const cols = grid.values[0].length;
+  const x = attacksRight ? fx : 1 - fx;
+  const col = Math.min(cols - 1, Math.max(0, Math.floor(x * cols)));
+  const row = Math.min(rows - 1, Math.max(0, Math.floor(fy * rows)));
+  return grid.values[row][col];
+}
+
+/**
+ * Share of the threat on offer to each team that the team controls: the
+ * zone values seen from its attacking direction, weighted by its share of
+ * control in each cell of a control grid (as laid out by
+ * computeControlGrid).
+ *
+ * @param {Float32Array} control blue share per cell, row by row
+ * @param {number} cols
+ * @param {number} rows
+ * @param {ThreatGrid} grid
+ * @param {boolean} blueAttacksRight
+ * @returns {{ blue: number, red: number }} 0..1 each
+ */
+export function controlledThreat(control, cols, rows, grid, blueAttacksRight) {
+  let blueHeld = 0;
+  let blueTotal = 0;
+  let redHeld = 0;
+  let redTotal = 0;
+  for (let oy = 0; oy < rows; oy++) {
+    const fy = (oy + 0.5) / rows;
+    for (let ox = 0; ox < cols; ox++) {
+      const fx = (ox + 0.5) / cols;
+      const share = control[oy * cols + ox];
+      const blueValue = threatAt(grid, fx, fy, blueAttacksRight);
+      const redValue = threatAt(grid, fx, fy, !blueAttacksRight);
+      blueHeld += share * blueValue;
+      blueTotal += blueValue;
+      redHeld += (1 - share) * redValue;
+      redTotal += redValue;
+    }
+  }
+  return {
+    blue: blueTotal > 0 ? blueHeld / blueTotal : 0,
+    red: redTotal > 0 ? redHeld / redTotal : 0,
+  };
+}
+
+/**
+ * Colour a control grid by the value each team controls rather than by
+ * area: each cell takes the colour of the team holding more threat there,
+ * stronger the more that is. Values are shown on a square-root scale so
+ * midfield zones stay visible next to the few near goal.
+ *
+ * @param {Float32Array} control blue share per cell, row by row
+ * @param {number} cols
+ * @param {number} rows
+ * @param {ThreatGrid} grid
+ * @param {boolean} blueAttacksRight
+ * @returns {Uint8ClampedArray} RGBA per cell, as in ImageData
+ */
+export function threatPixels(control, cols, rows, grid, blueAttacksRight) {
+  const maxValue = Math.max(...grid.values.flat());
+  const pixels = new Uint8ClampedArray(cols * rows * 4);
+  if (!(maxValue > 0)) return pixels;
+
+  for (let oy = 0; oy < rows; oy++) {
+    const fy = (oy + 0.5) / rows;
+    for (let ox = 0; ox < cols; ox++) {
+      const fx = (ox + 0.5) / cols;
+      const cell = oy * cols + ox;
+      const share = control[cell];
+      const blueHeld = share * threatAt(grid, fx, fy, blueAttacksRight);
+      const redHeld = (1 - share) * threatAt(grid, fx, fy, !blueAttacksRight);
+
+      const rgba = blueHeld >= redHeld ? THREAT_BLUE_RGBA : THREAT_RED_RGBA;
+      const strength = Math.sqrt(Math.max(blueHeld, redHeld) / maxValue);
+      const offset = cell * 4;
+      pixels[offset] = rgba[0];
+      pixels[offset + 1] = rgba[1];
+      pixels[offset + 2] = rgba[2];
+      pixels[offset + 3] = Math.round(rgba[3] * strength * 255);
+    }
+  }
+  return pixels;
+}
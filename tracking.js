@@ -0,0 +1,599 @@
+// Tracking data import
+// --------------------
+// Parses positional tracking exports into replay frames for the board's
+// players. Two layouts are understood:
+//
+// - Metrica Sports sample CSV: one file per team, three header rows
+//   (team, jersey number, column name) followed by
+//   "Period,Frame,Time [s],<x>,<y>,...,<ball x>,<ball y>" rows.
+// - Generic CSV: a single file with one header row
+//   "frame,time,<team>_<jersey>_x,<team>_<jersey>_y,...,ball_x,ball_y",
+//   where <team> is blue / red (or home / away).
+//
+// Coordinates are fractions of the pitch (0..1, origin top-left) in both
+// layouts; empty or "NaN" cells mean the player (or ball) is not tracked.
+// Home / blue is mapped onto the blue players, away / red onto the red ones.
+
+import {
+  LOGICAL_WIDTH,
+  LOGICAL_HEIGHT,
+  MAX_SPEED_VIS,
+  METRES_PER_UNIT,
+  VELOCITY_SCALE,
+} from "./pitchModel.js";
+
+/** @typedef {import("./pitchModel.js").Team} Team */
+/** @typedef {import("./pitchModel.js").Player} Player */
+/** @typedef {import("./pitchModel.js").RecordingFrame} RecordingFrame */
+
+/**
+ * @typedef BadRow
+ * @property {string} file
+ * @property {number} line 1-based line number in the file
+ * @property {string} reason
+ *
+ * @typedef TrackedPlayer
+ * @property {Team} team
+ * @property {number} jersey
+ * @property {number[]} x // logical coordinates per frame (NaN when absent)
+ * @property {number[]} y
+ *
+ * @typedef TrackingData
+ * @property {number[]} frames // frame numbers
+ * @property {number[]} times // seconds
+ * @property {TrackedPlayer[]} tracks
+ * @property {{ x: number[], y: number[] } | null} ball
+ *
+ * @typedef TrackingFile
+ * @property {string} name
+ * @property {string} text
+ */
+
+// Imported tracking is resampled to roughly this rate for replay
+export const TRACKING_TARGET_FPS = 10;
+// Velocities are differenced over this many seconds either side of a frame,
+// which smooths out tracking jitter.
+const VELOCITY_WINDOW = 0.2;
+// How many bad rows are spelled out in an error message
+const MAX_LISTED_BAD_ROWS = 10;
+
+export class TrackingImportError extends Error {
+  /**
+   * @param {string} message
+   * @param {BadRow[]} [badRows]
+   */
+  constructor(message, badRows = []) {
+    super(message);
+    this.name = "TrackingImportError";
+    this.badRows = badRows;
+  }
+}
+
+/**
+ * Parse one or more tracking files (e.g. Metrica home + away) into a single
+ * data set joined on frame number.
+ *
+ * @param {TrackingFile[]} files
+ * @returns {TrackingData}
+ * @throws {TrackingImportError} listing every malformed row
+ */
+export function parseTracking(files) {
+  if (!files.length) {
+    throw new TrackingImportError("No tracking files were selected.");
+  }
+
+  /** @type {BadRow[]} */
+  const badRows = [];
+  const parsed = files.map((file) => parseTrackingFile(file, badRows));
+  if (badRows.length) throw badRowsError(badRows);
+
+  const [base, ...others] = parsed;
+  /** @type {TrackingData} */
+  const data = {
+    frames: [],
+    times: [],
+    tracks: base.tracks.map((t) => ({ ...t, x: [], y: [] })),
+    ball: null,
+  };
+  const ballSource = parsed.find((p) => p.ball);
+  if (ballSource) data.ball = { x: [], y: [] };
+
+  const indexByFrame = others.map(
+    (p) => new Map(p.frames.map((frame, i) => [frame, i]))
+  );
+  for (const other of others) {
+    data.tracks.push(...other.tracks.map((t) => ({ ...t, x: [], y: [] })));
+  }
+  // Source line of each joined frame, for error reporting
+  const lines = [];
+
+  for (let i = 0; i < base.frames.length; i++) {
+    const frame = base.frames[i];
+    const otherRows = indexByFrame.map((index) => index.get(frame));
+    const missingIn = otherRows.findIndex((row) => row === undefined);
+    if (missingIn !== -1) {
+      badRows.push({
+        file: base.name,
+        line: base.lines[i],
+        reason: `frame ${frame} is missing from ${others[missingIn].name}`,
+      });
+      continue;
+    }
+
+    /** @param {ParsedFile} p */
+    const rowIn = (p) =>
+      p === base ? i : /** @type {number} */ (otherRows[others.indexOf(p)]);
+
+    data.frames.push(frame);
+    data.times.push(base.times[i]);
+    lines.push(base.lines[i]);
+
+    let t = 0;
+    for (const p of parsed) {
+      const row = rowIn(p);
+      for (const track of p.tracks) {
+        data.tracks[t].x.push(track.x[row]);
+        data.tracks[t].y.push(track.y[row]);
+        t++;
+      }
+    }
+
+    if (data.ball && ballSource?.ball) {
+      const row = rowIn(ballSource);
+      data.ball.x.push(ballSource.ball.x[row]);
+      data.ball.y.push(ballSource.ball.y[row]);
+    }
+  }
+
+  for (let i = 1; i < data.times.length; i++) {
+    if (!(data.times[i] > data.times[i - 1])) {
+      badRows.push({
+        file: base.name,
+        line: lines[i],
+        reason: `time ${data.times[i]}s does not increase on the previous frame`,
+      });
+    }
+  }
+
+  if (badRows.length) throw badRowsError(badRows);
+
+  if (data.frames.length < 2) {
+    throw new TrackingImportError(
+      "The tracking data needs at least two frames to be replayed."
+    );
+  }
+  if (!data.tracks.length) {
+    throw new TrackingImportError("No player columns were found in the tracking data.");
+  }
+
+  return data;
+}
+
+/**
+ * @typedef {{ x: number[], y: number[] }} TrackedBall
+ *
+ * @typedef ParsedFile
+ * @property {string} name
+ * @property {number[]} frames
+ * @property {number[]} times
+ * @property {number[]} lines
+ * @property {TrackedPlayer[]} tracks
+ * @property {TrackedBall | null} ball
+ */
+
+/**
+ * @param {TrackingFile} file
+ * @param {BadRow[]} badRows collects malformed rows
+ * @returns {ParsedFile}
+ */
+function parseTrackingFile(file, badRows) {
+  const rows = file.text
+    .split(/\r?\n/)
+    .map((line) => line.split(",").map((cell) => cell.trim()));
+  // Ignore trailing blank lines
+  while (rows.length && rows[rows.length - 1].join("") === "") rows.pop();
+
+  const layout = isMetricaHeader(rows)
+    ? metricaLayout(file, rows)
+    : genericLayout(file, rows);
+
+  /** @type {ParsedFile} */
+  const parsed = {
+    name: file.name,
+    frames: [],
+    times: [],
+    lines: [],
+    tracks: layout.players.map(({ team, jersey }) => ({ team, jersey, x: [], y: [] })),
+    ball: layout.ball ? { x: [], y: [] } : null,
+  };
+
+  for (let r = layout.headerRows; r < rows.length; r++) {
+    const cells = rows[r];
+    const line = r + 1;
+
+    if (cells.length !== layout.columnCount) {
+      badRows.push({
+        file: file.name,
+        line,
+        reason: `expected ${layout.columnCount} columns, found ${cells.length}`,
+      });
+      continue;
+    }
+
+    const frame = Number(cells[layout.frameColumn]);
+    const time = Number(cells[layout.timeColumn]);
+    if (cells[layout.frameColumn] === "" || !Number.isInteger(frame)) {
+      badRows.push({ file: file.name, line, reason: `invalid frame "${cells[layout.frameColumn]}"` });
+      continue;
+    }
+    if (cells[layout.timeColumn] === "" || !Number.isFinite(time)) {
+      badRows.push({ file: file.name, line, reason: `invalid time "${cells[layout.timeColumn]}"` });
+      continue;
+    }
+
+    const problems = [];
+    const readPair = (column, label) => {
+      const x = readCoordinate(cells[column]);
+      const y = readCoordinate(cells[column + 1]);
+      if (x === null || y === null) {
+        problems.push(`${label} position "${cells[column]},${cells[column + 1]}" is not a number`);
+      }
+      return {
+        x: x === null ? NaN : x * LOGICAL_WIDTH,
+        y: y === null ? NaN : y * LOGICAL_HEIGHT,
+      };
+    };
+
+    const positions = layout.players.map((p) =>
+      readPair(p.column, `${p.team} #${p.jersey}`)
+    );
+    const ballPos = layout.ball ? readPair(layout.ball.column, "ball") : null;
+
+    if (problems.length) {
+      badRows.push({ file: file.name, line, reason: problems.join("; ") });
+      continue;
+    }
+
+    parsed.frames.push(frame);
+    parsed.times.push(time);
+    parsed.lines.push(line);
+    positions.forEach((pos, i) => {
+      parsed.tracks[i].x.push(pos.x);
+      parsed.tracks[i].y.push(pos.y);
+    });
+    if (parsed.ball && ballPos) {
+      parsed.ball.x.push(ballPos.x);
+      parsed.ball.y.push(ballPos.y);
+    }
+  }
+
+  return parsed;
+}
+
+/**
+ * @typedef Layout
+ * @property {number} headerRows
+ * @property {number} columnCount
+ * @property {number} frameColumn
+ * @property {number} timeColumn
+ * @property {{ team: Team, jersey: number, column: number }[]} players
+ * @property {{ column: number } | null} ball
+ */
+
+/**
+ * @param {string[][]} rows
+ */
+function isMetricaHeader(rows) {
+  return rows.length >= 3 && rows[2][0]?.toLowerCase() === "period";
+}
+
+/**
+ * @param {TrackingFile} file
+ * @param {string[][]} rows
+ * @returns {Layout}
+ */
+function metricaLayout(file, rows) {
+  const [teamRow, jerseyRow, nameRow] = rows;
+  const teamName = teamRow.find((cell) => cell !== "")?.toLowerCase();
+  if (teamName !== "home" && teamName !== "away") {
+    throw new TrackingImportError(
+      `${file.name}: line 1 should name the team ("Home" or "Away").`
+    );
+  }
+  const team = teamName === "home" ? "blue" : "red";
+
+  const names = nameRow.map((cell) => cell.toLowerCase());
+  const frameColumn = names.indexOf("frame");
+  const timeColumn = names.findIndex((name) => name.startsWith("time"));
+  if (frameColumn === -1 || timeColumn === -1) {
+    throw new TrackingImportError(
+      `${file.name}: line 3 should contain "Frame" and "Time [s]" columns.`
+    );
+  }
+
+  const layout = {
+    headerRows: 3,
+    columnCount: nameRow.length,
+    frameColumn,
+    timeColumn,
+    players: [],
+    ball: null,
+  };
+
+  names.forEach((name, column) => {
+    if (name.startsWith("player")) {
+      const jersey = Number(jerseyRow[column] || name.slice("player".length));
+      layout.players.push({ team, jersey, column });
+    } else if (name === "ball") {
+      layout.ball = { column };
+    }
+  });
+
+  return layout;
+}
+
+/**
+ * @param {TrackingFile} file
+ * @param {string[][]} rows
+ * @returns {Layout}
+ */
+function genericLayout(file, rows) {
+  const header = (rows[0] || []).map((cell) => cell.toLowerCase());
+  const frameColumn = header.indexOf("frame");
+  const timeColumn = header.findIndex((name) => name === "time" || name.startsWith("time "));
+  if (frameColumn === -1 || timeColumn === -1) {
+    throw new TrackingImportError(
+      `${file.name}: not a recognised tracking file. Expected a Metrica Sports ` +
+        `export or a CSV whose header has "frame", "time" and ` +
+        `"<team>_<jersey>_x/_y" columns.`
+    );
+  }
+
+  const layout = {
+    headerRows: 1,
+    columnCount: header.length,
+    frameColumn,
+    timeColumn,
+    players: [],
+    ball: null,
+  };
+
+  header.forEach((name, column) => {
+    if (name === "ball_x") {
+      layout.ball = { column };
+      return;
+    }
+    const match = /^(blue|red|home|away)_(\d+)_x$/.exec(name);
+    if (!match) return;
+    const team = match[1] === "blue" || match[1] === "home" ? "blue" : "red";
+    layout.players.push({ team, jersey: Number(match[2]), column });
+  });
+
+  return layout;
+}
+
+/**
+ * @param {string | undefined} cell
+ * @returns {number | null} NaN for a missing value, null if malformed
+ */
+function readCoordinate(cell) {
+  if (cell === undefined) return null;
+  if (cell === "" || cell.toLowerCase() === "nan") return NaN;
+  const value = Number(cell);
+  return Number.isFinite(value) ? value : null;
+}
+
+/**
+ * @param {BadRow[]} badRows
+ */
+function badRowsError(badRows) {
+  const listed = badRows
+    .slice(0, MAX_LISTED_BAD_ROWS)
+    .map((row) => `  ${row.file} line ${row.line}: ${row.reason}`);
+  if (badRows.length > MAX_LISTED_BAD_ROWS) {
+    listed.push(`  …and ${badRows.length - MAX_LISTED_BAD_ROWS} more`);
+  }
+  const count = badRows.length === 1 ? "1 bad row" : `${badRows.length} bad rows`;
+  return new TrackingImportError(
+    `The tracking data has ${count}:\n${listed.join("\n")}`,
+    badRows
+  );
+}
+
+/**
+ * @typedef Assignment
+ * @property {Team} team
+ * @property {number} jersey
+ * @property {number | null} playerId // board player, or null if no slot was free
+ */
+
+/**
+ * Turn tracking data into replay frames for `players`. Each tracked player
+ * takes the board slot with their shirt number in their team; the others
+ * are given free slots in order of appearance (then jersey number), so a
+ * substitute takes over the slot of a player who has left.
+ * Missing positions hold the last known value, and velocities are derived
+ * from frame differences.
+ *
+ * @param {TrackingData} data
+ * @param {Player[]} players
+ * @returns {{ frames: RecordingFrame[], assignments: Assignment[] }}
+ */
+export function trackingToFrames(data, players) {
+  const n = data.frames.length;
+  const duration = data.times[n - 1] - data.times[0];
+  const sourceFps = duration > 0 ? (n - 1) / duration : TRACKING_TARGET_FPS;
+  const stride = Math.max(1, Math.round(sourceFps / TRACKING_TARGET_FPS));
+  const velocityWindow = Math.max(1, Math.round(VELOCITY_WINDOW * sourceFps));
+
+  const { slots, assignments } = assignSlots(data, players);
+
+  /** @type {RecordingFrame[]} */
+  const frames = [];
+  const lastKnown = new Map(players.map((p) => [p.id, { x: p.x, y: p.y }]));
+  let ball = { x: LOGICAL_WIDTH / 2, y: LOGICAL_HEIGHT / 2 };
+
+  // Start each slot at its owner's first known position so nobody jumps
+  // across the pitch on the first frames.
+  for (const [id, owners] of slots) {
+    const first = owners[0] && firstPosition(owners[0].track);
+    if (first) lastKnown.set(id, first);
+  }
+  if (data.ball) {
+    const first = firstPosition(data.ball);
+    if (first) ball = first;
+  }
+
+  for (let i = 0; i < n; i++) {
+    // Keep last-known values current on every source frame, even skipped ones.
+    for (const [id, owners] of slots) {
+      const track = ownerAt(owners, i);
+      if (track && isPresent(track, i)) {
+        lastKnown.set(id, { x: track.x[i], y: track.y[i] });
+      }
+    }
+    if (data.ball && isPresent(data.ball, i)) {
+      ball = { x: data.ball.x[i], y: data.ball.y[i] };
+    }
+
+    if (i % stride !== 0 && i !== n - 1) continue;
+
+    frames.push({
+      t: (data.times[i] - data.times[0]) * 1000,
+      players: players.map((p) => {
+        const pos = lastKnown.get(p.id) || { x: p.x, y: p.y };
+        const track = ownerAt(slots.get(p.id) || [], i);
+        const v = track ? trackVelocity(data, track, i, velocityWindow) : { vx: 0, vy: 0 };
+        return { id: p.id, team: p.team, x: pos.x, y: pos.y, vx: v.vx, vy: v.vy };
+      }),
+      ball: { x: ball.x, y: ball.y },
+    });
+  }
+
+  return { frames, assignments };
+}
+
+/**
+ * @param {TrackingData} data
+ * @param {Player[]} players
+ */
+function assignSlots(data, players) {
+  /** @type {Map<number, { track: TrackedPlayer, first: number, last: number }[]>} */
+  const slots = new Map(players.map((p) => [p.id, []]));
+
+  const spans = data.tracks
+    .map((track) => {
+      let first = -1;
+      let last = -1;
+      for (let i = 0; i < track.x.length; i++) {
+        if (isPresent(track, i)) {
+          if (first === -1) first = i;
+          last = i;
+        }
+      }
+      return { track, first, last };
+    })
+    .filter((span) => span.first !== -1)
+    .sort((a, b) => a.first - b.first || a.track.jersey - b.track.jersey);
+
+  /** @typedef {typeof spans[number]} Span */
+
+  // Nobody else occupies the slot while the track is on the pitch
+  const isFree = (/** @type {Player} */ p, /** @type {Span} */ span) =>
+    (slots.get(p.id) || []).every((owner) => owner.last < span.first || owner.first > span.last);
+
+  // A track goes to the board player wearing its shirt number; the rest
+  // fill the free slots of their team in order of appearance.
+  /** @type {Map<Span, Player>} */
+  const slotOf = new Map();
+  for (const span of spans) {
+    const { team, jersey } = span.track;
+    const slot = players.find((p) => p.team === team && p.number === jersey);
+    if (slot && isFree(slot, span)) {
+      slots.get(slot.id)?.push(span);
+      slotOf.set(span, slot);
+    }
+  }
+  for (const span of spans) {
+    if (slotOf.has(span)) continue;
+    const slot = players.find((p) => p.team === span.track.team && isFree(p, span));
+    if (slot) {
+      slots.get(slot.id)?.push(span);
+      slotOf.set(span, slot);
+    }
+  }
+  for (const owners of slots.values()) {
+    owners.sort((a, b) => a.first - b.first);
+  }
+
+  /** @type {Assignment[]} */
+  const assignments = spans.map((span) => ({
+    team: span.track.team,
+    jersey: span.track.jersey,
+    playerId: slotOf.get(span)?.id ?? null,
+  }));
+
+  return { slots, assignments };
+}
+
+/**
+ * The track occupying a slot at frame i (the latest one to have started).
+ *
+ * @param {{ track: TrackedPlayer, first: number }[]} owners
+ * @param {number} i
+ */
+function ownerAt(owners, i) {
+  let track = null;
+  for (const owner of owners) {
+    if (owner.first <= i) track = owner.track;
+  }
+  return track;
+}
+
+/**
+ * @param {{ x: number[], y: number[] }} track
+ * @param {number} i
+ */
+function isPresent(track, i) {
+  return Number.isFinite(track.x[i]) && Number.isFinite(track.y[i]);
+}
+
+/**
+ * @param {{ x: number[], y: number[] }} track
+ */
+function firstPosition(track) {
+  for (let i = 0; i < track.x.length; i++) {
+    if (isPresent(track, i)) return { x: track.x[i], y: track.y[i] };
+  }
+  return null;
+}
+
+/**
+ * Central-difference velocity in the board's logical velocity units,
+ * capped at a full-length arrow.
+ *
+ * @param {TrackingData} data
+ * @param {TrackedPlayer} track
+ * @param {number} i
+ * @param {number} velocityWindow frames either side
+ */
+function trackVelocity(data, track, i, velocityWindow) {
+  const i0 = Math.max(0, i - velocityWindow);
+  const i1 = Math.min(data.frames.length - 1, i + velocityWindow);
+  if (i1 === i0 || !isPresent(track, i0) || !isPresent(track, i1)) {
+    return { vx: 0, vy: 0 };
+  }
+
+  const dt = data.times[i1] - data.times[i0];
+  // logical units/s -> m/s -> logical velocity units
+  const toVelocity = METRES_PER_UNIT / VELOCITY_SCALE / dt;
+  let vx = (track.x[i1] - track.x[i0]) * toVelocity;
+  let vy = (track.y[i1] - track.y[i0]) * toVelocity;
+
+  const speed = Math.sqrt(vx * vx + vy * vy);
+  if (speed > MAX_SPEED_VIS) {
+    vx *= MAX_SPEED_VIS / speed;
+    vy *= MAX_SPEED_VIS / speed;
+  }
+  return { vx, vy };
+}
@@ -0,0 +1,68 @@
+// Undo / redo history
+// -------------------
+// A bounded command history. Each command knows how to undo and redo
+// itself; the page pushes one per completed board edit.
+
+/**
+ * @typedef Command
+ * @property {string} label shown in the undo / redo button tooltips
+ * @property {() => void} undo
+ * @property {() => void} redo
+ *
+ * @typedef UndoHistory
+ * @property {(command: Command) => void} push record a command that has
+ *   just been done; clears the redo stack
+ * @property {() => Command | null} undo undo and return the last command
+ * @property {() => Command | null} redo redo and return the last undone command
+ * @property {() => Command | null} peekUndo
+ * @property {() => Command | null} peekRedo
+ * @property {() => void} clear
+ */
+
+/**
+ * @param {number} limit most commands kept; the oldest are dropped first
+ * @returns {UndoHistory}
+ */
+export function createUndoHistory(limit) {
+  /** @type {Command[]} */
+  let done = [];
+  /** @type {Command[]} */
+  let undone = [];
+
+  return {
+    push(command) {
+      done.push(command);
+      if (done.length > limit) done.splice(0, done.length - limit);
+      undone = [];
+    },
+
+    undo() {
+      const command = done.pop();
+      if (!command) return null;
+      command.undo();
+      undone.push(command);
+      return command;
+    },
+
+    redo() {
+      const command = undone.pop();
+      if (!command) return null;
+      command.redo();
+      done.push(command);
+      return command;
+    },
+
+    peekUndo() {
+      return done[done.length - 1] ?? null;
+    },
+
+    peekRedo() {
+      return undone[undone.length - 1] ?? null;
+    },
+
+    clear() {
+      done = [];
+      undone = [];
+    },
+  };
+}